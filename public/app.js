@@ -8,9 +8,12 @@ const stageSummariesSection = document.getElementById("stage-summaries");
 const stageSummariesList = document.getElementById("stage-summaries-list");
 const toolMonitorSection = document.getElementById("tool-monitor");
 const toolMonitorList = document.getElementById("tool-monitor-list");
+const usageSummaryNode = document.getElementById("usage-summary");
 const startDateInput = form?.querySelector('input[name="startDate"]');
 const endDateInput = form?.querySelector('input[name="endDate"]');
 const tripLengthInput = form?.querySelector('input[name="tripLengthDays"]');
+const cancelPlanningButton = document.getElementById("cancel-planning");
+const displayCurrencySelect = form?.querySelector('select[name="displayCurrency"]');
 const TOOL_MONITOR_TYPES = new Set([
   "tool_call_started",
   "tool_call_completed",
@@ -21,17 +24,24 @@ const TOOL_MONITOR_TYPES = new Set([
 ]);
 
 let currentPlan = null;
+let activePlanning = null;
 const activityGroups = new Map();
 const activityGroupMeta = new Map();
-let activeAgentKey = null;
-let activeAgentStartTime = null;
+// Agents currently running, keyed by name → start time (research and safety overlap)
+const activeAgents = new Map();
 let activeAgentTimer = null;
 let itineraryMap = null;
 let itineraryMapLayer = null;
+let itineraryMapControl = null;
 let mapRenderToken = 0;
 const geocodeCache = new Map();
+// Day routes and numbered stops cycle through these; hotels stay blue
+const MAP_DAY_COLORS = ["#dc2626", "#059669", "#d97706", "#7c3aed", "#db2777", "#0891b2", "#65a30d"];
+const MAP_HOTEL_COLOR = "#2563eb";
+const MAP_UNSCHEDULED_COLOR = "#6b7280";
 const toolSummaryGroups = new Map();
-const STAGE_FLOW = ["initialization", "research", "safety", "composition", "done"];
+// Nested arrays are stages that run in parallel
+const STAGE_FLOW = ["initialization", ["research", "safety"], "composition", "done"];
 const STAGE_LABELS = {
   initialization: "Initialization",
   research: "Research",
@@ -40,7 +50,7 @@ const STAGE_LABELS = {
   done: "Done"
 };
 const stageState = {
-  active: null,
+  active: new Set(),
   completed: new Set()
 };
 const stageSummariesByStage = new Map();
@@ -52,6 +62,10 @@ if (tripLengthInput) {
 startDateInput?.addEventListener("change", syncTripLengthFromDates);
 endDateInput?.addEventListener("change", syncTripLengthFromDates);
 syncTripLengthFromDates();
+const displayCurrenciesLoaded = loadDisplayCurrencies();
+resumeItineraryFromUrl();
+
+cancelPlanningButton?.addEventListener("click", cancelPlanning);
 
 form.addEventListener("submit", async (event) => {
   event.preventDefault();
@@ -63,6 +77,8 @@ form.addEventListener("submit", async (event) => {
   }
   const submitButton = form.querySelector("button[type='submit']");
   submitButton.disabled = true;
+  activePlanning = { jobId: null, eventSource: null, controller: new AbortController() };
+  cancelPlanningButton?.classList.remove("hidden");
   resetTimeline();
   itinerarySection.classList.add("hidden");
   setMessage("Generating itinerary with agents...");
@@ -77,27 +93,231 @@ form.addEventListener("submit", async (event) => {
       activityConfirmed: false,
       confirmedActivities: []
     };
+    rememberItineraryInUrl(currentPlan.itineraryId);
     setMessage("Draft itinerary created. Please confirm each component.");
     renderItinerary(currentPlan);
   } catch (error) {
     setMessage(error.message || "Unexpected error", true);
   } finally {
+    activePlanning?.eventSource?.close();
+    activePlanning = null;
+    cancelPlanningButton?.classList.add("hidden");
+    if (cancelPlanningButton) cancelPlanningButton.disabled = false;
     submitButton.disabled = false;
   }
 });
 
+async function cancelPlanning() {
+  if (!activePlanning) return;
+  cancelPlanningButton.disabled = true;
+  setMessage("Cancelling planning...");
+
+  const { jobId, controller } = activePlanning;
+  if (!jobId) {
+    // The job has not been created yet; abandoning the request is enough
+    controller.abort();
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/plans/${encodeURIComponent(jobId)}/cancel`, { method: "POST" });
+    if (!response.ok) {
+      const data = await safeJson(response);
+      throw new Error(apiErrorMessage(data, "Failed to cancel planning"));
+    }
+  } catch (error) {
+    cancelPlanningButton.disabled = false;
+    setMessage(error.message || "Failed to cancel planning", true);
+  }
+}
+
+async function resumeItineraryFromUrl() {
+  const itineraryId = new URLSearchParams(window.location.search).get("itinerary");
+  if (!itineraryId) return;
+
+  setMessage("Loading saved itinerary...");
+
+  try {
+    const response = await fetch(`/api/itineraries/${encodeURIComponent(itineraryId)}`);
+    const data = await safeJson(response);
+    if (!response.ok) {
+      throw new Error(apiErrorMessage(data, "Failed to load itinerary"));
+    }
+
+    // The saved display currency can only be selected once the picker lists it
+    await displayCurrenciesLoaded;
+    fillFormFromPreferences(data.preferences);
+    currentPlan = {
+      ...data,
+      requestedActivityCategories: data.preferences?.activities || [],
+      ...activityStateFromConfirmations(data)
+    };
+    setMessage(
+      data.nextComponentToConfirm
+        ? `Resumed saved itinerary. Next: confirm ${data.nextComponentToConfirm}.`
+        : "Resumed saved itinerary."
+    );
+    renderItinerary(currentPlan);
+
+    if (data.finalConfirmed) {
+      const approveButton = document.getElementById("final-approve");
+      if (approveButton) {
+        approveButton.disabled = true;
+        approveButton.textContent = "Final Itinerary Approved";
+      }
+      renderFinalItineraryOutput(currentPlan);
+    }
+  } catch (error) {
+    setMessage(error.message || "Unexpected error loading itinerary", true);
+  }
+}
+
+function rememberItineraryInUrl(itineraryId) {
+  if (!itineraryId) return;
+  const url = new URL(window.location.href);
+  url.searchParams.set("itinerary", itineraryId);
+  window.history.replaceState(null, "", url);
+}
+
+function fillFormFromPreferences(preferences) {
+  if (!form || !preferences) return;
+
+  // Travelers and budget are nested in the request but flat in the form
+  const { travelers, budget } = preferences;
+  const values = {
+    ...preferences,
+    activityCategories: (preferences.activities || []).join(", "),
+    travelerCount: travelers?.count,
+    travelerNames: travelers?.names?.join(", "),
+    roomSharing: travelers?.roomSharing,
+    drivers: travelers?.drivers,
+    budgetTotalUsd: budget?.totalUsd,
+    budgetFlightUsd: budget?.flightUsd,
+    budgetHotelUsd: budget?.hotelUsd,
+    budgetCarRentalUsd: budget?.carRentalUsd,
+    budgetActivitiesUsd: budget?.activitiesUsd
+  };
+
+  Object.entries(values).forEach(([name, value]) => {
+    const field = form.elements.namedItem(name);
+    if (!field || value === undefined || value === null) return;
+    field.value = String(value);
+  });
+
+  const budgetSplit = form.querySelector("details.budget-split");
+  if (budgetSplit && ["flightUsd", "hotelUsd", "carRentalUsd", "activitiesUsd"].some((key) => budget?.[key])) {
+    budgetSplit.open = true;
+  }
+}
+
 async function streamPlan(payload) {
-  const response = await fetch("/api/plan-stream", {
+  const response = await fetch("/api/plans", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload)
-  });
+    body: JSON.stringify(payload),
+    signal: activePlanning?.controller.signal
+  }).catch(rethrowAsCancellation);
 
+  const data = await safeJson(response);
   if (!response.ok) {
-    const data = await safeJson(response);
     throw new Error(apiErrorMessage(data, "Failed to generate itinerary"));
   }
 
+  if (activePlanning) activePlanning.jobId = data.jobId;
+  return followPlanJob(data.jobId);
+}
+
+/**
+ * Follow a planning job's event stream. EventSource reconnects on its own and
+ * sends Last-Event-ID, so the server replays only the events we missed.
+ */
+function followPlanJob(jobId) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/plans/${encodeURIComponent(jobId)}/events`);
+    let finalResult = null;
+    let reconnecting = false;
+    if (activePlanning) activePlanning.eventSource = source;
+
+    const finish = (settle) => {
+      source.close();
+      settle();
+    };
+
+    source.addEventListener("open", () => {
+      if (!reconnecting) return;
+      reconnecting = false;
+      setMessage("Reconnected. Generating itinerary with agents...");
+    });
+
+    source.addEventListener("activity", (message) => {
+      addActivity(parseEventData(message));
+    });
+
+    source.addEventListener("result", (message) => {
+      finalResult = parseEventData(message);
+    });
+
+    source.addEventListener("done", () => {
+      updateStageProgress({ type: "stage_completed", stage: "done" });
+      finish(() =>
+        finalResult
+          ? resolve(finalResult)
+          : reject(new Error("Planning stream ended without itinerary result."))
+      );
+    });
+
+    source.addEventListener("cancelled", (message) => {
+      clearActiveAgentBadge();
+      finish(() => reject(new Error(parseEventData(message)?.message || "Planning cancelled.")));
+    });
+
+    source.addEventListener("error", (message) => {
+      // Server-sent "error" events carry data; connection drops do not
+      if (message.data) {
+        finish(() => reject(new Error(apiErrorMessage(parseEventData(message), "Failed to generate itinerary"))));
+        return;
+      }
+
+      if (source.readyState === EventSource.CONNECTING) {
+        reconnecting = true;
+        setMessage("Connection lost. Reconnecting to planning job...");
+        return;
+      }
+
+      finish(() => fetchPlanJobResult(jobId).then(resolve, reject));
+    });
+  });
+}
+
+async function fetchPlanJobResult(jobId) {
+  const response = await fetch(`/api/plans/${encodeURIComponent(jobId)}`);
+  const data = await safeJson(response);
+  if (!response.ok) {
+    throw new Error(apiErrorMessage(data, "Lost connection to planning job"));
+  }
+
+  if (data.status === "succeeded" && data.result) return data.result;
+  if (data.status === "failed") throw new Error(apiErrorMessage(data.error, "Failed to generate itinerary"));
+  if (data.status === "cancelled") throw new Error("Planning cancelled.");
+  throw new Error("Lost connection to planning job. Please try again.");
+}
+
+function parseEventData(message) {
+  try {
+    return message.data ? JSON.parse(message.data) : null;
+  } catch {
+    return { message: message.data };
+  }
+}
+
+function rethrowAsCancellation(error) {
+  if (error?.name === "AbortError") {
+    throw new Error("Planning cancelled.");
+  }
+  throw error;
+}
+
+async function readEventStream(response, fallbackError) {
   if (!response.body) {
     throw new Error("Streaming response body is unavailable.");
   }
@@ -132,13 +352,14 @@ async function streamPlan(payload) {
       }
 
       if (event.name === "error") {
-        throw new Error(apiErrorMessage(event.data, "Failed to generate itinerary"));
+        throw new Error(apiErrorMessage(event.data, fallbackError));
       }
-    }
-  }
 
-  if (!finalResult) {
-    throw new Error("Planning stream ended without itinerary result.");
+      if (event.name === "cancelled") {
+        clearActiveAgentBadge();
+        throw new Error(event.data?.message || "Cancelled.");
+      }
+    }
   }
 
   return finalResult;
@@ -178,31 +399,36 @@ function parseSseChunk(chunk) {
 
 // ── Live-agent badge helpers ─────────────────────────────────────
 function setActiveAgentBadge(agentKey) {
-  clearActiveAgentBadge();
-  activeAgentKey = agentKey;
-  activeAgentStartTime = Date.now();
+  activeAgents.set(agentKey, Date.now());
   // If the group already exists, show badge immediately
   _activateBadgeNode(agentKey);
-  // Tick every second to update elapsed time
-  activeAgentTimer = setInterval(() => {
-    if (!activeAgentKey || !activeAgentStartTime) return;
-    const meta = activityGroupMeta.get(activeAgentKey);
-    if (!meta?.liveElapsed) return;
-    const secs = Math.floor((Date.now() - activeAgentStartTime) / 1000);
-    meta.liveElapsed.textContent = secs >= 60
-      ? `${Math.floor(secs / 60)}m ${secs % 60}s`
-      : `${secs}s`;
+  // Tick every second to update elapsed time for every running agent
+  activeAgentTimer ??= setInterval(() => {
+    activeAgents.forEach((startTime, key) => {
+      const meta = activityGroupMeta.get(key);
+      if (!meta?.liveElapsed) return;
+      const secs = Math.floor((Date.now() - startTime) / 1000);
+      meta.liveElapsed.textContent = secs >= 60
+        ? `${Math.floor(secs / 60)}m ${secs % 60}s`
+        : `${secs}s`;
+    });
   }, 1000);
 }
 
-function clearActiveAgentBadge() {
-  if (activeAgentTimer) { clearInterval(activeAgentTimer); activeAgentTimer = null; }
-  if (activeAgentKey) {
-    const meta = activityGroupMeta.get(activeAgentKey);
+/**
+ * Hide the live badge for one agent, or for every running agent when no key is given
+ */
+function clearActiveAgentBadge(agentKey) {
+  const keys = agentKey ? [agentKey] : [...activeAgents.keys()];
+  keys.forEach((key) => {
+    const meta = activityGroupMeta.get(key);
     if (meta?.liveBadge) meta.liveBadge.hidden = true;
+    activeAgents.delete(key);
+  });
+  if (activeAgents.size === 0 && activeAgentTimer) {
+    clearInterval(activeAgentTimer);
+    activeAgentTimer = null;
   }
-  activeAgentKey = null;
-  activeAgentStartTime = null;
 }
 
 function _activateBadgeNode(agentKey) {
@@ -223,11 +449,15 @@ function resetTimeline() {
   stageSummariesByStage.clear();
   if (stageSummariesList) stageSummariesList.innerHTML = "";
   if (stageSummariesSection) stageSummariesSection.classList.add("hidden");
-  stageState.active = null;
+  stageState.active.clear();
   stageState.completed.clear();
   renderProgressStepper();
   toolMonitorSection.classList.remove("hidden");
   toolMonitorList.innerHTML = "";
+  if (usageSummaryNode) {
+    usageSummaryNode.classList.add("hidden");
+    usageSummaryNode.innerHTML = "";
+  }
 }
 
 function addActivity(eventData) {
@@ -259,6 +489,10 @@ function addActivity(eventData) {
     renderDetailBlock("Tool Phase", event.phase),
     renderDetailBlock("Prompt", event.prompt),
     renderDetailBlock("Response", event.response),
+    renderDetailBlock(
+      "Validation Issues",
+      Array.isArray(event.issues) ? event.issues.map((issue) => `${issue.path}: ${issue.message}`).join("\n") : null
+    ),
     renderDetailBlock("Stage Summary JSON", event.stage_summary ? safeStringify(event.stage_summary) : null),
     renderDetailBlock("Tool Arguments", event.arguments),
     renderDetailBlock("Tool Output", event.output),
@@ -289,6 +523,51 @@ function addActivity(eventData) {
   if (TOOL_MONITOR_TYPES.has(eventType)) {
     addToolMonitorItem(event);
   }
+
+  if (eventType === "usage_summary") {
+    renderUsageSummary(event.usage);
+  }
+}
+
+/**
+ * Show token usage, web searches and estimated API spend above the tool call counts
+ */
+function renderUsageSummary(usage) {
+  if (!usageSummaryNode || !usage?.totals) return;
+
+  const breakdownRows = (title, buckets) =>
+    Object.entries(buckets ?? {})
+      .map(
+        ([name, bucket]) =>
+          `<li><strong>${escapeHtml(title)} ${escapeHtml(name)}:</strong> ${escapeHtml(formatUsageBucket(bucket))}</li>`
+      )
+      .join("");
+  const unpriced = usage.unpricedModels?.length
+    ? `<p class="muted">No pricing for: ${escapeHtml(usage.unpricedModels.join(", "))} (excluded from cost).</p>`
+    : "";
+
+  usageSummaryNode.innerHTML = `
+    <summary class="tool-summary-header">
+      <span class="tool-summary-name">API usage</span>
+      <span class="tool-summary-stats">${escapeHtml(formatUsageBucket(usage.totals))}</span>
+    </summary>
+    <ul class="list usage-breakdown">
+      ${breakdownRows("Agent", usage.byAgent)}
+      ${breakdownRows("Stage", usage.byStage)}
+    </ul>
+    ${unpriced}
+  `;
+  usageSummaryNode.classList.remove("hidden");
+}
+
+function formatUsageBucket(bucket) {
+  return [
+    `tokens: ${Number(bucket.totalTokens || 0).toLocaleString()}`,
+    `in/out: ${Number(bucket.inputTokens || 0).toLocaleString()}/${Number(bucket.outputTokens || 0).toLocaleString()}`,
+    `requests: ${bucket.requests || 0}`,
+    `web searches: ${bucket.webSearchCalls || 0}`,
+    `est. cost: $${Number(bucket.estimatedCostUsd || 0).toFixed(4)}`
+  ].join(" • ");
 }
 
 function renderStageSummaryCard(stage, summary) {
@@ -329,7 +608,7 @@ function renderStageSummariesPanel() {
 
   stageSummariesSection.classList.remove("hidden");
 
-  const orderedStages = STAGE_FLOW.filter((stage) => stageSummariesByStage.has(stage));
+  const orderedStages = STAGE_FLOW.flat().filter((stage) => stageSummariesByStage.has(stage));
   const html = orderedStages
     .map((stage) => {
       const summary = stageSummariesByStage.get(stage);
@@ -369,16 +648,17 @@ function updateStageProgress(event) {
   if (!event || !event.type || !event.stage) return;
 
   if (event.type === "stage_started") {
-    stageState.active = event.stage;
+    stageState.active.add(event.stage);
     if (event.agent) setActiveAgentBadge(String(event.agent));
   }
 
   if (event.type === "stage_completed") {
     stageState.completed.add(event.stage);
-    clearActiveAgentBadge();
+    stageState.active.delete(event.stage);
+    clearActiveAgentBadge(event.agent ? String(event.agent) : undefined);
     if (event.stage === "composition" || event.stage === "final") {
       stageState.completed.add("done");
-      stageState.active = null;
+      stageState.active.clear();
     }
   }
 
@@ -388,21 +668,20 @@ function updateStageProgress(event) {
 function renderProgressStepper() {
   if (!progressSection) return;
 
-  const html = STAGE_FLOW.map((stage) => {
-    const isCompleted = stageState.completed.has(stage);
-    const isActive = stageState.active === stage && !isCompleted;
-    const indicator = isCompleted ? "✅" : isActive ? "⏳" : "⬜";
-    const classes = ["timeline-step"];
-    if (isCompleted) classes.push("is-complete");
-    if (isActive) classes.push("is-active");
+  const lastStep = STAGE_FLOW[STAGE_FLOW.length - 1];
+  const html = STAGE_FLOW.map((step) => {
+    const stages = Array.isArray(step) ? step : [step];
+    const isCompleted = stages.every((stage) => stageState.completed.has(stage));
     const connectorClass = isCompleted ? "timeline-connector is-complete" : "timeline-connector";
-    const label = STAGE_LABELS[stage] || toTitleCase(stage);
-    const connector = stage === STAGE_FLOW[STAGE_FLOW.length - 1] ? "" : `<span class="${connectorClass}"></span>`;
+    const connector = step === lastStep ? "" : `<span class="${connectorClass}"></span>`;
+
+    if (!Array.isArray(step)) {
+      return renderTimelineStep(step, connector);
+    }
 
     return `
-      <div class="${classes.join(" ")}">
-        <span class="timeline-badge">${indicator}</span>
-        <span class="timeline-label">${escapeHtml(label)}</span>
+      <div class="timeline-parallel">
+        <div class="timeline-lanes">${stages.map((stage) => renderTimelineStep(stage)).join("")}</div>
         ${connector}
       </div>
     `;
@@ -411,6 +690,24 @@ function renderProgressStepper() {
   progressSection.innerHTML = `<div class="timeline-steps">${html}</div>`;
 }
 
+function renderTimelineStep(stage, connector = "") {
+  const isCompleted = stageState.completed.has(stage);
+  const isActive = stageState.active.has(stage) && !isCompleted;
+  const indicator = isCompleted ? "✅" : isActive ? "⏳" : "⬜";
+  const classes = ["timeline-step"];
+  if (isCompleted) classes.push("is-complete");
+  if (isActive) classes.push("is-active");
+  const label = STAGE_LABELS[stage] || toTitleCase(stage);
+
+  return `
+    <div class="${classes.join(" ")}">
+      <span class="timeline-badge">${indicator}</span>
+      <span class="timeline-label">${escapeHtml(label)}</span>
+      ${connector}
+    </div>
+  `;
+}
+
 function ensureActivityGroup(agentName) {
   const key = String(agentName || "System");
   if (activityGroups.has(key)) {
@@ -465,7 +762,7 @@ function ensureActivityGroup(agentName) {
   });
 
   // If this agent was already marked active before its group was created, show badge now
-  if (activeAgentKey === key) _activateBadgeNode(key);
+  if (activeAgents.has(key)) _activateBadgeNode(key);
 
   return itemsList;
 }
@@ -602,7 +899,69 @@ function formToPayload(formData) {
     weatherPreferences: String(formData.get("weatherPreferences") || "").trim(),
     airTravelClass: String(formData.get("airTravelClass") || "economy"),
     hotelStars: String(formData.get("hotelStars") || "3"),
-    transportationNotes: String(formData.get("transportationNotes") || "").trim() || undefined
+    transportationNotes: String(formData.get("transportationNotes") || "").trim() || undefined,
+    maxActivitiesPerDay: Number(formData.get("maxActivitiesPerDay")) || undefined,
+    travelers: travelersFromForm(formData),
+    budget: budgetFromForm(formData),
+    displayCurrency: String(formData.get("displayCurrency") || "").trim() || undefined
+  };
+}
+
+/**
+ * Fill the display currency picker from the server's offline rate table
+ */
+async function loadDisplayCurrencies() {
+  if (!displayCurrencySelect) return;
+
+  try {
+    const response = await fetch("/api/currencies");
+    if (!response.ok) return;
+    const data = await response.json();
+    displayCurrencySelect.innerHTML = (data.currencies || [])
+      .map(
+        ({ code }) =>
+          `<option value="${escapeHtml(code)}" ${code === data.defaultDisplayCurrency ? "selected" : ""}>${escapeHtml(code)}</option>`
+      )
+      .join("");
+    displayCurrencySelect.title = `Offline exchange rates as of ${data.asOf}`;
+  } catch {
+    // Keep the built-in USD option
+  }
+}
+
+function travelersFromForm(formData) {
+  const count = Math.max(1, Math.round(Number(formData.get("travelerCount")) || 1));
+  const names = String(formData.get("travelerNames") || "")
+    .split(/[\n,;]+/)
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .slice(0, count);
+  if (count === 1 && names.length === 0) return undefined;
+
+  const drivers = Number(formData.get("drivers"));
+  return {
+    count,
+    names: names.length ? names : undefined,
+    roomSharing: String(formData.get("roomSharing") || "shared"),
+    drivers: Number.isFinite(drivers) ? Math.min(count, Math.max(0, Math.round(drivers))) : undefined
+  };
+}
+
+function budgetFromForm(formData) {
+  const amount = (name) => {
+    const value = Number(formData.get(name));
+    return Number.isFinite(value) && value > 0 ? value : undefined;
+  };
+
+  const totalUsd = amount("budgetTotalUsd");
+  if (!totalUsd) return undefined;
+
+  return {
+    totalUsd,
+    flightUsd: amount("budgetFlightUsd"),
+    hotelUsd: amount("budgetHotelUsd"),
+    carRentalUsd: amount("budgetCarRentalUsd"),
+    activitiesUsd: amount("budgetActivitiesUsd")
   };
 }
 
@@ -626,12 +985,15 @@ function renderItinerary(planData) {
     <div id="itinerary-map" class="itinerary-map"></div>
     <h3>Activities</h3>
     ${renderActivityCategoryOptions(planData)}
+    <h3>Day-by-Day Agenda</h3>
+    ${renderAgenda(itinerary.schedule)}
     <h3>Safety Concerns</h3>
     ${renderSimpleList(itinerary.safetyConcerns || [], { collapseReferences: true })}
     <h3>Packing List</h3>
     ${renderSimpleList(itinerary.packingList || [], { collapseReferences: true })}
     <h3>Estimated Cost Summary (USD)</h3>
     ${renderCostSummary(itinerary.estimatedCostSummary || {})}
+    ${renderBudgetStatus(itinerary)}
     <div id="final-review"></div>
   `;
 
@@ -651,7 +1013,7 @@ function renderItinerary(planData) {
       const confirmedOption =
         (component.options || []).find((o) => o.id === confirmedOptionId) ||
         component.options?.[0];
-      const priceStr = confirmedOption?.costUsd ? ` — ${formatUsd(confirmedOption.costUsd)}` : "";
+      const priceStr = confirmedOption?.costUsd ? ` — ${formatCost(confirmedOption.costUsd)}` : "";
       block.innerHTML = `
         <details class="confirmed-component">
           <summary class="confirmed-component-summary">
@@ -662,6 +1024,7 @@ function renderItinerary(planData) {
           <div class="confirmed-component-body">
             ${confirmedOption ? renderOptionQuickFacts(componentType, confirmedOption) : ""}
             ${confirmedOption?.notes ? `<div class="muted">${escapeHtml(confirmedOption.notes)}</div>` : ""}
+            <button class="secondary revoke-btn" data-component="${componentType}">Change ${escapeHtml(componentType)}</button>
           </div>
         </details>
       `;
@@ -675,6 +1038,7 @@ function renderItinerary(planData) {
             option.id === component.recommendedOptionId ? "checked" : ""
           } />
                 <strong>${escapeHtml(option.label || option.id)}</strong>
+                ${renderBudgetFlag(option)}
               </div>
               ${renderOptionQuickFacts(componentType, option)}
               <div class="muted">${escapeHtml(option.notes || "")}</div>
@@ -692,6 +1056,7 @@ function renderItinerary(planData) {
         <p>${escapeHtml(component.confirmationQuestion || "Please confirm this option")}</p>
         <div class="component-options">${optionsHtml}</div>
         <button data-component="${componentType}" class="confirm-btn">Confirm ${escapeHtml(componentType)}</button>
+        ${renderRegenerateControls(componentType)}
       `;
     }
 
@@ -702,9 +1067,97 @@ function renderItinerary(planData) {
   attachActivityChoiceHandlers();
   attachActivityConfirmHandler();
   attachConfirmHandlers(planData.itineraryId);
+  attachRevokeHandlers(planData.itineraryId);
+  attachRegenerateHandlers(planData.itineraryId);
+  attachFitBudgetHandler(planData.itineraryId);
   maybeRenderFinalAction(planData);
 }
 
+function renderBudgetFlag(option) {
+  if (!option?.overBudget) return "";
+  return `<span class="budget-flag" title="${escapeHtml(option.budgetNote || "")}">Over budget</span>`;
+}
+
+function renderBudgetStatus(itinerary) {
+  const status = itinerary.budgetStatus;
+  if (!status) return "";
+
+  const overCategories = (status.overCategories || [])
+    .map(
+      (entry) =>
+        `<li>${escapeHtml(toTitleCase(entry.category))}: ${escapeHtml(formatCost(entry.estimatedUsd) || "$0")} of ${escapeHtml(formatCost(entry.budgetUsd) || "$0")}</li>`
+    )
+    .join("");
+  const headline = status.withinBudget
+    ? `Within budget: ${formatCost(status.remainingUsd) || "$0"} to spare of ${formatCost(status.budgetUsd)}.`
+    : status.remainingUsd < 0
+      ? `Over budget by ${formatCost(-status.remainingUsd)} (budget ${formatCost(status.budgetUsd)}).`
+      : `Over a category budget (total budget ${formatCost(status.budgetUsd)}).`;
+
+  return `
+    <div class="budget-status ${status.withinBudget ? "within" : "over"}">
+      <div><strong>${escapeHtml(headline)}</strong></div>
+      ${overCategories ? `<ul class="list">${overCategories}</ul>` : ""}
+      <div class="muted">Cheapest possible combination: ${escapeHtml(formatCost(status.cheapestPossibleTotalUsd) || "$0")}</div>
+      <button type="button" id="fit-budget-btn" class="secondary">Fit to budget</button>
+    </div>
+  `;
+}
+
+/**
+ * Map server picks (keyed by the activity's category) onto the requested category labels
+ */
+function activitySelectionsFromPicks(picks = {}) {
+  const pickByCategory = new Map(
+    Object.entries(picks).map(([category, activityId]) => [String(category).toLowerCase().trim(), activityId])
+  );
+  return Object.fromEntries(
+    (currentPlan.requestedActivityCategories || [])
+      .map((category) => [category, pickByCategory.get(String(category).toLowerCase().trim())])
+      .filter(([, activityId]) => activityId)
+  );
+}
+
+function attachFitBudgetHandler(itineraryId) {
+  const button = document.getElementById("fit-budget-btn");
+  if (!button) return;
+
+  button.addEventListener("click", async () => {
+    button.disabled = true;
+
+    try {
+      const response = await fetch(`/api/itineraries/${encodeURIComponent(itineraryId)}/fit-budget`, {
+        method: "POST"
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(apiErrorMessage(data, "Failed to fit itinerary to budget"));
+      }
+
+      currentPlan = {
+        ...currentPlan,
+        ...data,
+        itinerary: data.itinerary,
+        activitySelections: currentPlan.activityConfirmed
+          ? currentPlan.activitySelections
+          : { ...currentPlan.activitySelections, ...activitySelectionsFromPicks(data.budgetFit?.picks?.activities) }
+      };
+      renderItinerary(currentPlan);
+
+      const fit = data.budgetFit;
+      setItineraryStatus(
+        fit?.withinBudget
+          ? `Selected the cheapest combination (${formatCost(fit.totalUsd)}). Review and confirm each pick.`
+          : `Even the cheapest combination (${formatCost(fit?.totalUsd)}) is over budget. Try regenerating options with a lower price.`,
+        !fit?.withinBudget
+      );
+    } catch (error) {
+      button.disabled = false;
+      setItineraryStatus(error.message || "Unexpected error fitting to budget", true);
+    }
+  });
+}
+
 function attachConfirmHandlers(itineraryId) {
   document.querySelectorAll(".confirm-btn").forEach((button) => {
     button.addEventListener("click", async () => {
@@ -761,6 +1214,105 @@ function attachConfirmHandlers(itineraryId) {
   });
 }
 
+function attachRevokeHandlers(itineraryId) {
+  document.querySelectorAll(".revoke-btn").forEach((button) => {
+    button.addEventListener("click", async () => {
+      const componentType = button.getAttribute("data-component");
+      button.disabled = true;
+
+      try {
+        const response = await fetch(
+          `/api/itineraries/${encodeURIComponent(itineraryId)}/confirmations/${encodeURIComponent(componentType)}`,
+          { method: "DELETE" }
+        );
+
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(apiErrorMessage(data, `Failed to change ${componentType}`));
+        }
+
+        currentPlan = {
+          ...currentPlan,
+          ...data,
+          ...activityStateFromConfirmations(data),
+          finalConfirmed: false
+        };
+        renderItinerary(currentPlan);
+        setItineraryStatus(`Reopened ${componentType}. Next: confirm ${data.nextComponentToConfirm}.`);
+      } catch (error) {
+        button.disabled = false;
+        setItineraryStatus(error.message || "Unexpected error changing confirmation", true);
+      }
+    });
+  });
+}
+
+function renderRegenerateControls(componentType, category = "") {
+  const placeholder =
+    componentType === "hotel"
+      ? "e.g. closer to the Marais, under $200/night"
+      : "Optional extra constraints";
+
+  return `
+    <details class="regenerate-wrap">
+      <summary>Not happy with these? Regenerate options</summary>
+      <div class="inline">
+        <input class="regenerate-constraints" maxlength="500" placeholder="${escapeHtml(placeholder)}" />
+        <button class="secondary regenerate-btn" data-component="${escapeHtml(componentType)}" data-category="${escapeHtml(category)}">Regenerate</button>
+      </div>
+    </details>
+  `;
+}
+
+function attachRegenerateHandlers(itineraryId) {
+  document.querySelectorAll(".regenerate-btn").forEach((button) => {
+    button.addEventListener("click", async () => {
+      const componentType = button.getAttribute("data-component");
+      const category = button.getAttribute("data-category") || undefined;
+      const constraintsInput = button.closest(".regenerate-wrap")?.querySelector(".regenerate-constraints");
+      const constraints = String(constraintsInput?.value || "").trim() || undefined;
+      const subject = category ? `${category} activities` : componentType;
+
+      button.disabled = true;
+      activitySection.classList.remove("hidden");
+      setItineraryStatus(`Regenerating ${subject} options...`);
+
+      try {
+        const response = await fetch(`/api/itineraries/${encodeURIComponent(itineraryId)}/regenerate`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ component: componentType, category, constraints })
+        });
+
+        if (!response.ok) {
+          const data = await safeJson(response);
+          throw new Error(apiErrorMessage(data, "Failed to regenerate options"));
+        }
+
+        const data = await readEventStream(response, "Failed to regenerate options");
+        if (!data) {
+          throw new Error("Regeneration stream ended without a result.");
+        }
+
+        currentPlan = {
+          ...currentPlan,
+          itinerary: data.itinerary,
+          confirmations: data.confirmations,
+          nextComponentToConfirm: data.nextComponentToConfirm
+        };
+        if (category && data.newOptionIds?.length) {
+          currentPlan.activitySelections = { ...currentPlan.activitySelections, [category]: data.newOptionIds[0] };
+        }
+        renderItinerary(currentPlan);
+        setItineraryStatus(`Fresh ${subject} options added.`);
+      } catch (error) {
+        button.disabled = false;
+        setItineraryStatus(error.message || "Unexpected regeneration error", true);
+      }
+    });
+  });
+}
+
 function setItineraryStatus(message, isError = false) {
   const status = document.getElementById("itinerary-status");
   if (!status) {
@@ -838,7 +1390,7 @@ function renderFinalItineraryOutput(planData, finalConfirmationResponse = {}) {
         .map(
           (activity) =>
             `<li>${escapeHtml(activity.category)}: ${escapeHtml(activity.name)} (${escapeHtml(
-              formatUsd(activity.estimatedCostUsd) || "$0"
+              formatCost(activity.estimatedCostUsd) || "$0"
             )})</li>`
         )
         .join("")}</ul>`
@@ -852,19 +1404,19 @@ function renderFinalItineraryOutput(planData, finalConfirmationResponse = {}) {
       <div class="final-item">
         <strong>Flight:</strong>
         <div>${escapeHtml(selectedFlight?.label || "Not selected")}</div>
-        <div class="muted">${escapeHtml(formatUsd(selectedFlight?.costUsd) || "-")}</div>
+        <div class="muted">${escapeHtml(formatCost(selectedFlight?.costUsd) || "-")}</div>
       </div>
 
       <div class="final-item">
         <strong>Hotel:</strong>
         <div>${escapeHtml(selectedHotel?.label || "Not selected")}</div>
-        <div class="muted">${escapeHtml(formatUsd(selectedHotel?.costUsd) || "-")}</div>
+        <div class="muted">${escapeHtml(formatCost(selectedHotel?.costUsd) || "-")}</div>
       </div>
 
       <div class="final-item">
         <strong>Car Rental:</strong>
         <div>${escapeHtml(selectedCar?.label || "Not selected")}</div>
-        <div class="muted">${escapeHtml(formatUsd(selectedCar?.costUsd) || "$0")}</div>
+        <div class="muted">${escapeHtml(formatCost(selectedCar?.costUsd) || "$0")}</div>
       </div>
 
       <div class="final-item">
@@ -874,7 +1426,17 @@ function renderFinalItineraryOutput(planData, finalConfirmationResponse = {}) {
 
       <div class="final-item">
         <strong>Total Estimated Cost:</strong>
-        <div>${escapeHtml(formatUsd(itinerary.estimatedCostSummary?.totalUsd) || "$0")}</div>
+        <div>${escapeHtml(formatCost(itinerary.estimatedCostSummary?.totalUsd) || "$0")}</div>
+      </div>
+
+      <div class="final-item">
+        <strong>Calendar:</strong>
+        <div>
+          <a class="button-link" href="/api/itineraries/${encodeURIComponent(planData.itineraryId || "")}/calendar.ics" download>
+            Download calendar (.ics)
+          </a>
+        </div>
+        <div class="muted">Flights, hotel stay, car pickup/return and scheduled activities.</div>
       </div>
 
       <div class="final-item">
@@ -1003,8 +1565,11 @@ async function renderItineraryMap(planData) {
   }
 
   const token = ++mapRenderToken;
-  const destination = String(form?.querySelector('input[name="destinationCity"]')?.value || "").trim();
-  const places = buildMapPlaces(planData, destination).slice(0, 16);
+  const itinerary = planData?.itinerary || {};
+  const destination = String(
+    itinerary.destinationCity || form?.querySelector('input[name="destinationCity"]')?.value || ""
+  ).trim();
+  const places = buildMapPlaces(planData, destination);
 
   if (places.length === 0) {
     mapElement.classList.add("hidden");
@@ -1014,48 +1579,68 @@ async function renderItineraryMap(planData) {
 
   mapElement.classList.remove("hidden");
   statusElement.textContent = "Resolving hotel and activity locations...";
-  const map = ensureItineraryMap(mapElement);
+  const center = destination ? await geocodePlace(destination) : null;
+  if (token !== mapRenderToken) return;
+  const map = ensureItineraryMap(mapElement, center);
   itineraryMapLayer.clearLayers();
+  itineraryMapControl?.remove();
+  itineraryMapControl = null;
 
   const points = [];
   for (const place of places) {
-    const point = await geocodePlace(place.query);
-    if (!point || token !== mapRenderToken) continue;
-    points.push({ ...place, ...point });
+    const point = place.point || (await geocodePlace(place.query));
+    if (token !== mapRenderToken) return;
+    if (point) points.push({ ...place, ...point });
   }
 
-  if (token !== mapRenderToken) return;
-
   if (points.length === 0) {
     statusElement.textContent = "Could not resolve map coordinates for these hotels/activities.";
     return;
   }
 
-  points.forEach((point) => {
-    const color = point.type === "hotel" ? "#2563eb" : "#059669";
-    const marker = window.L.circleMarker([point.lat, point.lon], {
-      radius: 8,
-      color,
-      fillColor: color,
-      fillOpacity: 0.75,
-      weight: 2
-    });
-
-    marker.bindPopup(`
-      <div>
-        <strong>${escapeHtml(point.type === "hotel" ? "Hotel" : "Activity")}</strong><br/>
-        ${escapeHtml(point.label)}
-      </div>
-    `);
-    itineraryMapLayer.addLayer(marker);
+  const routeHotel = findSelectedOption(itinerary.components?.hotel, planData.confirmations?.hotel?.optionId);
+  const stops = scheduleStops(itinerary.schedule);
+  const entries = points.map((point) => {
+    const stop = point.type === "activity" ? stops.get(point.id) ?? null : null;
+    return {
+      kind: point.type,
+      day: stop?.day ?? null,
+      category: point.category || "other",
+      layer: createPlaceMarker(point, stop, point.type === "hotel" && point.id === routeHotel?.id)
+    };
   });
+  const routes = buildDayRoutes(
+    points.find((point) => point.type === "hotel" && point.id === routeHotel?.id),
+    points,
+    stops
+  );
+  entries.push(...routes);
+
+  const filters = createMapFilters(entries);
+  const applyFilters = () => {
+    entries.forEach((entry) => {
+      if (filters.isVisible(entry)) {
+        itineraryMapLayer.addLayer(entry.layer);
+      } else {
+        itineraryMapLayer.removeLayer(entry.layer);
+      }
+    });
+  };
+  itineraryMapControl = createMapFilterControl(filters, applyFilters).addTo(map);
+  applyFilters();
 
   const bounds = window.L.latLngBounds(points.map((point) => [point.lat, point.lon]));
   if (bounds.isValid()) {
     map.fitBounds(bounds.pad(0.2));
   }
 
-  statusElement.textContent = `Showing ${points.length} mapped location${points.length === 1 ? "" : "s"}.`;
+  const approximate = points.filter((point) => point.approximate).length;
+  const summary = [
+    `Showing ${points.length} mapped location${points.length === 1 ? "" : "s"}`,
+    routes.length ? `${routes.length} day route${routes.length === 1 ? "" : "s"} from ${routeHotel?.label || "your hotel"}` : "",
+    approximate ? `${approximate} approximate (city center)` : ""
+  ];
+  statusElement.textContent = `${summary.filter(Boolean).join(" · ")}.`;
 }
 
 function buildMapPlaces(planData, destination) {
@@ -1075,48 +1660,253 @@ function buildMapPlaces(planData, destination) {
   const seen = new Set();
   const places = [];
 
-  const addPlace = (type, label, geocodeQuery) => {
+  const addPlace = (type, { id = "", label, geocodeQuery, category = "", point = null }) => {
     const cleanLabel = String(label || "").trim();
     if (!cleanLabel) return;
     const query = geocodeQuery || cleanLabel;
     const withDestination = destination && !query.toLowerCase().includes(destination.toLowerCase())
       ? `${query}, ${destination}`
       : query;
-    const dedupeKey = `${type}:${withDestination.toLowerCase()}`;
+    const dedupeKey = `${type}:${id || withDestination.toLowerCase()}`;
     if (seen.has(dedupeKey)) return;
     seen.add(dedupeKey);
-    places.push({ type, label: cleanLabel, query: withDestination });
+    places.push({ type, id, label: cleanLabel, query: withDestination, category, point });
   };
 
   hotelOptions.forEach((option) => {
-    addPlace("hotel", option.label || option.name || option.id);
+    addPlace("hotel", { id: option.id, label: option.label || option.name || option.id, point: knownPoint(option) });
   });
 
   activityOptions.forEach((activity) => {
     if (typeof activity === "string") {
-      addPlace("activity", activity);
+      addPlace("activity", { label: activity });
       return;
     }
     const label = `${activity.name || activity.title || ""}${activity.category ? ` (${activity.category})` : ""}`;
     // Prefer the location field for geocoding (more precise address/place)
     const geocodeQuery = activity.location || activity.name || activity.title || "";
-    addPlace("activity", label, geocodeQuery);
+    addPlace("activity", {
+      id: activity.id,
+      label,
+      geocodeQuery,
+      category: activity.category,
+      point: knownPoint(activity)
+    });
   });
 
   return places;
 }
 
-function ensureItineraryMap(mapElement) {
+// Coordinates research already gave us, so the place needs no geocoding
+function knownPoint(place) {
+  const lat = Number(place?.latitude);
+  const lon = Number(place?.longitude);
+  if (place?.latitude == null || place?.longitude == null || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+    return null;
+  }
+  return { lat, lon, approximate: false };
+}
+
+/**
+ * Activity id → { day, stop, slot } from the server's schedule; stops are
+ * numbered per day in slot order
+ */
+function scheduleStops(schedule) {
+  const stops = new Map();
+  (schedule?.days || []).forEach((day) => {
+    let stop = 0;
+    (day.slots || []).forEach((slot) => {
+      if (!slot.activity?.id) return;
+      stop += 1;
+      stops.set(slot.activity.id, { day: day.day, stop, slot: slot.slot });
+    });
+  });
+  return stops;
+}
+
+function dayColor(day) {
+  return MAP_DAY_COLORS[(Number(day) - 1) % MAP_DAY_COLORS.length] || MAP_UNSCHEDULED_COLOR;
+}
+
+function createPlaceMarker(point, stop, isRouteHotel) {
+  let marker;
+  if (stop) {
+    marker = window.L.marker([point.lat, point.lon], {
+      icon: window.L.divIcon({
+        className: "map-stop-icon",
+        html: `<span style="background:${dayColor(stop.day)}">${escapeHtml(String(stop.stop))}</span>`,
+        iconSize: [24, 24],
+        iconAnchor: [12, 12],
+        popupAnchor: [0, -12]
+      }),
+      title: point.label
+    });
+  } else {
+    const color = point.type === "hotel" ? MAP_HOTEL_COLOR : MAP_UNSCHEDULED_COLOR;
+    marker = window.L.circleMarker([point.lat, point.lon], {
+      radius: isRouteHotel ? 11 : 8,
+      color,
+      fillColor: color,
+      fillOpacity: 0.75,
+      weight: isRouteHotel ? 4 : 2
+    });
+  }
+
+  const heading = point.type === "hotel" ? (isRouteHotel ? "Your hotel" : "Hotel") : "Activity";
+  marker.bindPopup(`
+    <div>
+      <strong>${escapeHtml(heading)}</strong><br/>
+      ${escapeHtml(point.label)}
+      ${stop ? `<br/>Day ${escapeHtml(String(stop.day))} · stop ${escapeHtml(String(stop.stop))} (${escapeHtml(stop.slot)})` : ""}
+      ${point.type === "activity" && !stop ? '<br/><span class="muted">Not scheduled</span>' : ""}
+      ${point.approximate ? '<br/><span class="muted">Approximate location (city center)</span>' : ""}
+    </div>
+  `);
+  if (point.type === "activity" && point.id) {
+    marker.on("click", () => highlightActivityCard(point.id));
+  }
+  return marker;
+}
+
+/**
+ * One polyline per scheduled day: the selected hotel, then that day's stops in order
+ */
+function buildDayRoutes(hotelPoint, points, stops) {
+  const byDay = new Map();
+  points.forEach((point) => {
+    const stop = point.type === "activity" ? stops.get(point.id) : null;
+    if (!stop) return;
+    if (!byDay.has(stop.day)) byDay.set(stop.day, []);
+    byDay.get(stop.day).push({ ...stop, point });
+  });
+
+  return [...byDay.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([day, dayStops]) => {
+      const path = [
+        ...(hotelPoint ? [hotelPoint] : []),
+        ...dayStops.sort((a, b) => a.stop - b.stop).map((entry) => entry.point)
+      ].map((point) => [point.lat, point.lon]);
+      if (path.length < 2) return null;
+
+      const layer = window.L.polyline(path, { color: dayColor(day), weight: 3, opacity: 0.8 });
+      layer.bindTooltip(`Day ${day} route`, { sticky: true });
+      return { kind: "route", day, category: null, layer };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Visibility state for the map's layer control. Hotels only follow the
+ * hotels toggle; activities and routes also follow the day and category toggles.
+ */
+function createMapFilters(entries) {
+  const activityEntries = entries.filter((entry) => entry.kind === "activity");
+  const days = [...new Set(entries.filter((entry) => entry.day != null).map((entry) => entry.day))].sort((a, b) => a - b);
+  const state = {
+    kinds: new Set(["hotel", "activity"]),
+    days: new Set([...days.map(String), "unscheduled"]),
+    categories: new Set(activityEntries.map((entry) => entry.category))
+  };
+
+  return {
+    days,
+    hasUnscheduled: activityEntries.some((entry) => entry.day == null),
+    categories: [...state.categories].sort(),
+    state,
+
+    set(group, value, enabled) {
+      const target = state[group];
+      if (!target) return;
+      if (enabled) target.add(value);
+      else target.delete(value);
+    },
+
+    isVisible(entry) {
+      if (entry.kind === "hotel") return state.kinds.has("hotel");
+      if (!state.kinds.has("activity")) return false;
+      if (!state.days.has(entry.day == null ? "unscheduled" : String(entry.day))) return false;
+      return entry.kind === "route" || state.categories.has(entry.category);
+    }
+  };
+}
+
+function createMapFilterControl(filters, onChange) {
+  const checkbox = (group, value, label, color = "") => `
+    <label class="map-filter-option">
+      <input type="checkbox" data-filter-group="${escapeHtml(group)}" value="${escapeHtml(value)}" checked />
+      ${color ? `<span class="map-filter-swatch" style="background:${color}"></span>` : ""}
+      ${escapeHtml(label)}
+    </label>
+  `;
+
+  const control = window.L.control({ position: "topright" });
+  control.onAdd = () => {
+    const container = window.L.DomUtil.create("div", "leaflet-bar map-filter-control");
+    container.innerHTML = `
+      <details>
+        <summary>Layers</summary>
+        <div class="map-filter-group">
+          ${checkbox("kinds", "hotel", "Hotels", MAP_HOTEL_COLOR)}
+          ${checkbox("kinds", "activity", "Activities")}
+        </div>
+        ${
+          filters.days.length || filters.hasUnscheduled
+            ? `<div class="map-filter-group">
+                <strong>Days</strong>
+                ${filters.days.map((day) => checkbox("days", String(day), `Day ${day}`, dayColor(day))).join("")}
+                ${filters.hasUnscheduled ? checkbox("days", "unscheduled", "Not scheduled", MAP_UNSCHEDULED_COLOR) : ""}
+              </div>`
+            : ""
+        }
+        ${
+          filters.categories.length
+            ? `<div class="map-filter-group">
+                <strong>Categories</strong>
+                ${filters.categories.map((category) => checkbox("categories", category, toTitleCase(category))).join("")}
+              </div>`
+            : ""
+        }
+      </details>
+    `;
+    window.L.DomEvent.disableClickPropagation(container);
+    window.L.DomEvent.disableScrollPropagation(container);
+    container.addEventListener("change", (event) => {
+      const input = event.target;
+      if (!input?.matches?.("input[data-filter-group]")) return;
+      filters.set(input.getAttribute("data-filter-group"), input.value, input.checked);
+      onChange();
+    });
+    return container;
+  };
+  return control;
+}
+
+// Clicking an activity marker points at its option card in the Activities section
+function highlightActivityCard(activityId) {
+  document.querySelectorAll(".option.is-map-highlighted").forEach((element) => {
+    element.classList.remove("is-map-highlighted");
+  });
+  const card = [...document.querySelectorAll(".option[data-activity-id]")].find(
+    (element) => element.getAttribute("data-activity-id") === activityId
+  );
+  if (!card) return;
+  card.classList.add("is-map-highlighted");
+  card.scrollIntoView({ behavior: "smooth", block: "center" });
+}
+
+function ensureItineraryMap(mapElement, center) {
   if (!itineraryMap || itineraryMap.getContainer() !== mapElement) {
     if (itineraryMap) {
       itineraryMap.remove();
       itineraryMap = null;
       itineraryMapLayer = null;
+      itineraryMapControl = null;
     }
 
     itineraryMap = window.L.map(mapElement, {
       zoomControl: true
-    }).setView([48.8566, 2.3522], 12);
+    });
 
     window.L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
       maxZoom: 19,
@@ -1126,6 +1916,10 @@ function ensureItineraryMap(mapElement) {
     itineraryMapLayer = window.L.layerGroup().addTo(itineraryMap);
   }
 
+  // Recenter on every render so another itinerary never opens on the previous trip's view:
+  // the destination first (or a world view when it could not be found), then the mapped places
+  itineraryMap.setView(center ? [center.lat, center.lon] : [20, 0], center ? 12 : 2);
+
   setTimeout(() => {
     itineraryMap?.invalidateSize();
   }, 0);
@@ -1133,33 +1927,29 @@ function ensureItineraryMap(mapElement) {
   return itineraryMap;
 }
 
+// Geocoding goes through the server, which caches answers and throttles upstream lookups
 async function geocodePlace(query) {
   const key = String(query || "").trim().toLowerCase();
   if (!key) return null;
   if (geocodeCache.has(key)) return geocodeCache.get(key);
 
   try {
-    const url = `https://nominatim.openstreetmap.org/search?format=jsonv2&limit=1&q=${encodeURIComponent(query)}`;
-    const response = await fetch(url, {
+    const response = await fetch(`/api/geocode?q=${encodeURIComponent(query)}`, {
       headers: {
         Accept: "application/json"
       }
     });
     if (!response.ok) {
-      geocodeCache.set(key, null);
+      // Not found is a stable answer; other failures may succeed on the next render
+      if (response.status === 404) geocodeCache.set(key, null);
       return null;
     }
 
     const payload = await response.json();
-    const first = Array.isArray(payload) ? payload[0] : null;
-    if (!first?.lat || !first?.lon) {
-      geocodeCache.set(key, null);
-      return null;
-    }
-
     const point = {
-      lat: Number(first.lat),
-      lon: Number(first.lon)
+      lat: Number(payload.latitude),
+      lon: Number(payload.longitude),
+      approximate: payload.precision === "city"
     };
     if (Number.isNaN(point.lat) || Number.isNaN(point.lon)) {
       geocodeCache.set(key, null);
@@ -1169,49 +1959,169 @@ async function geocodePlace(query) {
     geocodeCache.set(key, point);
     return point;
   } catch {
-    geocodeCache.set(key, null);
     return null;
   }
 }
 
 function renderCostSummary(costs) {
+  const display = costs.display || null;
   const lines = [
-    ["Flight", Number(costs.flightUsd) || 0],
-    ["Hotel", Number(costs.hotelUsd) || 0],
-    ["Car Rental", Number(costs.carRentalUsd) || 0],
-    ["Activities", Number(costs.activitiesUsd) || 0]
+    ["Flight", Number(costs.flightUsd) || 0, display?.flight],
+    ["Hotel", Number(costs.hotelUsd) || 0, display?.hotel],
+    ["Car Rental", Number(costs.carRentalUsd) || 0, display?.carRental],
+    ["Activities", Number(costs.activitiesUsd) || 0, display?.activities],
+    ["Taxes & Fees", Number(costs.feesUsd) || 0, display?.fees]
   ];
 
+  const renderValue = (usd, converted) => `
+    <span class="cost-value">
+      ${escapeHtml(formatUsd(usd) || "$0")}
+      ${display ? `<span class="cost-converted">${escapeHtml(formatMoney(converted, display.currency) || "")}</span>` : ""}
+    </span>
+  `;
+
   const rows = lines
-    .map(([label, value]) => {
+    .map(([label, value, converted]) => {
       return `
         <div class="cost-row">
           <span class="cost-label">${escapeHtml(label)}</span>
-          <span class="cost-value">${escapeHtml(formatUsd(value) || "$0")}</span>
+          ${renderValue(value, converted)}
         </div>
       `;
     })
     .join("");
 
-  const total = formatUsd(Number(costs.totalUsd) || 0) || "$0";
+  // Itemized taxes and fees; converted amounts use the same rate as the totals
+  const feeRows = (Array.isArray(costs.fees) ? costs.fees : [])
+    .map(
+      (fee) => `
+        <div class="cost-row cost-fee-line">
+          <span class="cost-label">${escapeHtml(fee.label)}</span>
+          ${renderValue(Number(fee.amountUsd) || 0, display ? Number(fee.amountUsd) * display.rate : null)}
+        </div>
+      `
+    )
+    .join("");
+  const feeRules = costs.feeRules ? `<div class="muted">Taxes and fees use ${escapeHtml(costs.feeRules)} rules.</div>` : "";
 
   return `
     <div class="cost-summary-card">
       ${rows}
+      ${feeRows}
+      ${feeRules}
       <div class="cost-row cost-total">
         <span class="cost-label">Total</span>
-        <span class="cost-value">${escapeHtml(total)}</span>
+        ${renderValue(Number(costs.totalUsd) || 0, display?.total)}
+      </div>
+      ${renderCostSplit(costs.split)}
+      ${
+        display
+          ? `<div class="muted">Converted at 1 USD = ${escapeHtml(String(Number(display.rate.toFixed(4))))} ${escapeHtml(display.currency)} (offline rates as of ${escapeHtml(display.rateAsOf)}). Prices are stored in USD.</div>`
+          : ""
+      }
+    </div>
+  `;
+}
+
+/**
+ * Day-by-day agenda from the server's schedule: one card per day with
+ * morning / afternoon / evening slots; partial days grey out the slots lost to flights
+ */
+function renderAgenda(schedule) {
+  if (!schedule?.days?.length) {
+    return `<p class="muted">No schedule yet.</p>`;
+  }
+
+  const days = schedule.days
+    .map((day) => {
+      const slots = (day.slots || [])
+        .map((slot) => {
+          const content = !slot.available
+            ? `<span class="muted">${escapeHtml(slot.reason || "Unavailable")}</span>`
+            : slot.activity
+              ? `<strong>${escapeHtml(slot.activity.name)}</strong>${slot.activity.location ? `<div class="muted">${escapeHtml(slot.activity.location)}</div>` : ""}`
+              : `<span class="muted">Free time</span>`;
+          return `
+            <div class="agenda-slot ${slot.available ? "" : "is-unavailable"}">
+              <span class="agenda-slot-name">${escapeHtml(toTitleCase(slot.slot))}</span>
+              <div>${content}</div>
+            </div>
+          `;
+        })
+        .join("");
+
+      return `
+        <div class="agenda-day agenda-${escapeHtml(day.kind)}">
+          <div class="agenda-day-header">
+            <strong>Day ${escapeHtml(String(day.day))}</strong>
+            <span class="muted">${escapeHtml(formatAgendaDate(day.date))}${day.note ? ` · ${escapeHtml(day.note)}` : ""}</span>
+          </div>
+          ${slots}
+        </div>
+      `;
+    })
+    .join("");
+
+  const unscheduled = schedule.unscheduled?.length
+    ? `<p class="muted">Not scheduled (over the ${escapeHtml(String(schedule.maxActivitiesPerDay))}-per-day cap): ${escapeHtml(
+        schedule.unscheduled.map((item) => item.name).join(", ")
+      )}</p>`
+    : "";
+
+  return `
+    <p class="muted">Built from your confirmed activities, or the current picks until you confirm. At most ${escapeHtml(String(schedule.maxActivitiesPerDay))} activities per full day.</p>
+    <div class="agenda">${days}</div>
+    ${unscheduled}
+  `;
+}
+
+function formatAgendaDate(value) {
+  if (!value) return "";
+  const parsed = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(parsed.getTime())) return value;
+  return parsed.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+/**
+ * Group trips: what each traveler pays, shared (room, car) vs individual (flight, activities)
+ */
+function renderCostSplit(split) {
+  if (!split || !(split.travelers > 1)) return "";
+
+  const rows = (split.byTraveler || [])
+    .map(
+      (traveler) => `
+        <div class="cost-row cost-split-row">
+          <span class="cost-label">${escapeHtml(traveler.name)} <span class="muted">(room ${escapeHtml(String(traveler.room))})</span></span>
+          <span class="cost-value">
+            ${escapeHtml(formatCost(traveler.totalUsd) || "$0")}
+            <span class="cost-converted">shared ${escapeHtml(formatUsd(traveler.sharedUsd) || "$0")} · individual ${escapeHtml(formatUsd(traveler.individualUsd) || "$0")}</span>
+          </span>
+        </div>
+      `
+    )
+    .join("");
+
+  return `
+    <div class="cost-split">
+      <div class="cost-row">
+        <span class="cost-label">Per person (${escapeHtml(String(split.travelers))} travelers)</span>
+        <span class="cost-value">${escapeHtml(formatCost(split.perPersonAverageUsd) || "$0")} avg</span>
       </div>
+      ${rows}
+      <div class="muted">Hotel rooms and cars are shared costs; flights, activities and per-traveler fees are individual.</div>
     </div>
   `;
 }
 
 function renderOptionQuickFacts(componentType, option) {
   const facts = [];
+  const groupTrip = (currentPlan?.itinerary?.travelers?.count ?? 1) > 1;
 
   if (componentType === "flight") {
     facts.push(
-      ["Price", formatUsd(option.costUsd)],
+      [groupTrip ? "Price / person" : "Price", formatCost(option.costUsd)],
+      ["Quoted", formatQuotedPrice(option, "cost")],
       ["Airline", option.airline],
       ["Route", option.route],
       ["Class", option.class],
@@ -1221,18 +2131,25 @@ function renderOptionQuickFacts(componentType, option) {
     );
   } else if (componentType === "hotel") {
     facts.push(
-      ["Total", formatUsd(option.costUsd)],
-      ["Nightly", formatUsd(option.nightlyUsd)],
+      ["Total", formatCost(option.costUsd)],
+      [groupTrip ? "Nightly / room" : "Nightly", formatCost(option.nightlyUsd)],
+      ["Quoted nightly", formatQuotedPrice(option, "nightly")],
       ["Nights", option.nights],
+      ["Rooms", groupTrip && option.rooms ? `${option.rooms} (sleeps ${option.roomOccupancy ?? "?"} each)` : null],
+      ["Avg distance to your activities", formatActivityTravel(option.activityTravel)],
       ["Stars", option.stars ? `${option.stars}★` : null]
     );
   } else if (componentType === "carRental") {
     facts.push(
-      ["Total", formatUsd(option.costUsd)],
-      ["Daily", formatUsd(option.dailyRateUsd)],
+      ["Total", formatCost(option.costUsd)],
+      ["Daily", formatCost(option.dailyRateUsd)],
+      ["Quoted daily", formatQuotedPrice(option, "dailyRate")],
       ["Days", option.rentalDays],
       ["Company", option.company],
-      ["Car Type", option.carType]
+      ["Car Type", option.carType],
+      ["Seats", option.seats],
+      ["Cars", groupTrip && option.cars ? option.cars : null],
+      ["Drivers", option.driverNote]
     );
   }
 
@@ -1252,11 +2169,45 @@ function renderOptionQuickFacts(componentType, option) {
   return `<div class="option-facts">${rows}</div>`;
 }
 
+function formatActivityTravel(summary) {
+  if (!summary?.measured) return null;
+  const mode = summary.suggestedMode || "transit";
+  const minutes = summary.averageMinutes?.[mode];
+  return `${summary.averageKm} km · ~${minutes} min by ${mode}`;
+}
+
 function formatUsd(value) {
   if (typeof value !== "number" || Number.isNaN(value)) return null;
   return `$${value.toLocaleString("en-US")}`;
 }
 
+function formatMoney(value, currencyCode) {
+  if (typeof value !== "number" || Number.isNaN(value) || !currencyCode) return null;
+  try {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency: currencyCode }).format(value);
+  } catch {
+    return `${value.toLocaleString()} ${currencyCode}`;
+  }
+}
+
+/**
+ * USD amount, followed by the display-currency amount when the itinerary has one
+ */
+function formatCost(value) {
+  const usd = formatUsd(value);
+  const display = currentPlan?.itinerary?.estimatedCostSummary?.display;
+  if (!usd || !display?.rate) return usd;
+  return `${usd} (${formatMoney(value * display.rate, display.currency)})`;
+}
+
+/**
+ * An option's original quote when it was priced in another currency, or null
+ */
+function formatQuotedPrice(option, priceKey) {
+  if (!option?.sourceCurrency || option.sourceCurrency === "USD") return null;
+  return formatMoney(option.sourcePrices?.[priceKey], option.sourceCurrency);
+}
+
 function formatDateTime(value) {
   if (!value || typeof value !== "string") return "-";
   const parsed = new Date(value);
@@ -1296,20 +2247,29 @@ function renderActivityCategoryOptions(planData) {
         .map((activity) => {
           const isChecked = activity.id === currentSelection;
           return `
-            <label class="option">
+            <label class="option" data-activity-id="${escapeHtml(activity.id)}">
               <div class="inline">
                 <input class="activity-choice-input" type="radio" name="${escapeHtml(groupName)}" data-category="${escapeHtml(category)}" value="${escapeHtml(activity.id)}" ${isChecked ? "checked" : ""} ${isConfirmed ? "disabled" : ""} />
                 <strong>${escapeHtml(activity.name)}</strong>
+                ${renderBudgetFlag(activity)}
               </div>
               <div class="option-facts">
                 <div class="option-fact-row">
                   <span class="option-fact-label">Day</span>
-                  <span class="option-fact-value">${escapeHtml(activity.scheduledDay || "Any day")}</span>
+                  <span class="option-fact-value">${escapeHtml(activity.scheduledDay || "Not scheduled")}</span>
                 </div>
                 <div class="option-fact-row">
                   <span class="option-fact-label">Estimated Cost</span>
-                  <span class="option-fact-value">${escapeHtml(formatUsd(activity.estimatedCostUsd) || "$0")}</span>
+                  <span class="option-fact-value">${escapeHtml(formatCost(activity.estimatedCostUsd) || "$0")}</span>
                 </div>
+                ${
+                  formatQuotedPrice(activity, "estimatedCost")
+                    ? `<div class="option-fact-row">
+                  <span class="option-fact-label">Quoted</span>
+                  <span class="option-fact-value">${escapeHtml(formatQuotedPrice(activity, "estimatedCost"))}</span>
+                </div>`
+                    : ""
+                }
               </div>
               ${activity.notes ? `<div class="muted">${escapeHtml(activity.notes)}</div>` : ""}
             </label>
@@ -1322,6 +2282,7 @@ function renderActivityCategoryOptions(planData) {
           <h4>${escapeHtml(toTitleCase(category))}</h4>
           <p class="muted">${isConfirmed ? "Confirmed" : "Choose one activity option."}</p>
           <div class="component-options">${optionsHtml}</div>
+          ${isConfirmed ? "" : renderRegenerateControls("activities", category)}
         </section>
       `;
     })
@@ -1329,7 +2290,10 @@ function renderActivityCategoryOptions(planData) {
 
   const controls = `
     <div class="activity-confirm-wrap">
-      <button id="confirm-activities-btn" ${isConfirmed ? "disabled" : ""}>${isConfirmed ? "Activities Confirmed" : "Confirm Activities"}</button>
+      <div class="inline">
+        <button id="confirm-activities-btn" ${isConfirmed ? "disabled" : ""}>${isConfirmed ? "Activities Confirmed" : "Confirm Activities"}</button>
+        ${isConfirmed ? `<button class="secondary revoke-btn" data-component="activities">Change activities</button>` : ""}
+      </div>
       <div class="muted">${isConfirmed ? "Map now shows only confirmed activity options." : "Select one option per category, then confirm activities."}</div>
     </div>
   `;
@@ -1356,20 +2320,73 @@ function attachActivityChoiceHandlers() {
 function attachActivityConfirmHandler() {
   const button = document.getElementById("confirm-activities-btn");
   if (!button) return;
-  button.addEventListener("click", () => {
+  button.addEventListener("click", async () => {
     const selected = getSelectedActivityOptions(currentPlan);
     if (!selected.length) {
       setItineraryStatus("Choose at least one activity option before confirming activities.", true);
       return;
     }
 
-    currentPlan.activityConfirmed = true;
-    currentPlan.confirmedActivities = selected;
-    setItineraryStatus("Activities confirmed. Map now shows only confirmed activity options.");
-    renderItinerary(currentPlan);
+    button.disabled = true;
+
+    try {
+      const response = await fetch("/api/confirm-activities", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          itineraryId: currentPlan.itineraryId,
+          selections: Object.fromEntries(selected.map((activity) => [activity.category, activity.id]))
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(apiErrorMessage(data, "Failed to confirm activities"));
+      }
+
+      if (Array.isArray(data.activityEvents) && data.activityEvents.length > 0) {
+        data.activityEvents.forEach((event) => addActivity(event));
+      }
+
+      currentPlan = {
+        ...currentPlan,
+        ...data,
+        ...activityStateFromConfirmations(data)
+      };
+      renderItinerary(currentPlan);
+      setItineraryStatus(
+        data.nextComponentToConfirm
+          ? `Activities confirmed. Next: confirm ${data.nextComponentToConfirm}.`
+          : "Activities confirmed. All components confirmed. Please review final summary."
+      );
+    } catch (error) {
+      button.disabled = false;
+      setItineraryStatus(error.message || "Unexpected activity confirmation error", true);
+    }
   });
 }
 
+function activityStateFromConfirmations(planData) {
+  const selections = planData?.confirmations?.activities?.selections;
+  if (!selections) {
+    return { activitySelections: {}, activityConfirmed: false, confirmedActivities: [] };
+  }
+
+  const activities = normalizeActivities(planData?.itinerary?.activities || []);
+  const confirmedActivities = Object.entries(selections)
+    .map(([category, activityId]) => {
+      const activity = activities.find((item) => item.id === activityId);
+      return activity ? { ...activity, category } : null;
+    })
+    .filter(Boolean);
+
+  return {
+    activitySelections: { ...selections },
+    activityConfirmed: true,
+    confirmedActivities
+  };
+}
+
 function getActivityCategoryOptionSets(planData) {
   const items = normalizeActivities(planData?.itinerary?.activities || []);
   if (!items.length) return [];
@@ -1385,7 +2402,7 @@ function getActivityCategoryOptionSets(planData) {
     .map((category) => {
       const options = pickActivityOptionsForCategory(items, category).slice(0, 3);
       if (options.length && !planData.activitySelections[category]) {
-        planData.activitySelections[category] = options[0].id;
+        planData.activitySelections[category] = (options.find((option) => option.recommended) || options[0]).id;
       }
       return { category, options };
     })
@@ -1451,7 +2468,12 @@ function normalizeActivities(items) {
         location: String(activity?.location || ""),
         estimatedCostUsd: Number(activity?.estimatedCostUsd || 0),
         scheduledDay: String(activity?.scheduledDay || ""),
-        notes: String(activity?.notes || "")
+        notes: String(activity?.notes || ""),
+        latitude: activity?.latitude ?? null,
+        longitude: activity?.longitude ?? null,
+        recommended: Boolean(activity?.recommended),
+        overBudget: Boolean(activity?.overBudget),
+        budgetNote: activity?.budgetNote || null
       };
     })
     .filter((activity) => activity.name);
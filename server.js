@@ -4,12 +4,38 @@ import path from "path";
 import { fileURLToPath } from "url";
 import { randomUUID } from "crypto";
 import {
+  applyActivitySelections,
+  applyComponentSelection,
   buildItineraryDraft,
   createFinalReview,
   recomputeDependentComponentsFromFlight,
+  fitItineraryToBudget,
+  mergeRegeneratedOptions,
+  regenerateComponentOptions,
+  validateRegenerationRequest,
   validateTripRequest,
+  agentConfig,
+  plannerMode,
+  cassetteMode,
+  guardrailConfig,
+  currency,
+  feeModel,
+  scheduleConfig,
+  travel,
+  ACTIVITY_CONFIRMATION,
+  CONFIRMATION_STEPS,
   TRIP_COMPONENTS
 } from "./src/agents/tripPlanner.js";
+import { createUsageTracker } from "./src/agents/usage.js";
+import { createItineraryStore, storeConfigFromEnv } from "./src/storage/itineraryStore.js";
+import { createJobManager } from "./src/jobs/jobManager.js";
+import { buildItineraryCalendar } from "./src/services/calendar.js";
+import {
+  createGeocoder,
+  geocodingConfigFromEnv,
+  GeocoderUnavailableError,
+  MAX_GEOCODE_QUERY_LENGTH
+} from "./src/services/geocoding.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,13 +46,124 @@ const port = Number(process.env.PORT || 3000);
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 
-const itineraryStore = new Map();
+// Changing a flight shifts the stay window, so hotel and car confirmations no longer hold
+const DEPENDENT_CONFIRMATIONS = {
+  flight: ["hotel", "carRental"]
+};
+const ITINERARY_STATUSES = ["draft", "awaiting_final_confirmation", "confirmed", "declined"];
+const itineraryStore = await createItineraryStore(storeConfigFromEnv());
+const geocoder = await createGeocoder(geocodingConfigFromEnv());
+const planJobs = createJobManager({
+  retentionMinutes: Number(process.env.PLAN_JOB_RETENTION_MINUTES || 30)
+});
+const SSE_RETRY_MS = 2000;
+itineraryStore.startCleanup();
 
 app.get("/api/health", (_req, res) => {
-  res.json({ status: "ok", service: "spring-break-trip-agent" });
+  res.json({
+    status: "ok",
+    service: "spring-break-trip-agent",
+    itineraryStore: itineraryStore.driver,
+    plannerMode,
+    cassetteMode,
+    guardrails: guardrailConfig,
+    currency: currency.describe(),
+    fees: feeModel.describe(),
+    schedule: scheduleConfig,
+    travel: travel.describe(),
+    geocoding: geocoder.describe(),
+    agents: agentConfig
+  });
+});
+
+app.get("/api/currencies", (_req, res) => {
+  const { asOf, currencies, defaultDisplayCurrency } = currency.describe();
+  res.json({
+    asOf,
+    defaultDisplayCurrency,
+    currencies: currencies.map((code) => ({ code, ratePerUsd: currency.rate("USD", code) }))
+  });
 });
 
-app.post("/api/plan", async (req, res) => {
+app.get("/api/geocode", asyncRoute(async (req, res) => {
+  const query = String(req.query.q ?? "").trim();
+  if (!query || query.length > MAX_GEOCODE_QUERY_LENGTH) {
+    return res.status(400).json({
+      error: `q must be a place name of 1 to ${MAX_GEOCODE_QUERY_LENGTH} characters`
+    });
+  }
+
+  let place;
+  try {
+    place = await geocoder.lookup(query);
+  } catch (error) {
+    const unavailable = error instanceof GeocoderUnavailableError;
+    return res.status(unavailable ? 502 : 500).json({
+      error: unavailable ? "Geocoding providers are unavailable" : "Failed to geocode place",
+      details: error instanceof Error ? error.message : "Unknown error"
+    });
+  }
+  if (!place) {
+    return res.status(404).json({ error: "Place not found", query });
+  }
+
+  res.json({ query, ...place });
+}));
+
+app.get("/api/itineraries", asyncRoute(async (req, res) => {
+  const page = parsePositiveInt(req.query.page, 1);
+  const pageSize = Math.min(parsePositiveInt(req.query.pageSize, 20), 100);
+  const destination = String(req.query.destination || "").trim().toLowerCase();
+  const status = String(req.query.status || "").trim();
+
+  if (status && !ITINERARY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `status must be one of: ${ITINERARY_STATUSES.join(", ")}`
+    });
+  }
+
+  const matching = (await itineraryStore.list())
+    .filter((record) => !destination || String(record.preferences?.destinationCity || "").toLowerCase().includes(destination))
+    .filter((record) => !status || itineraryStatus(record) === status)
+    .sort((a, b) => String(b.updatedAt || b.createdAt).localeCompare(String(a.updatedAt || a.createdAt)));
+
+  res.json({
+    page,
+    pageSize,
+    total: matching.length,
+    totalPages: Math.max(1, Math.ceil(matching.length / pageSize)),
+    items: matching.slice((page - 1) * pageSize, page * pageSize).map(toItinerarySummary)
+  });
+}));
+
+app.get("/api/itineraries/:id", asyncRoute(async (req, res) => {
+  const record = await itineraryStore.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: "Itinerary not found" });
+  }
+
+  res.json(toItineraryResponse(record));
+}));
+
+app.get("/api/itineraries/:id/calendar.ics", asyncRoute(async (req, res) => {
+  const record = await itineraryStore.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: "Itinerary not found" });
+  }
+  if (!record.finalConfirmed) {
+    return res.status(409).json({ error: "Calendar export is available after final confirmation" });
+  }
+
+  const destination = slugify(record.itinerary?.destinationCity || record.preferences?.destinationCity || "") || "trip";
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${destination}-${record.itineraryId.slice(0, 8)}.ics"`
+  );
+  res.send(buildItineraryCalendar(record));
+}));
+
+app.post("/api/plan", asyncRoute(async (req, res) => {
   const validation = validateTripRequest(req.body);
   if (!validation.success) {
     return res.status(400).json({
@@ -35,25 +172,30 @@ app.post("/api/plan", async (req, res) => {
     });
   }
 
+  const controller = abortOnDisconnect(res);
+
   try {
     const preferences = validation.data;
-    const itineraryDraft = await buildItineraryDraft(preferences);
-    const itineraryId = storeItineraryRecord(preferences, itineraryDraft);
+    const usage = createUsageTracker();
+    const itineraryDraft = await buildItineraryDraft(preferences, { signal: controller.signal, usage });
+    const record = await storeItineraryRecord(preferences, itineraryDraft, usage.summary());
 
     res.json({
-      itineraryId,
+      itineraryId: record.itineraryId,
       itinerary: itineraryDraft,
-      nextComponentToConfirm: nextComponentToConfirm(itineraryStore.get(itineraryId).confirmations)
+      nextComponentToConfirm: nextComponentToConfirm(record.confirmations),
+      usage: record.usage
     });
   } catch (error) {
+    if (controller.signal.aborted) return;
     res.status(500).json({
       error: "Failed to generate itinerary",
       details: error instanceof Error ? error.message : "Unknown error"
     });
   }
-});
+}));
 
-app.post("/api/plan-stream", async (req, res) => {
+app.post("/api/plan-stream", (req, res) => {
   const validation = validateTripRequest(req.body);
   if (!validation.success) {
     return res.status(400).json({
@@ -62,69 +204,67 @@ app.post("/api/plan-stream", async (req, res) => {
     });
   }
 
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache, no-transform");
-  res.setHeader("Connection", "keep-alive");
-  res.setHeader("X-Accel-Buffering", "no");
-  if (typeof res.flushHeaders === "function") {
-    res.flushHeaders();
+  // A direct stream is a job whose only subscriber is this response, so a disconnect cancels it
+  const job = startPlanJob(validation.data);
+  const { pushEvent, end, controller } = openEventStream(req, res);
+  controller.signal.addEventListener("abort", () => planJobs.cancel(job.jobId));
+  planJobs.subscribe(job.jobId, 0, {
+    onEvent: (event) => pushEvent(event.name, event.data, event.id),
+    onEnd: end
+  });
+});
+
+app.post("/api/plans", (req, res) => {
+  const validation = validateTripRequest(req.body);
+  if (!validation.success) {
+    return res.status(400).json({
+      error: "Invalid trip request",
+      details: validation.error.flatten()
+    });
   }
 
-  let responseClosed = false;
-  res.on("close", () => {
-    responseClosed = true;
-  });
-  req.on("aborted", () => {
-    responseClosed = true;
+  const job = startPlanJob(validation.data);
+  res.status(202).json({
+    jobId: job.jobId,
+    status: job.status,
+    eventsUrl: `/api/plans/${job.jobId}/events`
   });
+});
 
-  const pushEvent = (eventName, payload) => {
-    if (responseClosed) return;
-    
-    // Wrap all SSE payloads in a consistent envelope with timestamp
-    const envelope = {
-      ts: new Date().toISOString(),
-      ...payload
-    };
-    
-    res.write(`event: ${eventName}\n`);
-    res.write(`data: ${JSON.stringify(envelope)}\n\n`);
-  };
+app.get("/api/plans/:jobId", (req, res) => {
+  const job = planJobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: "Planning job not found" });
+  }
 
-  try {
-    const preferences = validation.data;
-    pushEvent("activity", {
-      type: "planning_started",
-      stage: "initialization",
-      message: "Trip planning request accepted."
-    });
+  res.json(job);
+});
 
-    const itineraryDraft = await buildItineraryDraft(preferences, {
-      onEvent: (event) => pushEvent("activity", event)
-    });
+app.get("/api/plans/:jobId/events", (req, res) => {
+  if (!planJobs.get(req.params.jobId)) {
+    return res.status(404).json({ error: "Planning job not found" });
+  }
 
-    const itineraryId = storeItineraryRecord(preferences, itineraryDraft);
-    pushEvent("result", {
-      itineraryId,
-      itinerary: itineraryDraft,
-      nextComponentToConfirm: nextComponentToConfirm(itineraryStore.get(itineraryId).confirmations)
-    });
-    pushEvent("done", {
-      message: "Planning complete. Review options and confirm components."
-    });
-  } catch (error) {
-    pushEvent("error", {
-      error: "Failed to generate itinerary",
-      details: error instanceof Error ? error.message : "Unknown error"
-    });
-  } finally {
-    if (!responseClosed) {
-      res.end();
-    }
+  const lastEventId = Number(req.get("Last-Event-ID") ?? req.query.lastEventId ?? 0) || 0;
+  const { pushEvent, end } = openEventStream(req, res);
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  const unsubscribe = planJobs.subscribe(req.params.jobId, lastEventId, {
+    onEvent: (event) => pushEvent(event.name, event.data, event.id),
+    onEnd: end
+  });
+  res.on("close", () => unsubscribe?.());
+});
+
+app.post(["/api/plans/:jobId/cancel", "/api/plan/:jobId/cancel"], (req, res) => {
+  if (!planJobs.cancel(req.params.jobId)) {
+    return res.status(404).json({ error: "Planning job not found or already finished" });
   }
+
+  res.json({ jobId: req.params.jobId, cancelled: true });
 });
 
-app.post("/api/confirm-component", async (req, res) => {
+app.post("/api/confirm-component", itineraryRoute((req) => req.body?.itineraryId, async (req, res) => {
   const { itineraryId, componentType, optionId } = req.body ?? {};
   if (!itineraryId || !componentType || !optionId) {
     return res.status(400).json({ error: "itineraryId, componentType, and optionId are required" });
@@ -136,7 +276,7 @@ app.post("/api/confirm-component", async (req, res) => {
     });
   }
 
-  const record = itineraryStore.get(itineraryId);
+  const record = await itineraryStore.get(itineraryId);
   if (!record) {
     return res.status(404).json({ error: "Itinerary not found" });
   }
@@ -151,30 +291,39 @@ app.post("/api/confirm-component", async (req, res) => {
     return res.status(400).json({ error: "Selected option is not valid for this component" });
   }
 
+  const previousOptionId = record.confirmations[componentType]?.optionId ?? null;
   record.confirmations[componentType] = {
     optionId,
     confirmedAt: new Date().toISOString()
   };
+  appendConfirmationHistory(record, {
+    component: componentType,
+    action: previousOptionId ? "revised" : "confirmed",
+    optionId,
+    previousOptionId
+  });
 
   if (componentType === "flight") {
     record.itinerary = recomputeDependentComponentsFromFlight(record.itinerary, optionId);
-    record.confirmations.hotel = null;
-    record.confirmations.carRental = null;
-    record.finalReview = null;
   }
+  record.itinerary = applyComponentSelection(record.itinerary, componentType, optionId);
+  clearDependentConfirmations(record, componentType);
 
-  const activityEvents = [];
-  const remainingComponent = nextComponentToConfirm(record.confirmations);
-  if (!remainingComponent) {
-    record.finalReview = await createFinalReview(record.preferences, record.itinerary, record.confirmations, {
-      onEvent: (event) =>
-        activityEvents.push({
-          ts: new Date().toISOString(),
-          ...event
-        })
+  const controller = abortOnDisconnect(res);
+  let finalReviewResult;
+  try {
+    finalReviewResult = await refreshFinalReviewIfComplete(record, controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    return res.status(500).json({
+      error: "Failed to prepare final review",
+      details: error instanceof Error ? error.message : "Unknown error"
     });
   }
 
+  const { remainingComponent, activityEvents } = finalReviewResult;
+  await itineraryStore.save(record);
+
   res.json({
     itineraryId,
     itinerary: record.itinerary,
@@ -183,15 +332,261 @@ app.post("/api/confirm-component", async (req, res) => {
     finalReview: record.finalReview ?? null,
     activityEvents
   });
-});
+}));
+
+app.post("/api/confirm-activities", itineraryRoute((req) => req.body?.itineraryId, async (req, res) => {
+  const { itineraryId, selections } = req.body ?? {};
+  if (!itineraryId || !selections || typeof selections !== "object" || Array.isArray(selections)) {
+    return res.status(400).json({ error: "itineraryId and selections({ category: activityId }) are required" });
+  }
+
+  const record = await itineraryStore.get(itineraryId);
+  if (!record) {
+    return res.status(404).json({ error: "Itinerary not found" });
+  }
+
+  const requestedCategories = new Map(
+    (record.preferences?.activities ?? []).map((category) => [normalizeCategory(category), category])
+  );
+  const activities = record.itinerary?.activities ?? [];
+  const confirmedSelections = {};
+
+  for (const [category, activityId] of Object.entries(selections)) {
+    const requestedCategory = requestedCategories.get(normalizeCategory(category));
+    if (!requestedCategory) {
+      return res.status(400).json({
+        error: `Category '${category}' was not requested. Requested categories: ${[...requestedCategories.values()].join(", ")}`
+      });
+    }
+
+    const activity = activities.find((item) => item.id === activityId);
+    if (!activity || !activityMatchesCategory(activity, requestedCategory)) {
+      return res.status(400).json({ error: `Selected activity is not valid for category '${category}'` });
+    }
+
+    confirmedSelections[requestedCategory] = activityId;
+  }
+
+  // Every requested category with at least one idea needs a pick
+  const missingCategories = [...requestedCategories.values()].filter(
+    (category) =>
+      !confirmedSelections[category] && activities.some((activity) => activityMatchesCategory(activity, category))
+  );
+  if (missingCategories.length > 0) {
+    return res.status(400).json({ error: `Choose an activity for: ${missingCategories.join(", ")}` });
+  }
+
+  if (activities.length > 0 && Object.keys(confirmedSelections).length === 0) {
+    return res.status(400).json({ error: "Choose at least one activity before confirming activities" });
+  }
+
+  const previousSelections = record.confirmations.activities?.selections ?? null;
+  record.itinerary = applyActivitySelections(record.itinerary, Object.values(confirmedSelections));
+  record.confirmations.activities = {
+    selections: confirmedSelections,
+    confirmedAt: new Date().toISOString()
+  };
+  appendConfirmationHistory(record, {
+    component: ACTIVITY_CONFIRMATION,
+    action: previousSelections ? "revised" : "confirmed",
+    selections: confirmedSelections,
+    previousSelections
+  });
+  clearDependentConfirmations(record, ACTIVITY_CONFIRMATION);
+
+  const controller = abortOnDisconnect(res);
+  let finalReviewResult;
+  try {
+    finalReviewResult = await refreshFinalReviewIfComplete(record, controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    return res.status(500).json({
+      error: "Failed to prepare final review",
+      details: error instanceof Error ? error.message : "Unknown error"
+    });
+  }
+
+  const { remainingComponent, activityEvents } = finalReviewResult;
+  await itineraryStore.save(record);
+
+  res.json({
+    itineraryId,
+    itinerary: record.itinerary,
+    confirmations: record.confirmations,
+    nextComponentToConfirm: remainingComponent,
+    finalReview: record.finalReview ?? null,
+    activityEvents
+  });
+}));
+
+app.delete("/api/itineraries/:id/confirmations/:component", itineraryRoute((req) => req.params.id, async (req, res) => {
+  const { id: itineraryId, component } = req.params;
+  if (!CONFIRMATION_STEPS.includes(component)) {
+    return res.status(400).json({
+      error: `component must be one of: ${CONFIRMATION_STEPS.join(", ")}`
+    });
+  }
+
+  const record = await itineraryStore.get(itineraryId);
+  if (!record) {
+    return res.status(404).json({ error: "Itinerary not found" });
+  }
 
-app.post("/api/final-confirmation", (req, res) => {
+  const existing = record.confirmations?.[component];
+  if (!existing) {
+    return res.status(409).json({ error: `Component '${component}' is not confirmed` });
+  }
+
+  const reason = String(req.body?.reason ?? req.query.reason ?? "").trim() || null;
+  record.confirmations[component] = null;
+  appendConfirmationHistory(record, {
+    component,
+    action: "revoked",
+    optionId: existing.optionId ?? null,
+    selections: existing.selections ?? null,
+    reason
+  });
+
+  record.itinerary =
+    component === ACTIVITY_CONFIRMATION
+      ? applyActivitySelections(record.itinerary, [])
+      : applyComponentSelection(record.itinerary, component, null);
+  clearDependentConfirmations(record, component);
+
+  await itineraryStore.save(record);
+
+  res.json({
+    itineraryId,
+    itinerary: record.itinerary,
+    confirmations: record.confirmations,
+    nextComponentToConfirm: nextComponentToConfirm(record.confirmations),
+    finalReview: null,
+    confirmationHistory: record.confirmationHistory
+  });
+}));
+
+app.post("/api/itineraries/:id/fit-budget", itineraryRoute((req) => req.params.id, async (req, res) => {
+  const record = await itineraryStore.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: "Itinerary not found" });
+  }
+
+  if (!record.itinerary?.budget) {
+    return res.status(400).json({ error: "This itinerary has no budget. Set a budget when planning the trip." });
+  }
+
+  const { itinerary, budgetFit } = fitItineraryToBudget(record.itinerary, record.confirmations ?? {});
+  record.itinerary = itinerary;
+  // The recommendations and totals changed, so an earlier review no longer matches
+  clearFinalReview(record);
+  await itineraryStore.save(record);
+
+  res.json({
+    itineraryId: record.itineraryId,
+    itinerary: record.itinerary,
+    confirmations: record.confirmations,
+    nextComponentToConfirm: nextComponentToConfirm(record.confirmations),
+    finalReview: null,
+    budgetFit
+  });
+}));
+
+app.post("/api/itineraries/:id/regenerate", asyncRoute(async (req, res) => {
+  const validation = validateRegenerationRequest(req.body ?? {});
+  if (!validation.success) {
+    return res.status(400).json({
+      error: "Invalid regeneration request",
+      details: validation.error.flatten()
+    });
+  }
+
+  const record = await itineraryStore.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: "Itinerary not found" });
+  }
+
+  const request = validation.data;
+  if (request.component === ACTIVITY_CONFIRMATION) {
+    const requestedCategory = (record.preferences?.activities ?? []).find(
+      (category) => normalizeCategory(category) === normalizeCategory(request.category)
+    );
+    if (!requestedCategory) {
+      return res.status(400).json({ error: `Category '${request.category}' was not requested` });
+    }
+    request.category = requestedCategory;
+  }
+  if (record.confirmations?.[request.component]) {
+    return res.status(409).json({ error: alreadyConfirmedMessage(request.component) });
+  }
+
+  const { pushEvent, end, controller } = openEventStream(req, res);
+
+  try {
+    pushEvent("activity", {
+      type: "regeneration_started",
+      stage: "regeneration",
+      message: "Regeneration request accepted."
+    });
+
+    const usage = createUsageTracker(record.usage);
+    const { freshOptions } = await regenerateComponentOptions(record.preferences, record.itinerary, request, {
+      onEvent: (event) => pushEvent("activity", event),
+      signal: controller.signal,
+      usage
+    });
+
+    // Merge into a fresh read so changes made while research was running (confirmations,
+    // stay and costs recomputed for a new flight) are kept
+    let newOptionIds = [];
+    const latest = await withItineraryLock(record.itineraryId, async () => {
+      const current = (await itineraryStore.get(record.itineraryId)) ?? record;
+      if (current.confirmations?.[request.component]) return null;
+      const merged = mergeRegeneratedOptions(current.itinerary, request.component, request.category, freshOptions);
+      current.itinerary = merged.itinerary;
+      current.usage = usage.summary();
+      newOptionIds = merged.newOptionIds;
+      await itineraryStore.save(current);
+      return current;
+    });
+    if (!latest) {
+      pushEvent("error", {
+        error: "Failed to regenerate options",
+        details: `${alreadyConfirmedMessage(request.component)} It was confirmed while options were being regenerated.`
+      });
+      return;
+    }
+
+    pushEvent("result", {
+      itineraryId: latest.itineraryId,
+      itinerary: latest.itinerary,
+      confirmations: latest.confirmations,
+      nextComponentToConfirm: nextComponentToConfirm(latest.confirmations),
+      usage: latest.usage,
+      component: request.component,
+      category: request.category ?? null,
+      newOptionIds
+    });
+    pushEvent("done", {
+      message: "Fresh options are ready. Review and confirm."
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    pushEvent("error", {
+      error: "Failed to regenerate options",
+      details: error instanceof Error ? error.message : "Unknown error"
+    });
+  } finally {
+    end();
+  }
+}));
+
+app.post("/api/final-confirmation", itineraryRoute((req) => req.body?.itineraryId, async (req, res) => {
   const { itineraryId, approved } = req.body ?? {};
   if (!itineraryId || typeof approved !== "boolean") {
     return res.status(400).json({ error: "itineraryId and approved(boolean) are required" });
   }
 
-  const record = itineraryStore.get(itineraryId);
+  const record = await itineraryStore.get(itineraryId);
   if (!record) {
     return res.status(404).json({ error: "Itinerary not found" });
   }
@@ -205,6 +600,11 @@ app.post("/api/final-confirmation", (req, res) => {
 
   record.finalConfirmed = approved;
   record.finalConfirmationAt = new Date().toISOString();
+  appendConfirmationHistory(record, {
+    component: "final",
+    action: approved ? "approved" : "declined"
+  });
+  await itineraryStore.save(record);
 
   res.json({
     itineraryId,
@@ -214,30 +614,287 @@ app.post("/api/final-confirmation", (req, res) => {
       : "Final itinerary was not approved. No purchases were made.",
     noPurchasePolicy: "At this stage, nothing is purchased."
   });
+}));
+
+// Express 4 does not catch rejected async handlers; asyncRoute forwards them here
+app.use((error, _req, res, next) => {
+  if (res.headersSent) return next(error);
+  console.error(error);
+  res.status(500).json({
+    error: "Internal server error",
+    details: error instanceof Error ? error.message : "Unknown error"
+  });
 });
 
 app.listen(port, () => {
   console.log(`Trip planner app listening on http://localhost:${port}`);
 });
 
+function asyncRoute(handler) {
+  return (req, res, next) => handler(req, res).catch(next);
+}
+
+/**
+ * A route that reads, changes and saves one itinerary. Requests for the same
+ * itinerary run one at a time, so a slow final review never saves its stale
+ * copy over a confirmation made in the meantime.
+ */
+function itineraryRoute(itineraryIdOf, handler) {
+  return asyncRoute((req, res) => withItineraryLock(itineraryIdOf(req), () => handler(req, res)));
+}
+
+const itineraryLocks = new Map();
+
+function withItineraryLock(itineraryId, task) {
+  if (!itineraryId) return task();
+  const key = String(itineraryId);
+  const run = (itineraryLocks.get(key) ?? Promise.resolve()).then(task);
+  const settled = run.catch(() => {});
+  itineraryLocks.set(key, settled);
+  settled.then(() => {
+    if (itineraryLocks.get(key) === settled) itineraryLocks.delete(key);
+  });
+  return run;
+}
+
+function openEventStream(req, res) {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  if (typeof res.flushHeaders === "function") {
+    res.flushHeaders();
+  }
+
+  const controller = abortOnDisconnect(res);
+  let responseClosed = false;
+  res.on("close", () => {
+    responseClosed = true;
+  });
+  req.on("aborted", () => {
+    responseClosed = true;
+  });
+
+  const pushEvent = (eventName, payload, eventId) => {
+    if (responseClosed) return;
+
+    // Wrap all SSE payloads in a consistent envelope with timestamp
+    const envelope = {
+      ts: new Date().toISOString(),
+      ...payload
+    };
+
+    if (eventId !== undefined) {
+      res.write(`id: ${eventId}\n`);
+    }
+    res.write(`event: ${eventName}\n`);
+    res.write(`data: ${JSON.stringify(envelope)}\n\n`);
+  };
+
+  return {
+    pushEvent,
+    controller,
+    end() {
+      if (!responseClosed) {
+        res.end();
+      }
+    }
+  };
+}
+
+/**
+ * Abort in-flight agent runs when the client goes away before the response is finished
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller;
+}
+
+function startPlanJob(preferences) {
+  return planJobs.start(
+    async ({ jobId, emit, signal }) => {
+      emit("activity", {
+        type: "planning_started",
+        stage: "initialization",
+        jobId,
+        message: "Trip planning request accepted."
+      });
+
+      const usage = createUsageTracker();
+      const itineraryDraft = await buildItineraryDraft(preferences, {
+        onEvent: (event) => emit("activity", event),
+        signal,
+        usage
+      });
+
+      const record = await storeItineraryRecord(preferences, itineraryDraft, usage.summary());
+      const result = {
+        itineraryId: record.itineraryId,
+        itinerary: itineraryDraft,
+        nextComponentToConfirm: nextComponentToConfirm(record.confirmations),
+        usage: record.usage
+      };
+      emit("result", result);
+      emit("done", {
+        message: "Planning complete. Review options and confirm components."
+      });
+
+      return result;
+    },
+    { errorMessage: "Failed to generate itinerary", cancelledMessage: "Planning cancelled." }
+  );
+}
+
 function nextComponentToConfirm(confirmations) {
-  return TRIP_COMPONENTS.find((component) => !confirmations[component]) ?? null;
+  return CONFIRMATION_STEPS.find((component) => !confirmations[component]) ?? null;
 }
 
-function storeItineraryRecord(preferences, itineraryDraft) {
-  const itineraryId = randomUUID();
-  itineraryStore.set(itineraryId, {
-    itineraryId,
+/**
+ * Clear confirmations that depend on a changed component, plus the final review and approval
+ */
+function clearDependentConfirmations(record, component) {
+  for (const dependent of DEPENDENT_CONFIRMATIONS[component] ?? []) {
+    if (!record.confirmations[dependent]) continue;
+    appendConfirmationHistory(record, {
+      component: dependent,
+      action: "cleared",
+      optionId: record.confirmations[dependent].optionId ?? null,
+      reason: `${component} changed`
+    });
+    record.confirmations[dependent] = null;
+    record.itinerary = applyComponentSelection(record.itinerary, dependent, null);
+  }
+
+  clearFinalReview(record);
+}
+
+// One confirmation covers every activity category, so it blocks regenerating any of them
+function alreadyConfirmedMessage(component) {
+  return component === ACTIVITY_CONFIRMATION
+    ? "Activities are confirmed. Revoke the activity confirmation (it covers every category) before regenerating ideas."
+    : `Component '${component}' is confirmed. Revoke the confirmation before regenerating its options.`;
+}
+
+function clearFinalReview(record) {
+  record.finalReview = null;
+  record.finalConfirmed = false;
+  record.finalConfirmationAt = null;
+}
+
+function appendConfirmationHistory(record, entry) {
+  record.confirmationHistory = [
+    ...(record.confirmationHistory ?? []),
+    {
+      at: new Date().toISOString(),
+      ...entry
+    }
+  ];
+}
+
+async function refreshFinalReviewIfComplete(record, signal) {
+  const activityEvents = [];
+  const remainingComponent = nextComponentToConfirm(record.confirmations);
+  if (!remainingComponent) {
+    const usage = createUsageTracker(record.usage);
+    record.finalReview = await createFinalReview(record.preferences, record.itinerary, record.confirmations, {
+      onEvent: (event) =>
+        activityEvents.push({
+          ts: new Date().toISOString(),
+          ...event
+        }),
+      signal,
+      usage
+    });
+    record.usage = usage.summary();
+  }
+
+  return { remainingComponent, activityEvents };
+}
+
+function normalizeCategory(category) {
+  return String(category || "").toLowerCase().trim();
+}
+
+// Same grouping the UI uses: exact category, or one name containing the other ("food" / "food tours")
+function activityMatchesCategory(activity, category) {
+  const activityCategory = normalizeCategory(activity?.category);
+  const requested = normalizeCategory(category);
+  if (!activityCategory || !requested) return false;
+  return activityCategory === requested || activityCategory.includes(requested) || requested.includes(activityCategory);
+}
+
+function itineraryStatus(record) {
+  if (record.finalConfirmed) return "confirmed";
+  if (record.finalConfirmationAt) return "declined";
+  if (nextComponentToConfirm(record.confirmations ?? {})) return "draft";
+  return "awaiting_final_confirmation";
+}
+
+function toItineraryResponse(record) {
+  return {
+    itineraryId: record.itineraryId,
+    status: itineraryStatus(record),
+    preferences: record.preferences,
+    itinerary: record.itinerary,
+    confirmations: record.confirmations,
+    nextComponentToConfirm: nextComponentToConfirm(record.confirmations ?? {}),
+    finalReview: record.finalReview ?? null,
+    confirmationHistory: record.confirmationHistory ?? [],
+    finalConfirmed: Boolean(record.finalConfirmed),
+    finalConfirmationAt: record.finalConfirmationAt ?? null,
+    usage: record.usage ?? null,
+    createdAt: record.createdAt ?? null,
+    updatedAt: record.updatedAt ?? null
+  };
+}
+
+function toItinerarySummary(record) {
+  return {
+    itineraryId: record.itineraryId,
+    status: itineraryStatus(record),
+    destinationCity: record.preferences?.destinationCity ?? null,
+    startCity: record.preferences?.startCity ?? null,
+    startDate: record.preferences?.startDate ?? null,
+    endDate: record.preferences?.endDate ?? null,
+    tripSummary: record.itinerary?.tripSummary ?? null,
+    nextComponentToConfirm: nextComponentToConfirm(record.confirmations ?? {}),
+    createdAt: record.createdAt ?? null,
+    updatedAt: record.updatedAt ?? null
+  };
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = Number.parseInt(String(value ?? ""), 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function slugify(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+async function storeItineraryRecord(preferences, itineraryDraft, usage) {
+  return itineraryStore.save({
+    itineraryId: randomUUID(),
     preferences,
     itinerary: itineraryDraft,
     confirmations: {
       flight: null,
       hotel: null,
-      carRental: null
+      carRental: null,
+      activities: null
     },
+    finalReview: null,
+    confirmationHistory: [],
     finalConfirmed: false,
+    usage,
     createdAt: new Date().toISOString()
   });
-
-  return itineraryId;
 }
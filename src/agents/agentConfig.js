@@ -0,0 +1,209 @@
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+
+export const AGENT_KEYS = ["research", "safety", "composer", "finalReview"];
+
+// Tools each agent is allowed to enable; anything else is a configuration error
+export const AGENT_TOOL_CHOICES = {
+  research: ["web_search", "budget_calculator"],
+  safety: ["web_search"],
+  composer: ["budget_calculator", "travel_times"],
+  finalReview: []
+};
+
+const DEFAULT_MODEL = "gpt-4.1-mini";
+const DEFAULT_MAX_TURNS = 10;
+
+// Models that cannot serve the planner agents (no hosted tools / chat output)
+const UNSUPPORTED_MODELS = {
+  "gpt-5.3-codex": "is a coding model without hosted web search support"
+};
+
+const ENV_PREFIXES = {
+  research: "AGENT_RESEARCH",
+  safety: "AGENT_SAFETY",
+  composer: "AGENT_COMPOSER",
+  finalReview: "AGENT_FINAL_REVIEW"
+};
+
+const modelSettingsSchema = z
+  .object({
+    temperature: z.number().min(0).max(2).optional(),
+    topP: z.number().min(0).max(1).optional(),
+    maxTokens: z.number().int().positive().optional()
+  })
+  .strict();
+
+const modelNameSchema = z
+  .string()
+  .trim()
+  .min(1)
+  .superRefine((model, ctx) => {
+    if (UNSUPPORTED_MODELS[model]) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `${model} ${UNSUPPORTED_MODELS[model]}; choose a model such as ${DEFAULT_MODEL}`
+      });
+    }
+  });
+
+const agentEntrySchema = (agentKey) =>
+  z
+    .object({
+      model: modelNameSchema,
+      // Tried in order when the primary model keeps failing
+      fallbackModels: z.array(modelNameSchema).max(5),
+      modelSettings: modelSettingsSchema,
+      maxTurns: z.number().int().min(1).max(50),
+      tools: z.array(z.enum(["web_search", "budget_calculator", "travel_times"])).refine(
+        (tools) => tools.every((toolName) => AGENT_TOOL_CHOICES[agentKey].includes(toolName)),
+        { message: `tools must be a subset of: ${AGENT_TOOL_CHOICES[agentKey].join(", ") || "(none)"}` }
+      )
+    })
+    .strict();
+
+const agentConfigSchema = z
+  .object(Object.fromEntries(AGENT_KEYS.map((agentKey) => [agentKey, agentEntrySchema(agentKey)])))
+  .strict();
+
+const configFileSchema = z
+  .object({
+    defaults: z
+      .object({
+        model: z.string().optional(),
+        fallbackModels: z.array(z.string()).optional(),
+        modelSettings: z.record(z.unknown()).optional(),
+        maxTurns: z.number().optional()
+      })
+      .strict()
+      .optional(),
+    agents: z.record(z.record(z.unknown())).optional()
+  })
+  .strict();
+
+/**
+ * Resolve per-agent model, fallback models, settings, max turns and tools.
+ * Precedence: built-in defaults < AGENT_CONFIG_PATH file < environment variables.
+ * Throws a single readable error listing every invalid value.
+ */
+export function loadAgentConfig(env = process.env) {
+  const configPath = env.AGENT_CONFIG_PATH?.trim() || null;
+  const file = configPath ? readConfigFile(configPath) : {};
+  const defaults = file.defaults ?? {};
+  const globalModel = env.OPENAI_MODEL?.trim() || defaults.model || DEFAULT_MODEL;
+  const globalFallbackModels = envList(env.OPENAI_FALLBACK_MODELS) ?? defaults.fallbackModels ?? [];
+
+  const unknownAgents = Object.keys(file.agents ?? {}).filter((agentKey) => !AGENT_KEYS.includes(agentKey));
+  if (unknownAgents.length) {
+    throw new Error(
+      `Invalid agent configuration: unknown agent(s) ${unknownAgents.join(", ")} in ${configPath}; expected ${AGENT_KEYS.join(", ")}`
+    );
+  }
+
+  const resolved = Object.fromEntries(
+    AGENT_KEYS.map((agentKey) => {
+      const fromFile = file.agents?.[agentKey] ?? {};
+      const prefix = ENV_PREFIXES[agentKey];
+      const envSettings = omitUndefined({
+        temperature: envNumber(env[`${prefix}_TEMPERATURE`]),
+        topP: envNumber(env[`${prefix}_TOP_P`]),
+        maxTokens: envNumber(env[`${prefix}_MAX_TOKENS`])
+      });
+
+      return [
+        agentKey,
+        {
+          model: env[`${prefix}_MODEL`]?.trim() || fromFile.model || globalModel,
+          fallbackModels: envList(env[`${prefix}_FALLBACK_MODELS`]) ?? fromFile.fallbackModels ?? globalFallbackModels,
+          modelSettings: { ...defaults.modelSettings, ...fromFile.modelSettings, ...envSettings },
+          maxTurns: envNumber(env[`${prefix}_MAX_TURNS`]) ?? fromFile.maxTurns ?? defaults.maxTurns ?? DEFAULT_MAX_TURNS,
+          tools: envList(env[`${prefix}_TOOLS`]) ?? fromFile.tools ?? AGENT_TOOL_CHOICES[agentKey]
+        }
+      ];
+    })
+  );
+
+  const parsed = agentConfigSchema.safeParse(resolved);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(
+      (issue) => `${describeIssueSource(issue.path, resolved, { env, file, configPath })}: ${issue.message}`
+    );
+    throw new Error(`Invalid agent configuration:\n  - ${issues.join("\n  - ")}`);
+  }
+
+  return { ...parsed.data, configPath };
+}
+
+function readConfigFile(configPath) {
+  const resolvedPath = path.resolve(configPath);
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read agent config at ${resolvedPath}: ${error.message}`);
+  }
+
+  const parsed = configFileSchema.safeParse(contents);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`);
+    throw new Error(`Invalid agent config file ${resolvedPath}:\n  - ${issues.join("\n  - ")}`);
+  }
+  return parsed.data;
+}
+
+/**
+ * Label an invalid value with the env var or file it came from, e.g.
+ * `safety.modelSettings.temperature (AGENT_SAFETY_TEMPERATURE="3")`
+ */
+function describeIssueSource(issuePath, resolved, { env, file, configPath }) {
+  const [agentKey, field, setting] = issuePath;
+  const label = issuePath.join(".");
+  const prefix = ENV_PREFIXES[agentKey];
+  if (!prefix) return label;
+
+  const envName = {
+    model: `${prefix}_MODEL`,
+    fallbackModels: `${prefix}_FALLBACK_MODELS`,
+    maxTurns: `${prefix}_MAX_TURNS`,
+    tools: `${prefix}_TOOLS`,
+    modelSettings: field === "modelSettings" && setting ? `${prefix}_${toEnvSuffix(setting)}` : null
+  }[field];
+
+  if (envName && env[envName]?.trim()) {
+    return `${label} (${envName}=${JSON.stringify(env[envName])})`;
+  }
+  if (field === "model" && !file.agents?.[agentKey]?.model && env.OPENAI_MODEL?.trim()) {
+    return `${label} (OPENAI_MODEL=${JSON.stringify(env.OPENAI_MODEL)})`;
+  }
+  if (field === "fallbackModels" && !file.agents?.[agentKey]?.fallbackModels && env.OPENAI_FALLBACK_MODELS?.trim()) {
+    return `${label} (OPENAI_FALLBACK_MODELS=${JSON.stringify(env.OPENAI_FALLBACK_MODELS)})`;
+  }
+
+  const value = issuePath.reduce((node, key) => node?.[key], resolved);
+  const source = configPath ? ` from ${configPath}` : "";
+  return `${label}${source} = ${JSON.stringify(value)}`;
+}
+
+function toEnvSuffix(setting) {
+  return { temperature: "TEMPERATURE", topP: "TOP_P", maxTokens: "MAX_TOKENS" }[setting] ?? setting.toUpperCase();
+}
+
+function envNumber(value) {
+  if (value === undefined || String(value).trim() === "") return undefined;
+  return Number(value);
+}
+
+// Blank means unset, like envNumber (.env.example ships blank values); "none" is an explicit empty list
+function envList(value) {
+  if (value === undefined || String(value).trim() === "") return undefined;
+  if (value.trim().toLowerCase() === "none") return [];
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function omitUndefined(value) {
+  return Object.fromEntries(Object.entries(value).filter(([, entry]) => entry !== undefined));
+}
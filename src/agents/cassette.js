@@ -0,0 +1,105 @@
+import { createHash } from "crypto";
+import path from "path";
+import { readJsonFile, writeJsonFileAtomic } from "../storage/jsonFile.js";
+
+export const CASSETTE_MODES = ["off", "record", "replay"];
+
+const DEFAULT_CASSETTE_PATH = "data/cassette.json";
+const CASSETTE_VERSION = 1;
+
+/**
+ * Read cassette settings from environment variables
+ */
+export function cassetteConfigFromEnv(env = process.env) {
+  return {
+    mode: (env.PLANNER_CASSETTE || "off").trim().toLowerCase(),
+    filePath: env.PLANNER_CASSETTE_PATH || DEFAULT_CASSETTE_PATH
+  };
+}
+
+/**
+ * Create a cassette that records agent runs (input, telemetry events, final
+ * output, model used) to a JSON file, or replays them later without touching the network.
+ */
+export function createCassette(config = cassetteConfigFromEnv()) {
+  const mode = config.mode || "off";
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(`PLANNER_CASSETTE must be one of: ${CASSETTE_MODES.join(", ")}`);
+  }
+
+  const filePath = path.resolve(config.filePath || DEFAULT_CASSETTE_PATH);
+  let entriesPromise = null;
+  let pendingWrite = Promise.resolve();
+  const replayedKeys = new Set();
+
+  const loadEntries = () => {
+    entriesPromise ??= readCassetteFile(filePath);
+    return entriesPromise;
+  };
+
+  return {
+    mode,
+    filePath,
+
+    /**
+     * Store one agent run, replacing any earlier recording of the same input
+     */
+    async record({ agentName, stage, input, events, finalOutput, model = null }) {
+      const entries = await loadEntries();
+      const entry = {
+        key: entryKey(agentName, stage, input),
+        agentName,
+        stage,
+        input,
+        events: JSON.parse(JSON.stringify(events)),
+        finalOutput,
+        model,
+        recordedAt: new Date().toISOString()
+      };
+
+      const existingIndex = entries.findIndex((candidate) => candidate.key === entry.key);
+      if (existingIndex === -1) entries.push(entry);
+      else entries[existingIndex] = entry;
+
+      // Serialize writes so parallel agent runs never interleave partial files
+      pendingWrite = pendingWrite
+        .catch(() => {})
+        .then(() => writeJsonFileAtomic(filePath, { version: CASSETTE_VERSION, entries }));
+      await pendingWrite;
+    },
+
+    /**
+     * Find the recording for this run: an exact input match first, otherwise
+     * the earliest unused recording from the same agent and stage.
+     */
+    async find({ agentName, stage, input }) {
+      const entries = await loadEntries();
+      const key = entryKey(agentName, stage, input);
+      const exact = entries.find((entry) => entry.key === key);
+      if (exact) {
+        replayedKeys.add(exact.key);
+        return { entry: exact, exactMatch: true };
+      }
+
+      const sameAgent = entries.filter((entry) => entry.agentName === agentName && entry.stage === stage);
+      const fallback = sameAgent.find((entry) => !replayedKeys.has(entry.key)) ?? sameAgent.at(-1);
+      if (!fallback) {
+        throw new Error(`Cassette ${filePath} has no recorded ${agentName} run for stage "${stage}".`);
+      }
+
+      replayedKeys.add(fallback.key);
+      return { entry: fallback, exactMatch: false };
+    }
+  };
+}
+
+function entryKey(agentName, stage, input) {
+  const inputText = typeof input === "string" ? input : JSON.stringify(input);
+  const digest = createHash("sha256").update(inputText).digest("hex").slice(0, 16);
+  return `${agentName}:${stage}:${digest}`;
+}
+
+async function readCassetteFile(filePath) {
+  const parsed = await readJsonFile(filePath, { label: "cassette" });
+  return Array.isArray(parsed?.entries) ? parsed.entries : [];
+}
@@ -0,0 +1,681 @@
+import { randomUUID } from "crypto";
+import { gazetteerCityCenter } from "../services/gazetteer.js";
+
+// Rough UTC offsets in March for cities the planner is usually tested with
+const CITY_UTC_OFFSETS = {
+  boston: -4,
+  "new york": -4,
+  chicago: -5,
+  "san francisco": -7,
+  "los angeles": -7,
+  london: 0,
+  lisbon: 0,
+  paris: 1,
+  milan: 1,
+  rome: 1,
+  madrid: 1,
+  barcelona: 1,
+  berlin: 1,
+  amsterdam: 1,
+  athens: 2,
+  istanbul: 3,
+  dubai: 4,
+  delhi: 5.5,
+  bangkok: 7,
+  taipei: 8,
+  "hong kong": 8,
+  singapore: 8,
+  tokyo: 9,
+  seoul: 9,
+  sydney: 11
+};
+
+const AIRLINES = ["SkyBridge Air", "Atlantic Connect", "Meridian Airways", "Polar Route Airlines"];
+const HOTEL_STYLES = ["Central", "Riverside", "Old Town", "Garden"];
+// Degrees from the city centre for the "City Centre", "Old Town" and "Waterfront" activity areas
+const AREA_OFFSETS = [
+  { latitude: 0, longitude: 0 },
+  { latitude: 0.012, longitude: -0.018 },
+  { latitude: -0.02, longitude: 0.025 }
+];
+const CAR_COMPANIES = [
+  { company: "Hertz", carType: "Compact", seats: 4 },
+  { company: "Europcar", carType: "Economy", seats: 5 },
+  { company: "Sixt", carType: "Minivan", seats: 7 }
+];
+
+/**
+ * Deterministic stand-in for the OpenAI model provider.
+ * Serves schema-valid JSON for every planner agent without network access,
+ * and emits hosted web search / budget_calculator calls so the tool monitor
+ * and activity timeline see the same shape of events as a live run.
+ */
+export function createFakeModelProvider({ latencyMs = 0, failingModels = [] } = {}) {
+  const model = createFakeModel({ latencyMs });
+  const failingModel = createFailingModel({ latencyMs });
+  return {
+    // Models listed in `failingModels` always answer with a simulated rate limit,
+    // which makes the fallback chain easy to exercise offline
+    getModel(modelName) {
+      return failingModels.includes(modelName) ? failingModel : model;
+    }
+  };
+}
+
+function createFailingModel({ latencyMs }) {
+  const rateLimitError = () =>
+    Object.assign(new Error("429 Rate limit reached (simulated by the fake model provider)"), { status: 429 });
+
+  return {
+    async getResponse(request) {
+      await delay(latencyMs, request.signal);
+      throw rateLimitError();
+    },
+
+    async *getStreamedResponse(request) {
+      await delay(latencyMs, request.signal);
+      throw rateLimitError();
+    }
+  };
+}
+
+function createFakeModel({ latencyMs }) {
+  return {
+    async getResponse(request) {
+      await delay(latencyMs, request.signal);
+      return buildModelResponse(request);
+    },
+
+    async *getStreamedResponse(request) {
+      yield { type: "response_started" };
+      await delay(latencyMs, request.signal);
+
+      const response = buildModelResponse(request);
+      const message = response.output.find((item) => item.type === "message");
+      const text = message?.content?.[0]?.text ?? "";
+
+      for (let offset = 0; offset < text.length; offset += 400) {
+        yield { type: "output_text_delta", delta: text.slice(offset, offset + 400) };
+      }
+
+      yield {
+        type: "response_done",
+        response: {
+          id: response.responseId,
+          usage: response.usage,
+          output: response.output
+        }
+      };
+    }
+  };
+}
+
+function buildModelResponse(request) {
+  const instructions = String(request.systemInstructions || "");
+  const inputText = inputToText(request.input);
+  const outputKeys = Object.keys(request.outputType?.schema?.properties ?? {});
+  const role = detectAgentRole(outputKeys, instructions);
+  const toolNames = (request.tools ?? []).map((tool) => tool.name);
+  const output = buildOutputItems(role, inputText, request.input, outputKeys, toolNames);
+  const outputText = output.map((item) => item.content?.[0]?.text ?? item.arguments ?? "").join("");
+  const inputTokens = estimateTokens(instructions) + estimateTokens(inputText);
+  const outputTokens = estimateTokens(outputText);
+
+  return {
+    responseId: `fake_resp_${randomUUID()}`,
+    usage: {
+      requests: 1,
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens
+    },
+    output
+  };
+}
+
+function detectAgentRole(outputKeys, instructions) {
+  // Prefer the structured output schema; fall back to the prose in the instructions
+  if (outputKeys.includes("finalSummary")) return "final";
+  if (outputKeys.includes("components")) return "composer";
+  if (outputKeys.some((key) => key.endsWith("Options") || key === "activityIdeas")) return "research";
+  if (outputKeys.includes("safetyConcerns")) return "safety";
+  if (instructions.includes("finalSummary")) return "final";
+  if (instructions.includes('"components"')) return "composer";
+  if (instructions.includes("flightOptions")) return "research";
+  if (instructions.includes("safetyConcerns")) return "safety";
+  return "unknown";
+}
+
+function buildOutputItems(role, inputText, rawInput, outputKeys, toolNames) {
+  const canSearch = toolNames.includes("web_search");
+
+  const preferences = extractJsonAfter(inputText, "preferences:") ?? extractJsonAfter(inputText, "trip:") ?? {};
+
+  if (role === "research") {
+    const searches = canSearch
+      ? [
+          webSearchCall(`${preferences.destinationCity || "destination"} flights hotels car rental prices`),
+          webSearchCall(`best ${(preferences.activities || []).join(", ") || "things to do"} in ${preferences.destinationCity || "destination"}`)
+        ]
+      : [];
+    return [
+      ...searches,
+      assistantMessage(pickKeys(buildResearchPayload(preferences, inputText), outputKeys))
+    ];
+  }
+
+  if (role === "safety") {
+    return [
+      ...(canSearch
+        ? [webSearchCall(`${preferences.destinationCity || "destination"} travel safety advisory and weather in March`)]
+        : []),
+      assistantMessage(buildSafetyPayload(preferences))
+    ];
+  }
+
+  if (role === "composer") {
+    const research = extractJsonAfter(inputText, "Research data:") ?? {};
+    const safety = extractJsonAfter(inputText, "Safety/packing data:") ?? {};
+
+    // Call the enabled function tools first, then answer once their results are in the input
+    const pendingCalls = [
+      ...(toolNames.includes("budget_calculator") && !hasFunctionResult(rawInput, "budget_calculator")
+        ? [budgetCalculatorCall(research, preferences)]
+        : []),
+      ...(toolNames.includes("travel_times") && !hasFunctionResult(rawInput, "travel_times")
+        ? travelTimesCalls(research)
+        : [])
+    ];
+    if (pendingCalls.length) return pendingCalls;
+
+    const calculation = functionResultOutput(rawInput, "budget_calculator");
+    return [
+      assistantMessage(
+        buildItineraryPayload(preferences, research, safety, calculation, hotelTravelNotes(rawInput))
+      )
+    ];
+  }
+
+  if (role === "final") {
+    const selections = extractJsonAfter(inputText, "selections:") ?? {};
+    return [assistantMessage(buildFinalReviewPayload(preferences, selections))];
+  }
+
+  return [assistantMessage({ note: "Fake model has no scripted response for this agent." })];
+}
+
+function buildResearchPayload(preferences, inputText) {
+  const destination = preferences.destinationCity || "Destination";
+  const origin = preferences.startCity || "Origin";
+  // Regeneration prompts list the current options, so mixing them in yields different alternatives
+  const isRegeneration = inputText.includes("Current options");
+  const seed =
+    (hashString(`${origin}|${destination}|${preferences.startDate}|${preferences.endDate}`) ^
+      (isRegeneration ? hashString(inputText) : 0)) >>>
+    0;
+  const travelClass = preferences.airTravelClass === "business" ? "business" : "economy";
+  const stars = Number(preferences.hotelStars) || 3;
+
+  const originOffset = cityOffset(origin);
+  const destinationOffset = cityOffset(destination);
+  const startDate = preferences.startDate || "2026-03-21";
+  const endDate = preferences.endDate || "2026-03-29";
+
+  const flightOptions = [0, 1, 2].map((index) => {
+    const durationHours = 6 + ((seed + index * 3) % 7);
+    const outboundDeparture = localDateTimeToUtc(startDate, 17 + index, originOffset);
+    const outboundArrival = new Date(outboundDeparture.getTime() + durationHours * 3600 * 1000);
+    const returnDeparture = localDateTimeToUtc(endDate, 10 + index * 2, destinationOffset);
+    const returnArrival = new Date(returnDeparture.getTime() + durationHours * 3600 * 1000);
+    const outboundArrivalLocal = formatLocalIso(outboundArrival, destinationOffset);
+    const returnDepartureLocal = formatLocalIso(returnDeparture, destinationOffset);
+    const nights = dayDiff(outboundArrivalLocal.slice(0, 10), returnDepartureLocal.slice(0, 10));
+    const baseFare = 620 + ((seed >>> (index + 1)) % 480) + index * 45;
+
+    return {
+      id: `f${index + 1}`,
+      label: `${AIRLINES[(seed + index) % AIRLINES.length]} ${origin} → ${destination}`,
+      airline: AIRLINES[(seed + index) % AIRLINES.length],
+      route: `${origin} → ${destination}`,
+      class: travelClass,
+      outboundDepartureLocal: formatLocalIso(outboundDeparture, originOffset),
+      outboundArrivalLocal,
+      returnDepartureLocal,
+      returnArrivalLocal: formatLocalIso(returnArrival, originOffset),
+      daysAtDestination: nights + 1,
+      nightsAtDestination: nights,
+      costUsd: travelClass === "business" ? Math.round(baseFare * 3.2) : baseFare,
+      currency: "USD",
+      notes: `${durationHours}h each way including one connection. Offline sample fare.`
+    };
+  });
+
+  const nights = flightOptions[0].nightsAtDestination;
+  const center = fakeCityCenter(destination);
+  const hotelOptions = [0, 1, 2].map((index) => {
+    const nightlyUsd = stars * 55 + ((seed >>> (index + 2)) % 70) + index * 15;
+    return {
+      id: `h${index + 1}`,
+      label: `${destination} ${HOTEL_STYLES[(seed + index) % HOTEL_STYLES.length]} Hotel`,
+      stars,
+      nightlyUsd,
+      nights,
+      roomOccupancy: index === 2 ? 4 : 2,
+      costUsd: nightlyUsd * nights,
+      currency: "USD",
+      latitude: roundCoordinate(center.latitude + (((seed >>> (index + 1)) % 41) - 20) / 1000),
+      longitude: roundCoordinate(center.longitude + (((seed >>> (index + 5)) % 41) - 20) / 1000),
+      notes: `${stars}-star hotel near public transit in ${destination}.`
+    };
+  });
+
+  const rentalDays = nights + 1;
+  const carRentalOptions = [0, 1].map((index) => {
+    const { company, carType, seats } = CAR_COMPANIES[(seed + index) % CAR_COMPANIES.length];
+    const dailyRateUsd = 42 + ((seed >>> (index + 3)) % 35);
+    return {
+      id: `c${index + 1}`,
+      label: `${company} ${carType}`,
+      company,
+      carType,
+      dailyRateUsd,
+      rentalDays,
+      seats,
+      costUsd: dailyRateUsd * rentalDays,
+      currency: "USD",
+      notes: `Pickup and return at ${destination} airport.`
+    };
+  });
+
+  const focusedCategory = inputText.match(/"category": "([^"]+)"/)?.[1];
+  const categories = focusedCategory
+    ? [focusedCategory]
+    : Array.isArray(preferences.activities) && preferences.activities.length
+      ? preferences.activities
+      : ["sightseeing"];
+
+  const activityIdeas = categories.flatMap((category) =>
+    [0, 1, 2].map((index) => ({
+      name: `${toTitleCase(category)} ${["highlight", "local favorite", "hidden gem"][index]} in ${destination}`,
+      category,
+      location: `${["City Centre", "Old Town", "Waterfront"][index]}, ${destination}`,
+      latitude: roundCoordinate(center.latitude + AREA_OFFSETS[index].latitude + ((hashString(category) % 11) - 5) / 1000),
+      longitude: roundCoordinate(center.longitude + AREA_OFFSETS[index].longitude + ((hashString(category) % 13) - 6) / 1000),
+      estimatedCostUsd: 15 + ((seed + hashString(category) + index * 7) % 60),
+      currency: "USD",
+      whyFit: `Matches the requested "${category}" category and is easy to reach from central hotels.`
+    }))
+  );
+
+  return {
+    flightOptions,
+    hotelOptions,
+    carRentalOptions,
+    activityIdeas,
+    researchNotes: [`Offline fake-model data for ${destination}; options and prices are illustrative only.`],
+    pricingDateNote: "Illustrative offline prices, not sourced from live search."
+  };
+}
+
+function buildSafetyPayload(preferences) {
+  const destination = preferences.destinationCity || "the destination";
+  return {
+    safetyConcerns: [
+      `Watch for pickpockets in crowded tourist areas and on public transit in ${destination}.`,
+      "Keep digital and paper copies of your passport separate from the original."
+    ],
+    packingList: [
+      "Passport and travel documents",
+      "Universal power adapter",
+      "Comfortable walking shoes",
+      `Layers suited to "${preferences.weatherPreferences || "variable"}" weather`,
+      "Compact umbrella"
+    ],
+    localTransportAdvice: [
+      `Buy a multi-day public transit pass for getting around ${destination}.`,
+      "Use licensed taxis or ride-hailing apps late at night."
+    ],
+    weatherSummary: `Spring weather in ${destination} is typically mild with occasional showers.`
+  };
+}
+
+function buildItineraryPayload(preferences, research, safety, calculation = null, travelNotes = {}) {
+  const flightOptions = research.flightOptions ?? [];
+  const hotelOptions = (research.hotelOptions ?? []).map((option) =>
+    travelNotes[option.id] ? { ...option, notes: `${option.notes} ${travelNotes[option.id]}` } : option
+  );
+  const carRentalOptions = research.carRentalOptions ?? [];
+  const firstFlight = flightOptions[0] ?? {};
+  const activities = (research.activityIdeas ?? []).map((activity, index) => ({
+    name: activity.name,
+    category: activity.category,
+    location: activity.location,
+    latitude: activity.latitude ?? null,
+    longitude: activity.longitude ?? null,
+    estimatedCostUsd: activity.estimatedCostUsd ?? 0,
+    currency: activity.currency ?? "USD",
+    scheduledDay: `Day ${(index % Math.max(1, firstFlight.daysAtDestination || 1)) + 1}`,
+    notes: activity.whyFit ?? ""
+  }));
+
+  const flightUsd = firstFlight.costUsd ?? 0;
+  const hotelUsd = hotelOptions[0]?.costUsd ?? 0;
+  const carRentalUsd = carRentalOptions[0]?.costUsd ?? 0;
+  const activitiesUsd = firstPerCategory(activities).reduce((sum, activity) => sum + activity.estimatedCostUsd, 0);
+  const feesUsd = calculation?.feesUsd ?? 0;
+
+  return {
+    tripSummary: `Spring break trip from ${preferences.startCity || "home"} to ${preferences.destinationCity || "the destination"}, ${preferences.startDate} to ${preferences.endDate}.`,
+    stayAtDestination: {
+      arrivalLocal: firstFlight.outboundArrivalLocal ?? preferences.startDate,
+      departureLocal: firstFlight.returnDepartureLocal ?? preferences.endDate,
+      daysAtDestination: firstFlight.daysAtDestination ?? preferences.tripLengthDays ?? 1,
+      nightsAtDestination: firstFlight.nightsAtDestination ?? Math.max(0, (preferences.tripLengthDays ?? 1) - 1),
+      calculationNote: "Computed from the recommended flight's local arrival and return departure dates."
+    },
+    components: {
+      flight: {
+        options: flightOptions,
+        recommendedOptionId: firstFlight.id ?? "f1",
+        confirmationQuestion: "Do you want to confirm this flight option?"
+      },
+      hotel: {
+        options: hotelOptions,
+        recommendedOptionId: hotelOptions[0]?.id ?? "h1",
+        confirmationQuestion: "Do you want to confirm this hotel option?"
+      },
+      carRental: {
+        options: carRentalOptions,
+        recommendedOptionId: carRentalOptions[0]?.id ?? "c1",
+        confirmationQuestion: "Do you want to confirm this car rental option?"
+      }
+    },
+    activities,
+    safetyConcerns: safety.safetyConcerns ?? [],
+    packingList: safety.packingList ?? [],
+    estimatedCostSummary: {
+      flightUsd,
+      hotelUsd,
+      carRentalUsd,
+      activitiesUsd,
+      feesUsd,
+      totalUsd: calculation?.totalUsd ?? flightUsd + hotelUsd + carRentalUsd + activitiesUsd
+    },
+    disclaimer: "No purchases are made"
+  };
+}
+
+function buildFinalReviewPayload(preferences, selections) {
+  const parts = [
+    selections.flight?.label && `flight ${selections.flight.label}`,
+    selections.hotel?.label && `hotel ${selections.hotel.label}`,
+    selections.carRental?.label && `car rental ${selections.carRental.label}`,
+    Array.isArray(selections.activities) && selections.activities.length
+      ? `${selections.activities.length} activities`
+      : null
+  ].filter(Boolean);
+
+  return {
+    finalSummary: `Your ${preferences.destinationCity || "trip"} plan includes ${parts.join(", ") || "your confirmed selections"}.`,
+    finalConfirmationQuestion: "Do you approve this final itinerary?",
+    purchaseReminder: "No purchases are made"
+  };
+}
+
+function webSearchCall(query) {
+  return {
+    type: "hosted_tool_call",
+    id: `ws_${randomUUID()}`,
+    name: "web_search_call",
+    status: "completed",
+    providerData: {
+      type: "web_search_call",
+      action: { type: "search", query }
+    }
+  };
+}
+
+function budgetCalculatorCall(research, preferences) {
+  const firstFlight = research.flightOptions?.[0];
+  const firstHotel = research.hotelOptions?.[0];
+  const firstCar = research.carRentalOptions?.[0];
+  // Options are quoted per person, per room and per car; the calculator takes group totals
+  const travelers = preferences.travelers?.count ?? 1;
+  const rooms =
+    preferences.travelers?.roomSharing === "private"
+      ? travelers
+      : Math.ceil(travelers / (firstHotel?.roomOccupancy || 2));
+  const cars = Math.ceil(travelers / (firstCar?.seats || 5));
+  const items = [
+    { label: "Flight", component: "flight", costUsd: (firstFlight?.costUsd ?? 0) * travelers },
+    { label: "Hotel", component: "hotel", costUsd: (firstHotel?.costUsd ?? 0) * rooms },
+    { label: "Car rental", component: "carRental", costUsd: (firstCar?.costUsd ?? 0) * cars },
+    ...firstPerCategory(research.activityIdeas ?? []).map((activity) => ({
+      label: activity.name,
+      component: "activities",
+      costUsd: (activity.estimatedCostUsd ?? 0) * travelers
+    }))
+  ];
+
+  return {
+    type: "function_call",
+    id: `fc_${randomUUID()}`,
+    callId: `call_${randomUUID()}`,
+    name: "budget_calculator",
+    status: "completed",
+    arguments: JSON.stringify({
+      items,
+      destinationCity: preferences.destinationCity ?? null,
+      travelers,
+      airTravelClass: firstFlight?.class ?? preferences.airTravelClass ?? null,
+      hotelNights: firstHotel?.nights ?? null,
+      carRentalDays: firstCar?.rentalDays ?? null,
+      displayCurrency: preferences.displayCurrency ?? null
+    })
+  };
+}
+
+function assistantMessage(payload) {
+  return {
+    type: "message",
+    id: `msg_${randomUUID()}`,
+    role: "assistant",
+    status: "completed",
+    content: [{ type: "output_text", text: JSON.stringify(payload, null, 2) }]
+  };
+}
+
+function pickKeys(payload, keys) {
+  if (!keys.length) return payload;
+  return Object.fromEntries(keys.filter((key) => key in payload).map((key) => [key, payload[key]]));
+}
+
+function hasFunctionResult(input, name) {
+  return Array.isArray(input) && input.some((item) => item?.type === "function_call_result" && item.name === name);
+}
+
+function travelTimesCalls(research) {
+  const destinations = firstPerCategory(research.activityIdeas ?? [])
+    .filter((activity) => activity.latitude !== null && activity.longitude !== null)
+    .map((activity) => ({ label: activity.name, latitude: activity.latitude, longitude: activity.longitude }));
+
+  return (research.hotelOptions ?? [])
+    .filter((option) => option.latitude !== null && option.longitude !== null)
+    .map((option) => ({
+      type: "function_call",
+      id: `fc_${randomUUID()}`,
+      // The hotel id rides along in the call id so the answer can match results to hotels
+      callId: `call_${option.id}_${randomUUID()}`,
+      name: "travel_times",
+      status: "completed",
+      arguments: JSON.stringify({
+        origin: { label: option.label, latitude: option.latitude, longitude: option.longitude },
+        destinations
+      })
+    }));
+}
+
+function hotelTravelNotes(input) {
+  if (!Array.isArray(input)) return {};
+  return Object.fromEntries(
+    input
+      .filter((item) => item?.type === "function_call_result" && item.name === "travel_times")
+      .map((item) => {
+        const hotelId = String(item.callId || "").split("_")[1];
+        const text = typeof item.output === "string" ? item.output : item.output?.text;
+        try {
+          const summary = JSON.parse(text);
+          return summary?.averageKm !== undefined
+            ? [hotelId, `About ${summary.averageKm} km from the planned activities on average.`]
+            : null;
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean)
+  );
+}
+
+// Real center for gazetteer cities, otherwise a stable made-up point
+function fakeCityCenter(destination) {
+  const known = gazetteerCityCenter(destination);
+  if (known) return known;
+  const hash = hashString(String(destination).toLowerCase());
+  return {
+    latitude: roundCoordinate(20 + (hash % 3000) / 100),
+    longitude: roundCoordinate(-120 + ((hash >>> 12) % 24000) / 100)
+  };
+}
+
+function roundCoordinate(value) {
+  return Number(value.toFixed(5));
+}
+
+function functionResultOutput(input, name) {
+  const result = Array.isArray(input)
+    ? input.find((item) => item?.type === "function_call_result" && item.name === name)
+    : null;
+  const text = typeof result?.output === "string" ? result.output : result?.output?.text;
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
+
+function firstPerCategory(activities) {
+  const seen = new Set();
+  return activities.filter((activity) => {
+    const key = String(activity.category || "").toLowerCase().trim();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function inputToText(input) {
+  if (typeof input === "string") return input;
+  if (!Array.isArray(input)) return "";
+
+  return input
+    .filter((item) => item?.role === "user")
+    .map((item) =>
+      typeof item.content === "string"
+        ? item.content
+        : (item.content ?? []).map((part) => part.text ?? "").join("")
+    )
+    .join("\n");
+}
+
+/**
+ * Parse the first balanced JSON object that follows `marker` in the prompt
+ */
+function extractJsonAfter(text, marker) {
+  const markerIndex = text.indexOf(marker);
+  if (markerIndex === -1) return null;
+
+  const start = text.indexOf("{", markerIndex + marker.length);
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  for (let index = start; index < text.length; index += 1) {
+    const char = text[index];
+    if (inString) {
+      if (char === "\\") index += 1;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === "{") depth += 1;
+    else if (char === "}") {
+      depth -= 1;
+      if (depth === 0) {
+        try {
+          return JSON.parse(text.slice(start, index + 1));
+        } catch {
+          return null;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+function cityOffset(city) {
+  const normalized = String(city || "").toLowerCase();
+  const match = Object.keys(CITY_UTC_OFFSETS).find((name) => normalized.includes(name));
+  return match ? CITY_UTC_OFFSETS[match] : 0;
+}
+
+function localDateTimeToUtc(datePart, hour, offsetHours) {
+  const utcMs = Date.parse(`${datePart}T00:00:00Z`) + (hour - offsetHours) * 3600 * 1000;
+  return new Date(Number.isNaN(utcMs) ? Date.now() : utcMs);
+}
+
+function formatLocalIso(date, offsetHours) {
+  const local = new Date(date.getTime() + offsetHours * 3600 * 1000);
+  const sign = offsetHours < 0 ? "-" : "+";
+  const absolute = Math.abs(offsetHours);
+  const hours = String(Math.floor(absolute)).padStart(2, "0");
+  const minutes = String(Math.round((absolute % 1) * 60)).padStart(2, "0");
+  return `${local.toISOString().slice(0, 19)}${sign}${hours}:${minutes}`;
+}
+
+function dayDiff(startDatePart, endDatePart) {
+  const diff = (Date.parse(`${endDatePart}T00:00:00Z`) - Date.parse(`${startDatePart}T00:00:00Z`)) / 86400000;
+  return Number.isFinite(diff) ? Math.max(0, Math.round(diff)) : 0;
+}
+
+function hashString(value) {
+  let hash = 2166136261;
+  for (const char of String(value)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+function toTitleCase(value) {
+  return String(value || "").replace(/\b\w/g, (char) => char.toUpperCase());
+}
+
+function delay(ms, signal) {
+  if (!ms) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
@@ -0,0 +1,99 @@
+const DEFAULT_LIMITS = {
+  maxToolCalls: 60,
+  maxWebSearches: 30,
+  maxTokens: 500000,
+  stageTimeoutSeconds: 300
+};
+
+const ENV_NAMES = {
+  maxToolCalls: "PLANNER_MAX_TOOL_CALLS",
+  maxWebSearches: "PLANNER_MAX_WEB_SEARCHES",
+  maxTokens: "PLANNER_MAX_TOKENS",
+  stageTimeoutSeconds: "PLANNER_STAGE_TIMEOUT_SECONDS"
+};
+
+const LIMIT_LABELS = {
+  maxToolCalls: "tool call limit",
+  maxWebSearches: "web search limit",
+  maxTokens: "token limit",
+  stageTimeoutSeconds: "stage timeout"
+};
+
+/**
+ * Raised (as an abort reason) when a planning session hits one of its limits
+ */
+export class LimitExceededError extends Error {
+  constructor({ limit, max, observed, stage, agent }) {
+    const unit = limit === "stageTimeoutSeconds" ? "s" : "";
+    super(`${agent || "Agent"} stopped in ${stage || "planning"}: ${LIMIT_LABELS[limit]} of ${max}${unit} reached.`);
+    this.name = "LimitExceededError";
+    this.limit = limit;
+    this.max = max;
+    this.observed = observed;
+    this.stage = stage;
+    this.agent = agent;
+  }
+}
+
+/**
+ * Read per-session limits from environment variables; `0` disables a limit.
+ * Invalid values fail at startup.
+ */
+export function guardrailConfigFromEnv(env = process.env) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_LIMITS).map(([key, fallback]) => {
+      const raw = env[ENV_NAMES[key]];
+      if (raw === undefined || String(raw).trim() === "") return [key, fallback];
+
+      const value = Number(raw);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`${ENV_NAMES[key]} must be a non-negative number (got ${JSON.stringify(raw)})`);
+      }
+      return [key, value];
+    })
+  );
+}
+
+/**
+ * Counters for one planning session, shared by every agent run in it.
+ * Each `record*` call returns a LimitExceededError once a limit is passed, else null.
+ */
+export function createSessionLimits(config) {
+  const counters = { toolCalls: 0, webSearches: 0, tokens: 0 };
+
+  const check = (limit, observed, context) => {
+    const max = config[limit];
+    return max && observed > max ? new LimitExceededError({ limit, max, observed, ...context }) : null;
+  };
+
+  return {
+    config,
+
+    recordToolCall({ isWebSearch }, context) {
+      counters.toolCalls += 1;
+      if (isWebSearch) counters.webSearches += 1;
+      return (
+        check("maxToolCalls", counters.toolCalls, context) ??
+        (isWebSearch ? check("maxWebSearches", counters.webSearches, context) : null)
+      );
+    },
+
+    recordTokens(tokens, context) {
+      counters.tokens += Number(tokens) || 0;
+      return check("maxTokens", counters.tokens, context);
+    },
+
+    stageTimeoutError(context) {
+      return new LimitExceededError({
+        limit: "stageTimeoutSeconds",
+        max: config.stageTimeoutSeconds,
+        observed: config.stageTimeoutSeconds,
+        ...context
+      });
+    },
+
+    snapshot() {
+      return { ...counters };
+    }
+  };
+}
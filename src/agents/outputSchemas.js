@@ -0,0 +1,151 @@
+import { z } from "zod";
+
+// Every field is required (nullable where it may be unknown) so the schemas
+// stay compatible with strict structured outputs.
+
+// ISO 4217 code the option's prices are quoted in; converted to USD on normalization
+const quotedCurrency = z.string();
+
+const flightOptionSchema = z.object({
+  id: z.string(),
+  label: z.string(),
+  airline: z.string(),
+  route: z.string(),
+  class: z.enum(["economy", "business"]),
+  outboundDepartureLocal: z.string(),
+  outboundArrivalLocal: z.string(),
+  returnDepartureLocal: z.string(),
+  returnArrivalLocal: z.string(),
+  daysAtDestination: z.number().int(),
+  nightsAtDestination: z.number().int(),
+  costUsd: z.number(),
+  currency: quotedCurrency,
+  notes: z.string()
+});
+
+const hotelOptionSchema = z.object({
+  id: z.string(),
+  label: z.string(),
+  stars: z.number(),
+  nightlyUsd: z.number(),
+  nights: z.number().int(),
+  // Guests one room sleeps; nightlyUsd and costUsd are for one room
+  roomOccupancy: z.number().int(),
+  costUsd: z.number(),
+  currency: quotedCurrency,
+  // Approximate coordinates, null when unknown
+  latitude: z.number().nullable(),
+  longitude: z.number().nullable(),
+  notes: z.string()
+});
+
+const carRentalOptionSchema = z.object({
+  id: z.string(),
+  label: z.string(),
+  company: z.string(),
+  carType: z.string(),
+  dailyRateUsd: z.number(),
+  rentalDays: z.number().int(),
+  // Passenger seats; dailyRateUsd and costUsd are for one car
+  seats: z.number().int(),
+  costUsd: z.number(),
+  currency: quotedCurrency,
+  notes: z.string()
+});
+
+const activityIdeaSchema = z.object({
+  name: z.string(),
+  category: z.string(),
+  location: z.string(),
+  latitude: z.number().nullable(),
+  longitude: z.number().nullable(),
+  estimatedCostUsd: z.number(),
+  currency: quotedCurrency,
+  whyFit: z.string()
+});
+
+export const researchOutputSchema = z.object({
+  flightOptions: z.array(flightOptionSchema),
+  hotelOptions: z.array(hotelOptionSchema),
+  carRentalOptions: z.array(carRentalOptionSchema),
+  activityIdeas: z.array(activityIdeaSchema),
+  researchNotes: z.array(z.string()),
+  pricingDateNote: z.string()
+});
+
+export const safetyOutputSchema = z.object({
+  safetyConcerns: z.array(z.string()),
+  packingList: z.array(z.string()),
+  localTransportAdvice: z.array(z.string()),
+  weatherSummary: z.string()
+});
+
+const componentSchema = (optionSchema) =>
+  z.object({
+    options: z.array(optionSchema),
+    recommendedOptionId: z.string(),
+    confirmationQuestion: z.string()
+  });
+
+export const itineraryOutputSchema = z.object({
+  tripSummary: z.string(),
+  stayAtDestination: z.object({
+    arrivalLocal: z.string(),
+    departureLocal: z.string(),
+    daysAtDestination: z.number().int(),
+    nightsAtDestination: z.number().int(),
+    calculationNote: z.string()
+  }),
+  components: z.object({
+    flight: componentSchema(flightOptionSchema),
+    hotel: componentSchema(hotelOptionSchema),
+    carRental: componentSchema(carRentalOptionSchema)
+  }),
+  activities: z.array(
+    z.object({
+      name: z.string(),
+      category: z.string(),
+      location: z.string(),
+      latitude: z.number().nullable(),
+      longitude: z.number().nullable(),
+      estimatedCostUsd: z.number(),
+      currency: quotedCurrency,
+      scheduledDay: z.string(),
+      notes: z.string()
+    })
+  ),
+  safetyConcerns: z.array(z.string()),
+  packingList: z.array(z.string()),
+  estimatedCostSummary: z.object({
+    flightUsd: z.number(),
+    hotelUsd: z.number(),
+    carRentalUsd: z.number(),
+    activitiesUsd: z.number(),
+    feesUsd: z.number(),
+    totalUsd: z.number()
+  }),
+  disclaimer: z.string()
+});
+
+export const finalReviewOutputSchema = z.object({
+  finalSummary: z.string(),
+  finalConfirmationQuestion: z.string(),
+  purchaseReminder: z.string()
+});
+
+/**
+ * Research schema narrowed to the single options key a regeneration pass returns
+ */
+export function regenerationOutputSchema(researchKey) {
+  return researchOutputSchema.pick({ [researchKey]: true });
+}
+
+/**
+ * Flatten zod issues into `{ path, message }` pairs for the activity stream
+ */
+export function formatSchemaIssues(error) {
+  return (error?.issues ?? []).map((issue) => ({
+    path: issue.path.length ? issue.path.join(".") : "(root)",
+    message: issue.message
+  }));
+}
@@ -27,7 +27,11 @@ export function createMonitoredHostedTool(createHostedTool, metadata = {}) {
   });
 }
 
-export function attachStandardToolMonitoring(runner, { emit, stage, fallbackAgentName }) {
+/**
+ * Emit tool telemetry for function tools run by the SDK. `onToolCall` sees every
+ * start payload so callers can enforce call limits.
+ */
+export function attachStandardToolMonitoring(runner, { emit, stage, fallbackAgentName, onToolCall }) {
   let callCount = 0;
 
   runner.on("agent_tool_start", (_context, eventAgent, eventTool, details) => {
@@ -54,6 +58,8 @@ export function attachStandardToolMonitoring(runner, { emit, stage, fallbackAgen
         message: `Web search tool called (${payload.monitorLabel || "default"}).`
       });
     }
+
+    onToolCall?.(payload);
   });
 
   runner.on("agent_tool_end", (_context, eventAgent, eventTool, result, details) => {
@@ -1,5 +1,22 @@
-import { Agent, Runner, tool, webSearchTool } from "@openai/agents";
+import { Agent, ModelBehaviorError, Runner, setTracingDisabled, tool, webSearchTool } from "@openai/agents";
 import { z } from "zod";
+import { loadAgentConfig } from "./agentConfig.js";
+import { cassetteConfigFromEnv, createCassette } from "./cassette.js";
+import { createFakeModelProvider } from "./fakeModel.js";
+import { createSessionLimits, guardrailConfigFromEnv, LimitExceededError } from "./guardrails.js";
+import { createUsageTracker } from "./usage.js";
+import {
+  finalReviewOutputSchema,
+  formatSchemaIssues,
+  itineraryOutputSchema,
+  regenerationOutputSchema,
+  researchOutputSchema,
+  safetyOutputSchema
+} from "./outputSchemas.js";
+import { createCurrencyService, currencyConfigFromEnv, SOURCE_CURRENCY } from "../services/currency.js";
+import { createFeeModel, feeConfigFromEnv } from "../services/fees.js";
+import { buildSchedule, SCHEDULE_SLOTS, scheduleConfigFromEnv } from "../services/schedule.js";
+import { createTravelEstimator, travelConfigFromEnv } from "../services/travel.js";
 import {
   attachStandardToolMonitoring,
   createMonitoredHostedTool,
@@ -7,6 +24,8 @@ import {
 } from "./toolMonitoring.js";
 
 export const TRIP_COMPONENTS = ["flight", "hotel", "carRental"];
+export const ACTIVITY_CONFIRMATION = "activities";
+export const CONFIRMATION_STEPS = [...TRIP_COMPONENTS, ACTIVITY_CONFIRMATION];
 
 // Strict event schema for live agent activity timeline
 export const EventTypes = {
@@ -17,7 +36,17 @@ export const EventTypes = {
   TOOL_CALL_STARTED: "tool_call_started",
   TOOL_CALL_COMPLETED: "tool_call_completed",
   WEB_SEARCH_CALLED: "web_search_called",
-  WEB_SEARCH_OUTPUT: "web_search_output"
+  WEB_SEARCH_OUTPUT: "web_search_output",
+  RUN_CANCELLED: "run_cancelled",
+  CASSETTE_REPLAY: "cassette_replay",
+  OUTPUT_VALIDATION_FAILED: "output_validation_failed",
+  OUTPUT_REPAIR_ATTEMPT: "output_repair_attempt",
+  AGENT_USAGE: "agent_usage",
+  USAGE_SUMMARY: "usage_summary",
+  LIMIT_EXCEEDED: "limit_exceeded",
+  MODEL_RETRY: "model_retry",
+  MODEL_FALLBACK: "model_fallback",
+  COST_RECONCILIATION: "cost_reconciliation"
 };
 
 export const StageNames = {
@@ -25,9 +54,20 @@ export const StageNames = {
   RESEARCH: "research",
   SAFETY: "safety",
   COMPOSITION: "composition",
+  REGENERATION: "regeneration",
   FINAL: "final"
 };
 
+// Research payload key and option id prefix used when regenerating each component
+const REGENERATION_TARGETS = {
+  flight: { researchKey: "flightOptions", idPrefix: "f", label: "flight" },
+  hotel: { researchKey: "hotelOptions", idPrefix: "h", label: "hotel" },
+  carRental: { researchKey: "carRentalOptions", idPrefix: "c", label: "car rental" },
+  activities: { researchKey: "activityIdeas", idPrefix: "activity-", label: "activity" }
+};
+// Most options a flight, hotel or car rental keeps across regenerations
+const MAX_COMPONENT_OPTIONS = 6;
+
 /**
  * Redact sensitive information from prompts
  */
@@ -63,11 +103,104 @@ function summarizeResponse(response) {
   return response.length > 200 ? response.slice(0, 200) + "..." : response;
 }
 
-const requestedModel = (process.env.OPENAI_MODEL || "").trim();
-const model =
-  !requestedModel || requestedModel === "gpt-5.3-codex"
-    ? "gpt-4.1-mini"
-    : requestedModel;
+// Per-agent model, settings, max turns and tools; throws at import on invalid values
+export const agentConfig = loadAgentConfig();
+
+export const PLANNER_MODES = ["live", "fake"];
+export const plannerMode = (process.env.PLANNER_MODE || "live").trim().toLowerCase();
+if (!PLANNER_MODES.includes(plannerMode)) {
+  throw new Error(`PLANNER_MODE must be one of: ${PLANNER_MODES.join(", ")}`);
+}
+
+// Fake mode swaps in a local deterministic provider so the planner runs without OpenAI
+const runnerConfig =
+  plannerMode === "fake"
+    ? {
+        modelProvider: createFakeModelProvider({
+          latencyMs: Number(process.env.PLANNER_FAKE_LATENCY_MS || 250),
+          failingModels: (process.env.PLANNER_FAKE_FAILING_MODELS || "")
+            .split(",")
+            .map((modelName) => modelName.trim())
+            .filter(Boolean)
+        }),
+        tracingDisabled: true
+      }
+    : {};
+if (plannerMode === "fake") {
+  // The runner option only covers model calls; the run traces themselves go through the global provider
+  setTracingDisabled(true);
+}
+
+// How many times an agent is re-prompted to fix output that failed validation
+const maxRepairAttempts = parseNonNegativeInt(process.env.PLANNER_REPAIR_ATTEMPTS, 2);
+
+// Retries per model on rate limits / transient API errors, with exponential backoff
+const modelRetries = parseNonNegativeInt(process.env.PLANNER_MODEL_RETRIES, 2);
+const retryBaseDelayMs = parseNonNegativeInt(process.env.PLANNER_RETRY_BASE_MS, 1000);
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Record agent runs to a cassette file, or replay a recorded one with no network
+const cassette = createCassette(cassetteConfigFromEnv());
+export const cassetteMode = cassette.mode;
+
+// Per-session caps on tool calls, web searches, tokens and stage wall-clock time
+export const guardrailConfig = guardrailConfigFromEnv();
+
+// Offline exchange-rate table used to show costs in the traveller's display currency
+export const currency = createCurrencyService(currencyConfigFromEnv());
+
+// Destination taxes and fees, shared by budget_calculator and estimateTotals so both totals agree
+export const feeModel = createFeeModel(feeConfigFromEnv());
+
+// Default daily activity cap for the day-by-day schedule; a trip request can override it
+export const scheduleConfig = scheduleConfigFromEnv();
+
+// Haversine distance and walk / transit / drive estimates between hotels and activities
+export const travel = createTravelEstimator(travelConfigFromEnv());
+
+// Budget categories, keyed like estimatedCostSummary
+const BUDGET_CATEGORIES = {
+  flight: "flightUsd",
+  hotel: "hotelUsd",
+  carRental: "carRentalUsd",
+  activities: "activitiesUsd"
+};
+
+const budgetSchema = z
+  .object({
+    totalUsd: z.number().positive(),
+    flightUsd: z.number().positive().optional(),
+    hotelUsd: z.number().positive().optional(),
+    carRentalUsd: z.number().positive().optional(),
+    activitiesUsd: z.number().positive().optional()
+  })
+  .strict()
+  .refine(
+    (budget) =>
+      Object.values(BUDGET_CATEGORIES).reduce((sum, key) => sum + (budget[key] ?? 0), 0) <= budget.totalUsd,
+    { message: "category budgets cannot add up to more than totalUsd" }
+  );
+
+const MAX_TRAVELERS = 12;
+// Used when a hotel or car option does not say how many people it takes
+const DEFAULT_ROOM_OCCUPANCY = 2;
+const DEFAULT_CAR_SEATS = 5;
+
+const travelersSchema = z
+  .object({
+    count: z.number().int().min(1).max(MAX_TRAVELERS),
+    names: z.array(z.string().trim().min(1)).max(MAX_TRAVELERS).optional(),
+    // "shared": as many travelers per room as it sleeps; "private": one room each
+    roomSharing: z.enum(["shared", "private"]).optional(),
+    drivers: z.number().int().min(0).optional()
+  })
+  .strict()
+  .refine((travelers) => (travelers.names?.length ?? 0) <= travelers.count, {
+    message: "names cannot list more travelers than count"
+  })
+  .refine((travelers) => (travelers.drivers ?? 0) <= travelers.count, {
+    message: "drivers cannot exceed count"
+  });
 
 const tripRequestSchema = z
   .object({
@@ -80,7 +213,18 @@ const tripRequestSchema = z
     weatherPreferences: z.string().min(2),
     airTravelClass: z.enum(["economy", "business"]),
     hotelStars: z.enum(["3", "4", "5"]),
-    transportationNotes: z.string().optional()
+    transportationNotes: z.string().optional(),
+    travelers: travelersSchema.optional(),
+    maxActivitiesPerDay: z.number().int().min(1).max(SCHEDULE_SLOTS.length).optional(),
+    budget: budgetSchema.optional(),
+    displayCurrency: z
+      .string()
+      .trim()
+      .transform((value) => value.toUpperCase())
+      .refine((value) => currency.isSupported(value), {
+        message: `displayCurrency must be one of: ${currency.currencies.join(", ")}`
+      })
+      .optional()
   })
   .strict()
   .refine(
@@ -96,26 +240,48 @@ const budgetCalculatorTool = tagToolForMonitoring(
   tool({
   name: "budget_calculator",
   description:
-    "Calculate subtotal and total from itemized USD costs for flights, hotels, transport, and activities.",
+    "Calculate subtotal, destination taxes and fees, and total from itemized USD costs for flights, hotels, car rentals and activities. Tag each item with its component and pass the destination, flight class, hotel nights and car rental days so taxes, tourist taxes, rental surcharges and bag fees apply. Pass the traveller's displayCurrency (or null) to also get the totals converted.",
   parameters: z.object({
     items: z.array(
       z.object({
         label: z.string(),
+        component: z.enum(["flight", "hotel", "carRental", "activities", "other"]),
         costUsd: z.number().nonnegative()
       })
-    )
+    ),
+    destinationCity: z.string().nullable(),
+    travelers: z.number().int().positive().nullable(),
+    airTravelClass: z.enum(["economy", "business"]).nullable(),
+    hotelNights: z.number().int().nonnegative().nullable(),
+    carRentalDays: z.number().int().nonnegative().nullable(),
+    displayCurrency: z.string().nullable()
   }),
-  execute: async ({ items }) => {
-    const taxRate = 0.1;
+  execute: async ({ items, destinationCity, travelers, airTravelClass, hotelNights, carRentalDays, displayCurrency }) => {
+    const costs = {};
+    items.forEach((item) => {
+      costs[item.component] = (costs[item.component] ?? 0) + item.costUsd;
+    });
     const subtotalUsd = Number(items.reduce((sum, item) => sum + item.costUsd, 0).toFixed(2));
-    const taxUsd = Number((subtotalUsd * taxRate).toFixed(2));
-    const totalUsd = Number((subtotalUsd + taxUsd).toFixed(2));
+    const fees = feeModel.compute({ destinationCity, travelers, airTravelClass, hotelNights, carRentalDays, costs });
+    const totalUsd = Number((subtotalUsd + fees.totalUsd).toFixed(2));
+    const target = String(displayCurrency || "").toUpperCase();
 
     return {
       subtotalUsd,
-      taxUsd,
+      feesUsd: fees.totalUsd,
+      fees: fees.lineItems,
+      feeRules: fees.location,
       totalUsd,
-      taxRateUsed: taxRate
+      display:
+        target && target !== SOURCE_CURRENCY && currency.isSupported(target)
+          ? {
+              currency: target,
+              subtotal: currency.convert(subtotalUsd, SOURCE_CURRENCY, target),
+              fees: currency.convert(fees.totalUsd, SOURCE_CURRENCY, target),
+              total: currency.convert(totalUsd, SOURCE_CURRENCY, target),
+              rateAsOf: currency.asOf
+            }
+          : null
     };
   }
 }),
@@ -126,6 +292,31 @@ const budgetCalculatorTool = tagToolForMonitoring(
   }
 );
 
+const travelPointSchema = z.object({
+  label: z.string(),
+  latitude: z.number(),
+  longitude: z.number()
+});
+
+const travelTimesTool = tagToolForMonitoring(
+  tool({
+    name: "travel_times",
+    description:
+      "Estimate straight-line distance and walk, transit and drive minutes from one origin (such as a hotel) to each destination (such as the activities), with averages and a suggested mode. Coordinates are decimal degrees.",
+    parameters: z.object({
+      origin: travelPointSchema,
+      destinations: z.array(travelPointSchema)
+    }),
+    execute: async ({ origin, destinations }) =>
+      travel.summarize(origin, destinations) ?? { measured: 0, note: "No valid coordinates to measure." }
+  }),
+  {
+    source: "custom",
+    family: "travel_times",
+    label: "travel"
+  }
+);
+
 const researchWebSearchTool = createMonitoredHostedTool(() => webSearchTool(), {
   family: "web_search",
   label: "research"
@@ -136,25 +327,91 @@ const safetyWebSearchTool = createMonitoredHostedTool(() => webSearchTool(), {
   label: "safety"
 });
 
+/**
+ * Map configured tool names to tool instances, in a stable order
+ */
+function enabledTools(toolNames, overrides = {}) {
+  const available = {
+    web_search: researchWebSearchTool,
+    budget_calculator: budgetCalculatorTool,
+    travel_times: travelTimesTool,
+    ...overrides
+  };
+  return Object.keys(available)
+    .filter((toolName) => toolNames.includes(toolName))
+    .map((toolName) => available[toolName]);
+}
+
+function researchPricingHint() {
+  return agentConfig.research.tools.includes("web_search")
+    ? "Use web search for realistic price ranges and providers."
+    : "Estimate realistic price ranges and providers from your own knowledge.";
+}
+
+function researchBudgetHint(preferences) {
+  const budget = preferences.budget;
+  if (!budget) return "";
+
+  const caps = Object.entries(BUDGET_CATEGORIES)
+    .filter(([, key]) => budget[key])
+    .map(([category, key]) => `${category} <= $${budget[key]}`);
+  return [
+    `Budget ceiling: $${budget.totalUsd} total for the whole trip${caps.length ? ` (${caps.join(", ")})` : ""}.`,
+    "Include at least one option per component, and low-cost activity ideas, that keep the trip within this budget."
+  ].join("\n");
+}
+
+/**
+ * Fill in travel party defaults: one traveler, shared rooms, one driver and
+ * "Traveler N" for anyone left unnamed
+ */
+function resolveTravelers(travelers) {
+  const count = Math.max(1, Number(travelers?.count) || 1);
+  return {
+    count,
+    names: Array.from({ length: count }, (_, index) => travelers?.names?.[index] || `Traveler ${index + 1}`),
+    roomSharing: travelers?.roomSharing ?? "shared",
+    drivers: travelers?.drivers ?? 1
+  };
+}
+
+function researchGroupHint(preferences) {
+  const travelers = resolveTravelers(preferences.travelers);
+  if (travelers.count === 1) return "";
+
+  return [
+    `Group: ${travelers.count} travelers, ${travelers.roomSharing === "shared" ? "sharing rooms" : "one room each"}, ${travelers.drivers} driver(s).`,
+    "Include hotels with rooms that sleep several guests and cars with enough seats for the group."
+  ].join("\n");
+}
+
+function webSearchInstructions(toolNames, usage) {
+  return toolNames.includes("web_search")
+    ? `${usage}\nYou MUST call the web search tool at least once before returning output.`
+    : "Web search is disabled for this agent; rely on your own knowledge and state that prices are estimates.";
+}
+
 const researchAgent = new Agent({
   name: "TripResearchAgent",
-  model,
+  model: agentConfig.research.model,
+  modelSettings: agentConfig.research.modelSettings,
   instructions: `You are a travel research specialist for MIT spring break trip planning.
-Use web search for current and realistic options.
-You MUST call the web search tool at least once before returning output.
+${webSearchInstructions(agentConfig.research.tools, "Use web search for current and realistic options.")}
 You MUST return strict JSON only (no markdown, no prose outside JSON) with this schema:
 {
-  "flightOptions": [{"id":"f1","label":"...","airline":"...","route":"...","class":"economy|business","outboundDepartureLocal":"2026-03-21T19:00:00-04:00","outboundArrivalLocal":"2026-03-22T08:30:00+01:00","returnDepartureLocal":"2026-03-29T10:00:00+01:00","returnArrivalLocal":"2026-03-29T13:00:00-04:00","daysAtDestination":8,"nightsAtDestination":7,"costUsd":1200,"notes":"..."}],
-  "hotelOptions": [{"id":"h1","label":"...","stars":4,"nightlyUsd":250,"nights":7,"costUsd":1750,"notes":"..."}],
-  "carRentalOptions": [{"id":"c1","label":"...","company":"...","carType":"...","dailyRateUsd":50,"rentalDays":8,"costUsd":400,"notes":"..."}],
-  "activityIdeas": [{"name":"...","category":"museums","location":"specific place or address for map pin","estimatedCostUsd":40,"whyFit":"..."}],
+  "flightOptions": [{"id":"f1","label":"...","airline":"...","route":"...","class":"economy|business","outboundDepartureLocal":"2026-03-21T19:00:00-04:00","outboundArrivalLocal":"2026-03-22T08:30:00+01:00","returnDepartureLocal":"2026-03-29T10:00:00+01:00","returnArrivalLocal":"2026-03-29T13:00:00-04:00","daysAtDestination":8,"nightsAtDestination":7,"costUsd":1200,"currency":"USD","notes":"..."}],
+  "hotelOptions": [{"id":"h1","label":"...","stars":4,"nightlyUsd":250,"nights":7,"roomOccupancy":2,"costUsd":1750,"currency":"USD","latitude":48.857,"longitude":2.352,"notes":"..."}],
+  "carRentalOptions": [{"id":"c1","label":"...","company":"...","carType":"...","dailyRateUsd":50,"rentalDays":8,"seats":5,"costUsd":400,"currency":"USD","notes":"..."}],
+  "activityIdeas": [{"name":"...","category":"museums","location":"specific place or address for map pin","latitude":48.861,"longitude":2.336,"estimatedCostUsd":40,"currency":"USD","whyFit":"..."}],
   "researchNotes": ["..."],
   "pricingDateNote": "state pricing date caveat"
 }
 Use both user start/end dates and the flight schedule to compute daysAtDestination and nightsAtDestination.
 Account for overnight flights and time zone differences.
 Hotel nights and car rental days MUST align to the computed destination stay.
-Return 2-3 options per component with realistic costs in USD.
+Give approximate latitude/longitude for every hotel and activity (null only if you cannot place it).
+Quote flight costUsd and activity estimatedCostUsd per person, hotel nightlyUsd and costUsd for one room (roomOccupancy is how many guests it sleeps), and car dailyRateUsd and costUsd for one car (seats is its passenger capacity).
+Return 2-3 options per component with realistic costs. Set each option's and activity's "currency" to the ISO code its prices are quoted in (one of ${currency.currencies.join(", ")}); use USD unless the price is only published in a local currency. Prices are converted to USD afterwards.
 
 IMPORTANT — activityIdeas:
 • The user preferences include an "activities" array listing desired activity categories (e.g. ["museums","food tours","nightlife"]).
@@ -166,15 +423,27 @@ IMPORTANT — activityIdeas:
 • If the destination is Hong Kong, suggest Hong Kong activities; if Paris, suggest Paris activities; etc.
 • Every activityIdea MUST include a "location" field with a specific, geocodable place name or address (e.g. "Victoria Peak, Hong Kong" or "Musée d'Orsay, Paris").
 Never suggest making purchases.`,
-  tools: [researchWebSearchTool, budgetCalculatorTool]
+  tools: enabledTools(agentConfig.research.tools),
+  outputType: researchOutputSchema
 });
 
+// Regeneration passes return a single options key, so each gets a narrowed output type
+const regenerationAgents = Object.fromEntries(
+  Object.values(REGENERATION_TARGETS).map(({ researchKey }) => [
+    researchKey,
+    researchAgent.clone({ outputType: regenerationOutputSchema(researchKey) })
+  ])
+);
+
 const safetyPackingAgent = new Agent({
   name: "SafetyPackingAgent",
-  model,
+  model: agentConfig.safety.model,
+  modelSettings: agentConfig.safety.modelSettings,
   instructions: `You are a safety and packing assistant.
-Use web search to identify practical and current safety, local transport, and weather considerations.
-You MUST call the web search tool at least once before returning output.
+${webSearchInstructions(
+  agentConfig.safety.tools,
+  "Use web search to identify practical and current safety, local transport, and weather considerations."
+)}
 Return strict JSON only with schema:
 {
   "safetyConcerns": ["..."],
@@ -183,12 +452,14 @@ Return strict JSON only with schema:
   "weatherSummary": "..."
 }
 Keep it concise and practical.`,
-  tools: [safetyWebSearchTool]
+  tools: enabledTools(agentConfig.safety.tools, { web_search: safetyWebSearchTool }),
+  outputType: safetyOutputSchema
 });
 
 const itineraryAgent = new Agent({
   name: "ItineraryComposerAgent",
-  model,
+  model: agentConfig.composer.model,
+  modelSettings: agentConfig.composer.modelSettings,
   instructions: `You are an itinerary composer.
 Given user preferences plus research and safety JSON, return strict JSON only with this schema:
 {
@@ -205,7 +476,7 @@ Given user preferences plus research and safety JSON, return strict JSON only wi
     "hotel": {"options": [], "recommendedOptionId": "h1", "confirmationQuestion": "..."},
     "carRental": {"options": [], "recommendedOptionId": "c1", "confirmationQuestion": "..."}
   },
-  "activities": [{"name":"...","category":"museums","location":"specific place or address","estimatedCostUsd":0,"scheduledDay":"Day 1","notes":"..."}],
+  "activities": [{"name":"...","category":"museums","location":"specific place or address","latitude":0,"longitude":0,"estimatedCostUsd":0,"currency":"USD","scheduledDay":"","notes":"..."}],
   "safetyConcerns": ["..."],
   "packingList": ["..."],
   "estimatedCostSummary": {
@@ -213,35 +484,66 @@ Given user preferences plus research and safety JSON, return strict JSON only wi
     "hotelUsd": 0,
     "carRentalUsd": 0,
     "activitiesUsd": 0,
+    "feesUsd": 0,
     "totalUsd": 0
   },
   "disclaimer": "No purchases are made"
 }
 The three components flight/hotel/carRental must always be present.
 Ask explicit confirmation questions for each component.
-You MUST call the budget_calculator tool exactly once before returning output.
+${
+  agentConfig.composer.tools.includes("budget_calculator")
+    ? "You MUST call the budget_calculator tool exactly once before returning output. Item costs are group totals: multiply per-person flight and activity costs by the number of travelers. Tag each item with its component, and pass the destination city, number of travelers, flight class, the recommended hotel's nights, the recommended car's rental days and the preferences' displayCurrency (or null). Copy its feesUsd and totalUsd into estimatedCostSummary."
+    : "Compute estimatedCostSummary yourself by summing the recommended options and activities; set feesUsd to your estimate of destination taxes and fees."
+}
 Use flight schedule times plus start/end dates to ensure hotel nights and car rental days match stayAtDestination.
-IMPORTANT: Copy ALL activityIdeas from the research data into the activities array. Keep the "category" field on every activity exactly as provided. Do NOT drop or rename categories.
+Leave scheduledDay empty; the planner builds the day-by-day schedule from the stay.
+Keep each hotel's and activity's latitude/longitude from the research data.
+${
+  agentConfig.composer.tools.includes("travel_times")
+    ? "Call the travel_times tool once per hotel option, with the activities' coordinates as destinations. Recommend the hotel with the shortest average travel that still matches the requested stars, and mention its average distance in the hotel's notes."
+    : ""
+}
+IMPORTANT: Copy ALL activityIdeas from the research data into the activities array. Keep the "category" field on every activity exactly as provided. Do NOT drop or rename categories. Keep every option's and activity's "currency" as provided.
 Never recommend or perform purchasing.`,
-  tools: [budgetCalculatorTool]
+  tools: enabledTools(agentConfig.composer.tools),
+  outputType: itineraryOutputSchema
 });
 
 const finalReviewAgent = new Agent({
   name: "FinalReviewAgent",
-  model,
-  instructions: `You produce final confirmation text after the user confirms flight, hotel, and car rental.
+  model: agentConfig.finalReview.model,
+  modelSettings: agentConfig.finalReview.modelSettings,
+  instructions: `You produce final confirmation text after the user confirms flight, hotel, car rental, and one activity per requested category.
 Return strict JSON only:
 {
   "finalSummary": "...",
   "finalConfirmationQuestion": "...",
   "purchaseReminder": "No purchases are made"
-}`
+}`,
+  outputType: finalReviewOutputSchema
 });
 
+const regenerationRequestSchema = z
+  .object({
+    component: z.enum(["flight", "hotel", "carRental", "activities"]),
+    category: z.string().min(2).optional(),
+    constraints: z.string().max(500).optional()
+  })
+  .strict()
+  .refine((value) => value.component !== "activities" || Boolean(value.category), {
+    message: "category is required when regenerating activities",
+    path: ["category"]
+  });
+
 export function validateTripRequest(input) {
   return tripRequestSchema.safeParse(input);
 }
 
+export function validateRegenerationRequest(input) {
+  return regenerationRequestSchema.safeParse(input);
+}
+
 export function recomputeDependentComponentsFromFlight(itinerary, confirmedFlightOptionId) {
   const nextItinerary = structuredClone(itinerary ?? {});
   nextItinerary.components = nextItinerary.components ?? {};
@@ -288,20 +590,55 @@ export function recomputeDependentComponentsFromFlight(itinerary, confirmedFligh
   nextItinerary.components.hotel = normalizeHotelComponent(
     nextItinerary.components.hotel,
     nextItinerary.components.hotel?.options ?? [],
-    recomputedStay
+    recomputedStay,
+    nextItinerary.travelers
   );
   nextItinerary.components.carRental = normalizeCarComponent(
     nextItinerary.components.carRental,
     nextItinerary.components.carRental?.options ?? [],
-    recomputedStay
+    recomputedStay,
+    nextItinerary.travelers
   );
-  nextItinerary.estimatedCostSummary = estimateTotals(nextItinerary);
+  refreshDerivedFields(nextItinerary);
+
+  return nextItinerary;
+}
+
+/**
+ * Mark the confirmed option of a flight, hotel or car rental (null clears it)
+ * and recompute the cost summary from it
+ */
+export function applyComponentSelection(itinerary, componentType, optionId) {
+  const nextItinerary = structuredClone(itinerary ?? {});
+  const component = nextItinerary.components?.[componentType];
+  if (component) {
+    component.confirmedOptionId = optionId ?? null;
+  }
+  refreshDerivedFields(nextItinerary);
+
+  return nextItinerary;
+}
+
+/**
+ * Mark the confirmed activity picks and recompute the cost summary from them
+ */
+export function applyActivitySelections(itinerary, selectedActivityIds) {
+  const nextItinerary = structuredClone(itinerary ?? {});
+  const selectedIds = new Set(selectedActivityIds ?? []);
+
+  nextItinerary.activities = (nextItinerary.activities ?? []).map((activity) => ({
+    ...activity,
+    confirmed: selectedIds.has(activity.id)
+  }));
+  nextItinerary.components = nextItinerary.components ?? {};
+  refreshDerivedFields(nextItinerary);
 
   return nextItinerary;
 }
 
 export async function buildItineraryDraft(preferences, options = {}) {
-  const emit = typeof options.onEvent === "function" ? options.onEvent : () => {};
+  const { emit, usage } = createUsageEmitter(options);
+  const limits = options.limits ?? createSessionLimits(guardrailConfig);
 
   emit({
     type: EventTypes.STAGE_STARTED,
@@ -318,7 +655,9 @@ export async function buildItineraryDraft(preferences, options = {}) {
     `Destination city: ${preferences.destinationCity || "unknown"}`,
     `Requested activity categories (${activityCategories.length}): ${activityCategories.join(", ") || "general"}`,
     `Return exactly 3 activityIdeas PER category above (${activityCategories.length * 3} total). Each must include a "category" field matching the category name and a "location" field with the specific geocodable place name or address (e.g. "Victoria Peak, Hong Kong"). All activities MUST be real places/experiences in ${preferences.destinationCity || "the destination city"}.`,
-    "Use web search for realistic price ranges and providers."
+    researchPricingHint(),
+    researchBudgetHint(preferences),
+    researchGroupHint(preferences)
   ].join("\n");
 
   const safetyInput = [
@@ -337,64 +676,106 @@ export async function buildItineraryDraft(preferences, options = {}) {
     }
   });
 
-  emit({
-    type: EventTypes.STAGE_STARTED,
-    stage: StageNames.RESEARCH,
-    agent: "TripResearchAgent",
-    message: "Researching flights, hotels, car rentals, and activity ideas (using web search)."
-  });
-  const researchResult = await runAgentWithTelemetry({
-    agent: researchAgent,
-    agentName: "TripResearchAgent",
-    stage: StageNames.RESEARCH,
-    input: researchInput,
-    emit
-  });
+  // Safety only depends on preferences, so it runs alongside research. If either
+  // stage fails the other is aborted instead of finishing work nobody will use.
+  const siblingController = new AbortController();
+  const stageSignal = options.signal
+    ? AbortSignal.any([options.signal, siblingController.signal])
+    : siblingController.signal;
+  const abortSibling = (error) => {
+    siblingController.abort(error);
+    throw error;
+  };
 
-  const researchJson = parseAgentJson(extractAgentText(researchResult), "researchAgent");
-  const researchSummary = summarizeResearch(researchJson);
-  
-  emit({
-    type: EventTypes.STAGE_COMPLETED,
-    stage: StageNames.RESEARCH,
-    agent: "TripResearchAgent",
-    message: "Research complete.",
-    stage_summary: {
-      flightOptions: researchSummary.flightOptions,
-      hotelOptions: researchSummary.hotelOptions,
-      carRentalOptions: researchSummary.carRentalOptions,
-      activityIdeas: researchSummary.activityIdeas
-    }
-  });
+  const runResearchStage = async () => {
+    emit({
+      type: EventTypes.STAGE_STARTED,
+      stage: StageNames.RESEARCH,
+      agent: "TripResearchAgent",
+      message: "Researching flights, hotels, car rentals, and activity ideas (using web search)."
+    });
+    const { output: researchJson, model } = await runAgentForOutput({
+      agent: researchAgent,
+      agentName: "TripResearchAgent",
+      stage: StageNames.RESEARCH,
+      input: researchInput,
+      emit,
+      signal: stageSignal,
+      limits,
+      maxTurns: agentConfig.research.maxTurns,
+      fallbackModels: agentConfig.research.fallbackModels,
+      schema: researchOutputSchema
+    });
+    const researchSummary = summarizeResearch(researchJson);
 
-  emit({
-    type: EventTypes.STAGE_STARTED,
-    stage: StageNames.SAFETY,
-    agent: "SafetyPackingAgent",
-    message: "Checking safety considerations, weather, and packing guidance (using web search)."
-  });
-  const safetyResult = await runAgentWithTelemetry({
-    agent: safetyPackingAgent,
-    agentName: "SafetyPackingAgent",
-    stage: StageNames.SAFETY,
-    input: safetyInput,
-    emit
-  });
+    emit({
+      type: EventTypes.STAGE_COMPLETED,
+      stage: StageNames.RESEARCH,
+      agent: "TripResearchAgent",
+      message: "Research complete.",
+      stage_summary: {
+        model,
+        flightOptions: researchSummary.flightOptions,
+        hotelOptions: researchSummary.hotelOptions,
+        carRentalOptions: researchSummary.carRentalOptions,
+        activityIdeas: researchSummary.activityIdeas
+      }
+    });
+    return researchJson;
+  };
 
-  const safetyJson = parseAgentJson(extractAgentText(safetyResult), "safetyPackingAgent");
-  const safetySummary = summarizeSafety(safetyJson);
-  
-  emit({
-    type: EventTypes.STAGE_COMPLETED,
-    stage: StageNames.SAFETY,
-    agent: "SafetyPackingAgent",
-    message: "Safety and packing analysis complete.",
-    stage_summary: {
-      safetyConcerns: safetySummary.safetyConcerns,
-      packingItems: safetySummary.packingItems,
-      localTransportTips: safetySummary.localTransportTips
+  const runSafetyStage = async () => {
+    emit({
+      type: EventTypes.STAGE_STARTED,
+      stage: StageNames.SAFETY,
+      agent: "SafetyPackingAgent",
+      message: "Checking safety considerations, weather, and packing guidance (using web search)."
+    });
+    let safetyJson;
+    let model = null;
+    let skippedForLimit = false;
+    try {
+      ({ output: safetyJson, model } = await runAgentForOutput({
+        agent: safetyPackingAgent,
+        agentName: "SafetyPackingAgent",
+        stage: StageNames.SAFETY,
+        input: safetyInput,
+        emit,
+        signal: stageSignal,
+        limits,
+        maxTurns: agentConfig.safety.maxTurns,
+        fallbackModels: agentConfig.safety.fallbackModels,
+        schema: safetyOutputSchema
+      }));
+    } catch (error) {
+      // Safety guidance is optional; keep planning if only this stage ran out of budget
+      if (!(error instanceof LimitExceededError) || stageSignal.aborted) throw error;
+      safetyJson = { safetyConcerns: [], packingList: [], localTransportAdvice: [], weatherSummary: "" };
+      skippedForLimit = true;
     }
-  });
+    const safetySummary = summarizeSafety(safetyJson);
+
+    emit({
+      type: EventTypes.STAGE_COMPLETED,
+      stage: StageNames.SAFETY,
+      agent: "SafetyPackingAgent",
+      message: skippedForLimit
+        ? "Safety and packing analysis skipped after reaching a session limit."
+        : "Safety and packing analysis complete.",
+      stage_summary: {
+        ...(model && { model }),
+        safetyConcerns: safetySummary.safetyConcerns,
+        packingItems: safetySummary.packingItems,
+        localTransportTips: safetySummary.localTransportTips
+      }
+    });
+    return safetyJson;
+  };
+
+  const [researchJson, safetyJson] = await Promise.all([
+    runResearchStage().catch(abortSibling),
+    runSafetyStage().catch(abortSibling)
+  ]);
 
   const itineraryInput = [
     "Compose itinerary JSON from these trip preferences:",
@@ -411,24 +792,44 @@ export async function buildItineraryDraft(preferences, options = {}) {
     agent: "ItineraryComposerAgent",
     message: "Composing itinerary, costs, and confirmation questions."
   });
-  const itineraryResult = await runAgentWithTelemetry({
-    agent: itineraryAgent,
-    agentName: "ItineraryComposerAgent",
-    stage: StageNames.COMPOSITION,
-    input: itineraryInput,
-    emit
-  });
-  const itineraryDraft = parseAgentJson(extractAgentText(itineraryResult), "itineraryAgent");
+  let itineraryDraft;
+  let composerModel = null;
+  let composedFromResearch = false;
+  try {
+    ({ output: itineraryDraft, model: composerModel } = await runAgentForOutput({
+      agent: itineraryAgent,
+      agentName: "ItineraryComposerAgent",
+      stage: StageNames.COMPOSITION,
+      input: itineraryInput,
+      emit,
+      signal: options.signal,
+      limits,
+      maxTurns: agentConfig.composer.maxTurns,
+      fallbackModels: agentConfig.composer.fallbackModels,
+      schema: itineraryOutputSchema
+    }));
+  } catch (error) {
+    // normalizeItinerary can assemble a usable draft straight from research results
+    if (!(error instanceof LimitExceededError)) throw error;
+    itineraryDraft = {};
+    composedFromResearch = true;
+  }
 
   const normalized = normalizeItinerary(itineraryDraft, researchJson, safetyJson, preferences);
   const itinerarySummary = summarizeItinerary(normalized);
+  if (!composedFromResearch) {
+    emitCostReconciliation(emit, itineraryDraft.estimatedCostSummary, normalized.estimatedCostSummary);
+  }
   
   emit({
     type: EventTypes.STAGE_COMPLETED,
     stage: StageNames.COMPOSITION,
     agent: "ItineraryComposerAgent",
-    message: "Itinerary draft is ready for your review.",
+    message: composedFromResearch
+      ? "Itinerary draft assembled from research results after reaching a session limit."
+      : "Itinerary draft is ready for your review.",
     stage_summary: {
+      ...(composerModel && { model: composerModel }),
       components: itinerarySummary.components,
       activities: itinerarySummary.activities,
       estimatedTotalUsd: itinerarySummary.estimatedTotalUsd,
@@ -436,12 +837,197 @@ export async function buildItineraryDraft(preferences, options = {}) {
       nightsAtDestination: itinerarySummary.nightsAtDestination
     }
   });
+  emitUsageSummary(emit, usage, StageNames.COMPOSITION);
 
   return normalized;
 }
 
+/**
+ * Rerun a focused research pass for one component (or one activity category)
+ * and merge the fresh options into the itinerary without touching the rest.
+ */
+export async function regenerateComponentOptions(preferences, itinerary, request, options = {}) {
+  const { emit, usage } = createUsageEmitter(options);
+  const limits = options.limits ?? createSessionLimits(guardrailConfig);
+  const { component, category, constraints } = request;
+  const target = REGENERATION_TARGETS[component];
+  const subject = component === "activities" ? `"${category}" activity ideas` : `${target.label} options`;
+
+  const regenerationInput = [
+    `Research fresh ${subject} only for this trip:`,
+    JSON.stringify(preferences, null, 2),
+    "",
+    "Current options the user wants alternatives to:",
+    JSON.stringify(currentRegenerationOptions(itinerary, component, category), null, 2),
+    "",
+    constraints ? `Additional user constraints: ${constraints}` : "No additional constraints.",
+    component === "activities"
+      ? `Return exactly 3 activityIdeas, each with "category": "${category}" and a geocodable "location" in ${preferences.destinationCity || "the destination city"}.`
+      : `Return 2-3 ${target.researchKey} that differ from the current options.`,
+    `Return strict JSON with only the "${target.researchKey}" key, using the same option schema as a full research run.`,
+    researchPricingHint(),
+    researchBudgetHint(preferences),
+    researchGroupHint(preferences)
+  ].join("\n");
+
+  emit({
+    type: EventTypes.STAGE_STARTED,
+    stage: StageNames.REGENERATION,
+    agent: "TripResearchAgent",
+    message: `Regenerating ${subject}${constraints ? ` (${constraints})` : ""} (using web search).`
+  });
+
+  const { output: researchJson, model } = await runAgentForOutput({
+    agent: regenerationAgents[target.researchKey],
+    agentName: "TripResearchAgent",
+    stage: StageNames.REGENERATION,
+    input: regenerationInput,
+    emit,
+    signal: options.signal,
+    limits,
+    maxTurns: agentConfig.research.maxTurns,
+    fallbackModels: agentConfig.research.fallbackModels,
+    schema: regenerationOutputSchema(target.researchKey)
+  });
+  const freshOptions = Array.isArray(researchJson?.[target.researchKey]) ? researchJson[target.researchKey] : [];
+  if (freshOptions.length === 0) {
+    throw new Error(`researchAgent returned no ${target.researchKey}`);
+  }
+
+  const { itinerary: nextItinerary, newOptionIds } = mergeRegeneratedOptions(
+    itinerary,
+    component,
+    category,
+    freshOptions
+  );
+
+  emit({
+    type: EventTypes.STAGE_COMPLETED,
+    stage: StageNames.REGENERATION,
+    agent: "TripResearchAgent",
+    message: `Fresh ${subject} are ready for your review.`,
+    stage_summary: {
+      model,
+      component,
+      category: category ?? null,
+      newOptions: newOptionIds.length,
+      estimatedTotalUsd: nextItinerary.estimatedCostSummary?.totalUsd ?? null
+    }
+  });
+  emitUsageSummary(emit, usage, StageNames.REGENERATION);
+
+  return { itinerary: nextItinerary, newOptionIds, freshOptions };
+}
+
+function currentRegenerationOptions(itinerary, component, category) {
+  if (component !== "activities") {
+    return itinerary?.components?.[component]?.options ?? [];
+  }
+
+  const normalizedCategory = String(category || "").toLowerCase().trim();
+  return (itinerary?.activities ?? []).filter(
+    (activity) => String(activity.category || "").toLowerCase().trim() === normalizedCategory
+  );
+}
+
+/**
+ * Add freshly researched options to an itinerary. Activity ideas replace the
+ * category's unconfirmed ones; component options join the list, which drops its
+ * oldest options (never the confirmed one) past MAX_COMPONENT_OPTIONS.
+ */
+export function mergeRegeneratedOptions(itinerary, component, category, freshOptions) {
+  const nextItinerary = structuredClone(itinerary ?? {});
+  nextItinerary.components = nextItinerary.components ?? {};
+  const { idPrefix } = REGENERATION_TARGETS[component];
+
+  if (component === "activities") {
+    const normalizedCategory = String(category || "").toLowerCase().trim();
+    const existing = nextItinerary.activities ?? [];
+    const nextIndex = nextIdNumber(existing.map((activity) => activity.id), idPrefix, existing.length);
+    const freshActivities = freshOptions.map((activity, index) =>
+      priceInUsd({
+        id: `${idPrefix}${nextIndex + index}`,
+        name: activity.name,
+        category,
+        location: activity.location || "",
+        latitude: activity.latitude ?? null,
+        longitude: activity.longitude ?? null,
+        estimatedCostUsd: activity.estimatedCostUsd ?? 0,
+        currency: activity.currency ?? null,
+        scheduledDay: activity.scheduledDay || "",
+        notes: activity.whyFit ?? activity.notes ?? ""
+      })
+    );
+
+    // Keep confirmed picks and every other category; replace this category's unconfirmed ideas
+    nextItinerary.activities = [
+      ...existing.filter(
+        (activity) =>
+          activity.confirmed || String(activity.category || "").toLowerCase().trim() !== normalizedCategory
+      ),
+      ...freshActivities
+    ];
+    refreshDerivedFields(nextItinerary);
+
+    return { itinerary: nextItinerary, newOptionIds: freshActivities.map((activity) => activity.id) };
+  }
+
+  const existingComponent = nextItinerary.components[component] ?? { options: [] };
+  const existingOptions = existingComponent.options ?? [];
+  const nextIndex = nextIdNumber(existingOptions.map((option) => option.id), idPrefix, existingOptions.length + 1);
+  const renumbered = freshOptions.map((option, index) => ({
+    ...option,
+    id: `${idPrefix}${nextIndex + index}`,
+    regenerated: true
+  }));
+  const confirmedOptionId = existingComponent.confirmedOptionId ?? null;
+  const room = Math.max(0, MAX_COMPONENT_OPTIONS - renumbered.length - (confirmedOptionId ? 1 : 0));
+  const earlierOptions = existingOptions.filter((option) => option.id !== confirmedOptionId);
+  const keptIds = new Set([
+    confirmedOptionId,
+    ...earlierOptions.slice(Math.max(0, earlierOptions.length - room)).map((option) => option.id)
+  ]);
+  // A confirmed option stays the recommendation; otherwise the first fresh one is suggested
+  const merged = {
+    ...existingComponent,
+    options: [...existingOptions.filter((option) => keptIds.has(option.id)), ...renumbered],
+    recommendedOptionId: existingComponent.confirmedOptionId ?? renumbered[0].id
+  };
+
+  if (component === "hotel") {
+    nextItinerary.components.hotel = normalizeHotelComponent(
+      merged,
+      [],
+      nextItinerary.stayAtDestination,
+      nextItinerary.travelers
+    );
+  } else if (component === "carRental") {
+    nextItinerary.components.carRental = normalizeCarComponent(
+      merged,
+      [],
+      nextItinerary.stayAtDestination,
+      nextItinerary.travelers
+    );
+  } else {
+    nextItinerary.components.flight = normalizeComponent(merged, [], "Please confirm this flight option.");
+  }
+  refreshDerivedFields(nextItinerary);
+
+  return { itinerary: nextItinerary, newOptionIds: renumbered.map((option) => option.id) };
+}
+
+function nextIdNumber(ids, prefix, fallback) {
+  const numbers = ids
+    .map((id) => String(id || ""))
+    .filter((id) => id.startsWith(prefix))
+    .map((id) => Number(id.slice(prefix.length)))
+    .filter((value) => Number.isInteger(value));
+
+  return numbers.length ? Math.max(...numbers) + 1 : fallback;
+}
+
 export async function createFinalReview(preferences, itinerary, confirmations, options = {}) {
-  const emit = typeof options.onEvent === "function" ? options.onEvent : () => {};
+  const { emit, usage } = createUsageEmitter(options);
 
   const selectedComponents = Object.fromEntries(
     TRIP_COMPONENTS.map((componentType) => {
@@ -451,6 +1037,7 @@ export async function createFinalReview(preferences, itinerary, confirmations, o
       return [componentType, selectedOption];
     })
   );
+  selectedComponents.activities = (itinerary.activities ?? []).filter((activity) => activity.confirmed);
 
   const finalReviewInput = [
     "User has confirmed these selections:",
@@ -467,31 +1054,66 @@ export async function createFinalReview(preferences, itinerary, confirmations, o
     message: "Preparing final review and confirmation prompt."
   });
 
-  const reviewResult = await runAgentWithTelemetry({
+  const { output: parsed, model } = await runAgentForOutput({
     agent: finalReviewAgent,
     agentName: "FinalReviewAgent",
     stage: StageNames.FINAL,
     input: finalReviewInput,
-    emit
+    emit,
+    signal: options.signal,
+    limits: options.limits ?? createSessionLimits(guardrailConfig),
+    maxTurns: agentConfig.finalReview.maxTurns,
+    fallbackModels: agentConfig.finalReview.fallbackModels,
+    schema: finalReviewOutputSchema
   });
 
-  const parsed = parseAgentJson(extractAgentText(reviewResult), "finalReviewAgent");
-
   emit({
     type: EventTypes.STAGE_COMPLETED,
     stage: StageNames.FINAL,
     agent: "FinalReviewAgent",
     message: "Final review is ready.",
     stage_summary: {
+      model,
       hasFinalSummary: Boolean(parsed?.finalSummary),
       hasFinalConfirmationQuestion: Boolean(parsed?.finalConfirmationQuestion),
       purchaseReminder: parsed?.purchaseReminder ?? null
     }
   });
+  emitUsageSummary(emit, usage, StageNames.FINAL);
 
   return parsed;
 }
 
+// Composer and server totals within a dollar are treated as matching (rounding)
+const RECONCILIATION_TOLERANCE_USD = 1;
+
+/**
+ * Compare the composer's reported total with the recomputed one the itinerary keeps
+ */
+function emitCostReconciliation(emit, composerCosts, serverCosts) {
+  const composerTotalUsd = Number(composerCosts?.totalUsd);
+  if (!Number.isFinite(composerTotalUsd)) return;
+
+  const differenceUsd = Number((serverCosts.totalUsd - composerTotalUsd).toFixed(2));
+  const reconciled = Math.abs(differenceUsd) <= RECONCILIATION_TOLERANCE_USD;
+  emit({
+    type: EventTypes.COST_RECONCILIATION,
+    stage: StageNames.COMPOSITION,
+    agent: "ItineraryComposerAgent",
+    message: reconciled
+      ? `Composer total matches the recomputed total of $${serverCosts.totalUsd}.`
+      : `Composer total $${composerTotalUsd} differs from the recomputed $${serverCosts.totalUsd}; using the recomputed total.`,
+    reconciliation: {
+      composerTotalUsd,
+      composerFeesUsd: Number.isFinite(Number(composerCosts.feesUsd)) ? Number(composerCosts.feesUsd) : null,
+      serverTotalUsd: serverCosts.totalUsd,
+      serverFeesUsd: serverCosts.feesUsd,
+      differenceUsd,
+      reconciled
+    }
+  });
+}
+
 function normalizeItinerary(rawItinerary, researchJson, safetyJson, preferences) {
   const itinerary = structuredClone(rawItinerary ?? {});
   const computedStay = computeDestinationStay(itinerary, researchJson, preferences);
@@ -499,6 +1121,7 @@ function normalizeItinerary(rawItinerary, researchJson, safetyJson, preferences)
   itinerary.tripSummary = itinerary.tripSummary ?? "Trip itinerary draft";
   itinerary.components = itinerary.components ?? {};
   itinerary.stayAtDestination = itinerary.stayAtDestination ?? computedStay;
+  itinerary.travelers = resolveTravelers(preferences.travelers ?? itinerary.travelers);
 
   itinerary.components.flight = normalizeComponent(
     itinerary.components.flight,
@@ -506,31 +1129,47 @@ function normalizeItinerary(rawItinerary, researchJson, safetyJson, preferences)
     "Please confirm this flight option."
   );
 
-  itinerary.components.hotel = normalizeHotelComponent(itinerary.components.hotel, researchJson.hotelOptions, computedStay);
+  itinerary.components.hotel = normalizeHotelComponent(
+    itinerary.components.hotel,
+    researchJson.hotelOptions,
+    computedStay,
+    itinerary.travelers
+  );
 
   itinerary.components.carRental = normalizeCarComponent(
     itinerary.components.carRental,
     researchJson.carRentalOptions,
-    computedStay
+    computedStay,
+    itinerary.travelers
   );
 
-  itinerary.activities = Array.isArray(itinerary.activities)
-    ? itinerary.activities.map((a, i) => ({
-        name: a.name,
-        category: a.category || "",
-        location: a.location || "",
-        estimatedCostUsd: a.estimatedCostUsd ?? 0,
-        scheduledDay: a.scheduledDay || `Day ${i + 1}`,
-        notes: a.notes || ""
-      }))
-    : (researchJson.activityIdeas ?? []).map((activity, index) => ({
-        name: activity.name,
-        category: activity.category || "",
-        location: activity.location || "",
-        estimatedCostUsd: activity.estimatedCostUsd ?? 0,
-        scheduledDay: `Day ${index + 1}`,
-        notes: activity.whyFit ?? ""
-      }));
+  itinerary.activities = (
+    Array.isArray(itinerary.activities)
+      ? itinerary.activities.map((a, i) => ({
+          id: a.id || `activity-${i}`,
+          name: a.name,
+          category: a.category || "",
+          location: a.location || "",
+          latitude: a.latitude ?? null,
+          longitude: a.longitude ?? null,
+          estimatedCostUsd: a.estimatedCostUsd ?? 0,
+          currency: a.currency ?? null,
+          scheduledDay: "",
+          notes: a.notes || ""
+        }))
+      : (researchJson.activityIdeas ?? []).map((activity, index) => ({
+          id: activity.id || `activity-${index}`,
+          name: activity.name,
+          category: activity.category || "",
+          location: activity.location || "",
+          latitude: activity.latitude ?? null,
+          longitude: activity.longitude ?? null,
+          estimatedCostUsd: activity.estimatedCostUsd ?? 0,
+          currency: activity.currency ?? null,
+          scheduledDay: "",
+          notes: activity.whyFit ?? ""
+        }))
+  ).map(priceInUsd);
 
   itinerary.safetyConcerns = Array.isArray(itinerary.safetyConcerns)
     ? itinerary.safetyConcerns
@@ -542,7 +1181,16 @@ function normalizeItinerary(rawItinerary, researchJson, safetyJson, preferences)
 
   itinerary.disclaimer = itinerary.disclaimer ?? "No purchases are made in this app.";
 
-  itinerary.estimatedCostSummary = itinerary.estimatedCostSummary ?? estimateTotals(itinerary);
+  itinerary.destinationCity = preferences.destinationCity ?? itinerary.destinationCity ?? null;
+  itinerary.airTravelClass = preferences.airTravelClass ?? itinerary.airTravelClass ?? null;
+  itinerary.maxActivitiesPerDay =
+    preferences.maxActivitiesPerDay ?? itinerary.maxActivitiesPerDay ?? scheduleConfig.maxActivitiesPerDay;
+  itinerary.budget = preferences.budget ?? null;
+  itinerary.displayCurrency = preferences.displayCurrency ?? currency.defaultDisplayCurrency;
+
+  // Always recompute: the composer's activitiesUsd sums every suggestion, not one pick per
+  // category, and its scheduledDay labels are not tied to the real stay
+  refreshDerivedFields(itinerary);
 
   return itinerary;
 }
@@ -552,46 +1200,450 @@ function normalizeComponent(component, fallbackOptions, fallbackQuestion) {
   const firstOptionId = options[0]?.id ?? "option_1";
 
   return {
-    options,
+    options: options.map(priceInUsd),
     recommendedOptionId: component?.recommendedOptionId ?? firstOptionId,
+    confirmedOptionId: component?.confirmedOptionId ?? null,
     confirmationQuestion: component?.confirmationQuestion ?? fallbackQuestion
   };
 }
 
+const QUOTED_PRICE_FIELDS = ["costUsd", "nightlyUsd", "dailyRateUsd", "estimatedCostUsd"];
+
+/**
+ * Convert an option or activity quoted in another `currency` to USD. The quote
+ * is kept as `sourceCurrency` and `sourcePrices`; a missing or unsupported
+ * currency is taken as USD. Already converted options pass through unchanged.
+ */
+function priceInUsd(option) {
+  const quoted = String(option?.currency || SOURCE_CURRENCY).trim().toUpperCase();
+  if (quoted === SOURCE_CURRENCY || !currency.isSupported(quoted)) {
+    return { ...option, currency: SOURCE_CURRENCY, sourceCurrency: option?.sourceCurrency ?? SOURCE_CURRENCY };
+  }
+
+  const converted = { ...option, currency: SOURCE_CURRENCY, sourceCurrency: quoted, sourcePrices: {} };
+  for (const field of QUOTED_PRICE_FIELDS) {
+    if (typeof option[field] !== "number") continue;
+    converted.sourcePrices[field.replace(/Usd$/, "")] = option[field];
+    converted[field] = currency.convert(option[field], quoted, SOURCE_CURRENCY);
+  }
+  return converted;
+}
+
+/**
+ * Group totals: flights and activities are quoted per person, hotel and car
+ * options are already sized for the group
+ */
 function estimateTotals(itinerary) {
-  const flightUsd = optionCostById(itinerary.components.flight);
+  const travelerCount = resolveTravelers(itinerary.travelers).count;
+  const flightUsd = Number((optionCostById(itinerary.components.flight) * travelerCount).toFixed(2));
   const hotelUsd = optionCostById(itinerary.components.hotel);
   const carRentalUsd = optionCostById(itinerary.components.carRental);
 
-  const activitiesUsd = Array.isArray(itinerary.activities)
-    ? itinerary.activities.reduce((sum, activity) => sum + Number(activity.estimatedCostUsd || 0), 0)
-    : 0;
-
-  return {
+  const activitiesUsd = Number((estimateActivitiesCost(itinerary.activities) * travelerCount).toFixed(2));
+  const fees = feeModel.compute({
+    ...feeContext(itinerary),
+    costs: { flight: flightUsd, hotel: hotelUsd, carRental: carRentalUsd, activities: activitiesUsd }
+  });
+  const totals = {
     flightUsd,
     hotelUsd,
     carRentalUsd,
     activitiesUsd,
-    totalUsd: Number((flightUsd + hotelUsd + carRentalUsd + activitiesUsd).toFixed(2))
+    feesUsd: fees.totalUsd,
+    fees: fees.lineItems,
+    feeRules: fees.location,
+    totalUsd: Number((flightUsd + hotelUsd + carRentalUsd + activitiesUsd + fees.totalUsd).toFixed(2))
+  };
+
+  return {
+    ...totals,
+    currency: SOURCE_CURRENCY,
+    display: convertTotals(totals, itinerary.displayCurrency),
+    split: splitCosts(itinerary, totals)
+  };
+}
+
+/**
+ * Per-person split. Flights, activities and per-traveler fees are individual.
+ * Each room (with its share of hotel tax) is split among the travelers in it,
+ * filled in order; cars and rental fees are split evenly across the group.
+ */
+function splitCosts(itinerary, totals) {
+  const travelers = resolveTravelers(itinerary.travelers);
+  const feeTotal = (predicate) => totals.fees.filter(predicate).reduce((sum, fee) => sum + fee.amountUsd, 0);
+  const individualFeesUsd = feeTotal((fee) => fee.perTraveler);
+  const hotelFeesUsd = feeTotal((fee) => !fee.perTraveler && fee.component === "hotel");
+  const carFeesUsd = feeTotal((fee) => !fee.perTraveler && fee.component !== "hotel");
+
+  const hotel = selectedOption(itinerary.components?.hotel);
+  const rooms = Math.max(1, Number(hotel?.rooms) || 1);
+  const perRoom = travelers.roomSharing === "private" ? 1 : Math.ceil(travelers.count / rooms);
+  const roomOf = (index) => Math.min(rooms - 1, Math.floor(index / perRoom));
+  const occupants = Array.from({ length: rooms }, (_, room) =>
+    travelers.names.filter((_, index) => roomOf(index) === room).length
+  );
+  const roomUsd = (totals.hotelUsd + hotelFeesUsd) / rooms;
+
+  const individualUsd = (totals.flightUsd + totals.activitiesUsd + individualFeesUsd) / travelers.count;
+  const carShareUsd = (totals.carRentalUsd + carFeesUsd) / travelers.count;
+
+  return {
+    travelers: travelers.count,
+    sharedUsd: roundUsd(totals.hotelUsd + totals.carRentalUsd + hotelFeesUsd + carFeesUsd),
+    individualUsd: roundUsd(totals.flightUsd + totals.activitiesUsd + individualFeesUsd),
+    perPersonAverageUsd: roundUsd(totals.totalUsd / travelers.count),
+    byTraveler: travelers.names.map((name, index) => {
+      const room = roomOf(index);
+      const sharedUsd = roomUsd / Math.max(1, occupants[room]) + carShareUsd;
+      return {
+        name,
+        room: room + 1,
+        sharedUsd: roundUsd(sharedUsd),
+        individualUsd: roundUsd(individualUsd),
+        totalUsd: roundUsd(sharedUsd + individualUsd)
+      };
+    })
+  };
+}
+
+function roundUsd(value) {
+  return Number(value.toFixed(2));
+}
+
+/**
+ * The same totals in the display currency; stored amounts stay in USD
+ */
+function convertTotals(totals, displayCurrency) {
+  if (!displayCurrency || displayCurrency === SOURCE_CURRENCY || !currency.isSupported(displayCurrency)) {
+    return null;
+  }
+
+  const convert = (amount) => currency.convert(amount, SOURCE_CURRENCY, displayCurrency);
+  return {
+    currency: displayCurrency,
+    rate: currency.rate(SOURCE_CURRENCY, displayCurrency),
+    rateAsOf: currency.asOf,
+    flight: convert(totals.flightUsd),
+    hotel: convert(totals.hotelUsd),
+    carRental: convert(totals.carRentalUsd),
+    activities: convert(totals.activitiesUsd),
+    fees: convert(totals.feesUsd),
+    total: convert(totals.totalUsd)
+  };
+}
+
+/**
+ * Destination, flight class and stay length of the selected options, as the fee model takes them
+ */
+function feeContext(itinerary) {
+  return {
+    destinationCity: itinerary.destinationCity,
+    travelers: resolveTravelers(itinerary.travelers).count,
+    airTravelClass: selectedOption(itinerary.components?.flight)?.class ?? itinerary.airTravelClass,
+    hotelNights: selectedOption(itinerary.components?.hotel)?.nights ?? 0,
+    carRentalDays: selectedOption(itinerary.components?.carRental)?.rentalDays ?? 0
+  };
+}
+
+/**
+ * Sum confirmed activity picks; before confirmation, assume the recommended
+ * (or else first) idea in each category
+ */
+function estimateActivitiesCost(activities) {
+  if (!Array.isArray(activities) || activities.length === 0) return 0;
+
+  return Number(
+    plannedActivities(activities).reduce((sum, activity) => sum + Number(activity.estimatedCostUsd || 0), 0).toFixed(2)
+  );
+}
+
+function plannedActivities(activities) {
+  const confirmed = activities.filter((activity) => activity.confirmed);
+  return confirmed.length > 0 ? confirmed : firstActivityPerCategory(activities);
+}
+
+function firstActivityPerCategory(activities) {
+  const byCategory = new Map();
+  activities.forEach((activity) => {
+    const category = String(activity.category || "").toLowerCase().trim();
+    if (!byCategory.has(category) || (activity.recommended && !byCategory.get(category).recommended)) {
+      byCategory.set(category, activity);
+    }
+  });
+  return [...byCategory.values()];
+}
+
+/**
+ * Recompute the cost summary, flag options and the current combination against
+ * the itinerary's budget (if one was given), rebuild the day-by-day schedule and
+ * measure each hotel's distance to the planned activities
+ */
+function refreshDerivedFields(itinerary) {
+  itinerary.estimatedCostSummary = estimateTotals(itinerary);
+  itinerary.budgetStatus = assessBudget(itinerary);
+  refreshSchedule(itinerary);
+  refreshActivityTravel(itinerary);
+}
+
+/**
+ * `activityTravel` on each hotel option: average distance and travel time to the
+ * planned activities that have coordinates (null when none can be measured)
+ */
+function refreshActivityTravel(itinerary) {
+  const destinations = plannedActivities(Array.isArray(itinerary.activities) ? itinerary.activities : []).map(
+    (activity) => ({ id: activity.id, label: activity.name, latitude: activity.latitude, longitude: activity.longitude })
+  );
+  (itinerary.components?.hotel?.options ?? []).forEach((option) => {
+    option.activityTravel = travel.summarize(option, destinations);
+  });
+}
+
+/**
+ * Schedule the confirmed activities (or the current picks before confirmation)
+ * over the stay and label each with its day and slot
+ */
+function refreshSchedule(itinerary) {
+  const activities = Array.isArray(itinerary.activities) ? itinerary.activities : [];
+  itinerary.schedule = buildSchedule({
+    stay: itinerary.stayAtDestination,
+    activities: plannedActivities(activities),
+    maxActivitiesPerDay: itinerary.maxActivitiesPerDay ?? scheduleConfig.maxActivitiesPerDay
+  });
+
+  const placements = new Map();
+  itinerary.schedule.days.forEach((day) =>
+    day.slots.forEach((slot) => {
+      if (slot.activity) placements.set(slot.activity.id, `Day ${day.day} · ${slot.slot}`);
+    })
+  );
+  activities.forEach((activity) => {
+    activity.scheduledDay = placements.get(activity.id) ?? "";
+  });
+}
+
+function assessBudget(itinerary) {
+  const budget = itinerary.budget;
+  if (!budget?.totalUsd) return null;
+
+  const costs = itinerary.estimatedCostSummary;
+  const cheapest = Object.fromEntries(
+    Object.keys(BUDGET_CATEGORIES).map((category) => [category, cheapestCategoryCost(itinerary, category)])
+  );
+  const fees = feeContext(itinerary);
+  const totalWithFees = (picks) =>
+    Object.values(picks).reduce((sum, value) => sum + value, 0) + feeModel.compute({ ...fees, costs: picks }).totalUsd;
+  const cheapestTotal = totalWithFees(cheapest);
+
+  // An option is over budget when it breaks its category cap, or when even the
+  // cheapest picks everywhere else (plus taxes and fees) cannot bring the trip under the total
+  const flag = (category, option, cost) => {
+    const cap = budget[BUDGET_CATEGORIES[category]];
+    const bestTotalWithOption = totalWithFees({ ...cheapest, [category]: cost });
+    option.overBudget = Boolean((cap && cost > cap) || bestTotalWithOption > budget.totalUsd);
+    option.budgetNote = !option.overBudget
+      ? null
+      : cap && cost > cap
+        ? `Over the ${category} budget of $${cap}.`
+        : `No combination with this option fits the $${budget.totalUsd} budget.`;
+  };
+
+  TRIP_COMPONENTS.forEach((component) => {
+    (itinerary.components?.[component]?.options ?? []).forEach((option) =>
+      flag(component, option, groupCost(itinerary, component, optionCost(option)))
+    );
+  });
+  if (activityCategoryCount(itinerary.activities) > 0) {
+    (itinerary.activities ?? []).forEach((activity) =>
+      flag("activities", activity, groupCost(itinerary, "activities", Number(activity.estimatedCostUsd) || 0))
+    );
+  }
+
+  const overCategories = Object.entries(BUDGET_CATEGORIES)
+    .filter(([, key]) => budget[key] && costs[key] > budget[key])
+    .map(([category, key]) => ({ category, budgetUsd: budget[key], estimatedUsd: costs[key] }));
+
+  return {
+    budgetUsd: budget.totalUsd,
+    estimatedTotalUsd: costs.totalUsd,
+    remainingUsd: Number((budget.totalUsd - costs.totalUsd).toFixed(2)),
+    withinBudget: costs.totalUsd <= budget.totalUsd && overCategories.length === 0,
+    overCategories,
+    cheapestPossibleTotalUsd: Number(cheapestTotal.toFixed(2))
+  };
+}
+
+function cheapestCategoryCost(itinerary, category) {
+  if (category !== ACTIVITY_CONFIRMATION) {
+    const costs = (itinerary.components?.[category]?.options ?? []).map((option) =>
+      groupCost(itinerary, category, optionCost(option))
+    );
+    return costs.length ? Math.min(...costs) : 0;
+  }
+
+  const cheapestByCategory = new Map();
+  (itinerary.activities ?? []).forEach((activity) => {
+    const key = String(activity.category || "").toLowerCase().trim();
+    const cost = Number(activity.estimatedCostUsd) || 0;
+    cheapestByCategory.set(key, Math.min(cheapestByCategory.get(key) ?? Infinity, cost));
+  });
+  return groupCost(
+    itinerary,
+    category,
+    [...cheapestByCategory.values()].reduce((sum, cost) => sum + cost, 0)
+  );
+}
+
+/**
+ * Flights and activities are quoted per person; hotel and car costs already cover the group
+ */
+function groupCost(itinerary, category, cost) {
+  return category === "flight" || category === ACTIVITY_CONFIRMATION
+    ? cost * resolveTravelers(itinerary.travelers).count
+    : cost;
+}
+
+function activityCategoryCount(activities) {
+  return new Set((activities ?? []).map((activity) => String(activity.category || "").toLowerCase().trim())).size;
+}
+
+/**
+ * Pick the cheapest flight, hotel, car rental and one activity per category.
+ * Confirmed components and activities are kept as they are; hotel and car costs
+ * are recomputed for each flight's stay. Only recommendations change, so the
+ * user still confirms each pick.
+ */
+export function fitItineraryToBudget(itinerary, confirmations = {}) {
+  const flightOptions = itinerary.components?.flight?.options ?? [];
+  const confirmedFlight = flightOptions.find((option) => option.id === confirmations.flight?.optionId);
+  const candidates = (confirmedFlight ? [confirmedFlight] : flightOptions).map((flight) => {
+    const candidate = recomputeDependentComponentsFromFlight(itinerary, flight.id);
+    const picks = { flight: flight.id };
+
+    ["hotel", "carRental"].forEach((component) => {
+      const options = candidate.components?.[component]?.options ?? [];
+      const confirmed = options.find((option) => option.id === confirmations[component]?.optionId);
+      const pick = confirmed ?? [...options].sort((a, b) => optionCost(a) - optionCost(b))[0];
+      if (pick) {
+        candidate.components[component].recommendedOptionId = pick.id;
+        candidate.components[component].confirmedOptionId = confirmed?.id ?? null;
+        picks[component] = pick.id;
+      }
+    });
+
+    const activitySelections = cheapestActivityPerCategory(candidate.activities ?? []);
+    candidate.activities = (candidate.activities ?? []).map((activity) => ({
+      ...activity,
+      recommended: Object.values(activitySelections).includes(activity.id)
+    }));
+    picks.activities = activitySelections;
+
+    refreshDerivedFields(candidate);
+    return { itinerary: candidate, picks };
+  });
+
+  if (!candidates.length) {
+    return { itinerary, budgetFit: null };
+  }
+
+  const best = candidates.reduce((winner, candidate) =>
+    candidate.itinerary.estimatedCostSummary.totalUsd < winner.itinerary.estimatedCostSummary.totalUsd
+      ? candidate
+      : winner
+  );
+  const status = best.itinerary.budgetStatus;
+
+  return {
+    itinerary: best.itinerary,
+    budgetFit: {
+      picks: best.picks,
+      totalUsd: best.itinerary.estimatedCostSummary.totalUsd,
+      budgetUsd: status?.budgetUsd ?? null,
+      withinBudget: status?.withinBudget ?? true,
+      overCategories: status?.overCategories ?? []
+    }
   };
 }
 
+/**
+ * Cheapest idea per category, keyed by the activity's own category label;
+ * confirmed picks win over cheaper ones
+ */
+function cheapestActivityPerCategory(activities) {
+  const picks = new Map();
+  activities.forEach((activity) => {
+    const key = String(activity.category || "").toLowerCase().trim();
+    const current = picks.get(key);
+    const cost = Number(activity.estimatedCostUsd) || 0;
+    if (
+      !current ||
+      (activity.confirmed && !current.confirmed) ||
+      (Boolean(activity.confirmed) === Boolean(current.confirmed) && cost < (Number(current.estimatedCostUsd) || 0))
+    ) {
+      picks.set(key, activity);
+    }
+  });
+  return Object.fromEntries([...picks.values()].map((activity) => [activity.category, activity.id]));
+}
+
 function optionCostById(component) {
-  if (!component?.options?.length) return 0;
-  const recommendedId = component.recommendedOptionId ?? component.options[0].id;
-  const option = component.options.find((item) => item.id === recommendedId) ?? component.options[0];
+  return optionCost(selectedOption(component));
+}
+
+// The confirmed option, else the recommended one (or the first)
+function selectedOption(component) {
+  if (!component?.options?.length) return null;
+  const selectedId = component.confirmedOptionId ?? component.recommendedOptionId ?? component.options[0].id;
+  return component.options.find((item) => item.id === selectedId) ?? component.options[0];
+}
 
-  if (typeof option.costUsd === "number") {
+function optionCost(option) {
+  if (typeof option?.costUsd === "number") {
     return option.costUsd;
   }
 
-  if (typeof option.nightlyUsd === "number" && typeof option.nights === "number") {
+  if (typeof option?.nightlyUsd === "number" && typeof option?.nights === "number") {
     return Number((option.nightlyUsd * option.nights).toFixed(2));
   }
 
   return 0;
 }
 
+/**
+ * Pass stream events through while remembering the latest model message text
+ * and summing token usage, and swallow the runner's "Invalid output type"
+ * error into `streamState`.
+ */
+async function* guardStructuredOutput(streamedResult, streamState) {
+  try {
+    for await (const event of streamedResult) {
+      if (event?.type === "raw_model_stream_event" && event.data?.type === "response_done") {
+        streamState.text = extractResponseMessageText(event.data.response) ?? streamState.text;
+        addResponseUsage(streamState.usage, event.data.response?.usage);
+      }
+      yield event;
+    }
+  } catch (error) {
+    if (!(error instanceof ModelBehaviorError) || error.message !== "Invalid output type") throw error;
+    streamState.error = error;
+  }
+}
+
+function addResponseUsage(totals, usage) {
+  totals.requests += Number(usage?.requests) || 1;
+  totals.inputTokens += Number(usage?.inputTokens) || 0;
+  totals.outputTokens += Number(usage?.outputTokens) || 0;
+  totals.totalTokens += Number(usage?.totalTokens) || 0;
+}
+
+function extractResponseMessageText(response) {
+  const message = (response?.output ?? []).findLast((item) => item?.type === "message");
+  if (!message) return null;
+  return (message.content ?? [])
+    .filter((part) => part?.type === "output_text")
+    .map((part) => part.text)
+    .join("");
+}
+
 function extractAgentText(result) {
   if (!result) return "";
 
@@ -606,27 +1658,115 @@ function extractAgentText(result) {
   return "";
 }
 
-function parseAgentJson(rawText, agentName) {
-  const text = rawText?.trim();
-  if (!text) {
-    throw new Error(`${agentName} returned empty output`);
-  }
+/**
+ * Wrap `options.onEvent` so every event also feeds a usage tracker. Callers
+ * pass `options.usage` to keep accumulating across runs for one itinerary.
+ */
+function createUsageEmitter(options) {
+  const onEvent = typeof options.onEvent === "function" ? options.onEvent : () => {};
+  const usage = options.usage ?? createUsageTracker();
+  const emit = (event) => {
+    usage.observe(event);
+    onEvent(event);
+  };
+  return { emit, usage };
+}
 
-  const cleaned = stripMarkdownCodeFence(text);
+function emitUsageSummary(emit, usage, stage) {
+  const summary = usage.summary();
+  emit({
+    type: EventTypes.USAGE_SUMMARY,
+    stage,
+    message: `Usage so far: ${summary.totals.totalTokens} tokens, ${summary.totals.webSearchCalls} web searches, ~$${summary.totals.estimatedCostUsd.toFixed(4)}.`,
+    usage: summary
+  });
+}
 
-  try {
-    return JSON.parse(cleaned);
-  } catch {
-    throw new Error(`${agentName} did not return valid JSON: ${cleaned.slice(0, 200)}`);
+/**
+ * Run an agent and validate its output. When validation fails the agent is
+ * re-prompted with the exact issues and its previous output, up to
+ * `maxRepairAttempts` times; inputs from earlier stages are reused as-is.
+ * Resolves to `{ output, model }`, `model` being the one that produced the output.
+ */
+async function runAgentForOutput({ schema, ...params }) {
+  const { agentName, stage, emit } = params;
+  const timeoutSeconds = params.limits?.config.stageTimeoutSeconds;
+  // Repair attempts share the stage's wall-clock budget
+  const deadline = timeoutSeconds ? Date.now() + timeoutSeconds * 1000 : null;
+  let input = params.input;
+
+  for (let attempt = 0; ; attempt += 1) {
+    const result = await runAgentWithTelemetry({ ...params, input, deadline });
+    const validation = validateAgentOutput(result, schema);
+    if (validation.success) {
+      return { output: validation.data, model: result.model ?? null };
+    }
+
+    emit({
+      type: EventTypes.OUTPUT_VALIDATION_FAILED,
+      stage,
+      agent: agentName,
+      message: `${agentName} output failed schema validation (${validation.issues.length} issue${validation.issues.length === 1 ? "" : "s"}).`,
+      issues: validation.issues
+    });
+
+    if (attempt >= maxRepairAttempts) {
+      const preview = validation.issues
+        .slice(0, 3)
+        .map((issue) => `${issue.path}: ${issue.message}`)
+        .join("; ");
+      throw new Error(`${agentName} returned output that does not match its schema (${preview})`);
+    }
+
+    emit({
+      type: EventTypes.OUTPUT_REPAIR_ATTEMPT,
+      stage,
+      agent: agentName,
+      message: `Asking ${agentName} to repair its output (attempt ${attempt + 1} of ${maxRepairAttempts}).`,
+      attempt: attempt + 1,
+      maxAttempts: maxRepairAttempts,
+      issues: validation.issues
+    });
+
+    input = buildRepairInput(params.input, validation.issues, extractAgentText(result));
   }
 }
 
-function stripMarkdownCodeFence(text) {
-  if (text.startsWith("```") && text.endsWith("```")) {
-    return text.replace(/^```(?:json)?\n?/, "").replace(/```$/, "").trim();
+function buildRepairInput(originalInput, issues, previousOutput) {
+  return [
+    originalInput,
+    "",
+    "Your previous output failed validation with these issues:",
+    ...issues.map((issue) => `- ${issue.path}: ${issue.message}`),
+    "",
+    "Previous output:",
+    previousOutput.slice(0, MAX_REPAIR_OUTPUT_CHARS) || "(empty)",
+    "",
+    "Return the complete corrected JSON, fixing every issue above and keeping all other content."
+  ].join("\n");
+}
+
+const MAX_REPAIR_OUTPUT_CHARS = 20000;
+
+function validateAgentOutput(result, schema) {
+  let candidate = result?.finalOutput;
+
+  // Replayed cassettes and rejected structured outputs carry raw text
+  if (typeof candidate === "string") {
+    if (!candidate.trim()) {
+      return { success: false, issues: [{ path: "(root)", message: "Output is empty" }] };
+    }
+    try {
+      candidate = JSON.parse(candidate);
+    } catch {
+      return { success: false, issues: [{ path: "(root)", message: "Output is not valid JSON" }] };
+    }
   }
 
-  return text;
+  const parsed = schema.safeParse(candidate);
+  return parsed.success
+    ? { success: true, data: parsed.data }
+    : { success: false, issues: formatSchemaIssues(parsed.error) };
 }
 
 function summarizeResearch(research) {
@@ -656,18 +1796,28 @@ function summarizeItinerary(itinerary) {
   };
 }
 
-function normalizeHotelComponent(component, fallbackOptions, computedStay) {
+/**
+ * Size each hotel option for the group: `nightlyUsd` is per room, `costUsd`
+ * covers every room for the whole stay
+ */
+function normalizeHotelComponent(component, fallbackOptions, computedStay, travelers) {
   const base = normalizeComponent(component, fallbackOptions, "Please confirm this hotel option.");
   const nights = Math.max(1, Number(computedStay?.nightsAtDestination || 1));
+  const party = resolveTravelers(travelers);
 
   base.options = (base.options ?? []).map((option) => {
     const nightlyUsd = deriveNightlyRate(option);
-    const costUsd = typeof nightlyUsd === "number" ? Number((nightlyUsd * nights).toFixed(2)) : option.costUsd;
+    const roomOccupancy = Math.max(1, Number(option.roomOccupancy) || DEFAULT_ROOM_OCCUPANCY);
+    const rooms = party.roomSharing === "private" ? party.count : Math.ceil(party.count / roomOccupancy);
+    const costUsd =
+      typeof nightlyUsd === "number" ? Number((nightlyUsd * nights * rooms).toFixed(2)) : option.costUsd;
 
     return {
       ...option,
       nightlyUsd: nightlyUsd ?? option.nightlyUsd,
       nights,
+      roomOccupancy,
+      rooms,
       costUsd,
       stayNights: nights
     };
@@ -676,29 +1826,41 @@ function normalizeHotelComponent(component, fallbackOptions, computedStay) {
   return base;
 }
 
-function normalizeCarComponent(component, fallbackOptions, computedStay) {
+/**
+ * Size each car option for the group: `dailyRateUsd` is per car, `costUsd`
+ * covers every car needed to seat everyone
+ */
+function normalizeCarComponent(component, fallbackOptions, computedStay, travelers) {
   const base = normalizeComponent(component, fallbackOptions, "Please confirm this car rental option.");
   const rentalDays = Math.max(1, Number(computedStay?.daysAtDestination || 1));
+  const party = resolveTravelers(travelers);
 
   base.options = (base.options ?? []).map((option) => {
     const dailyRateUsd = deriveDailyCarRate(option);
-    const costUsd = typeof dailyRateUsd === "number" ? Number((dailyRateUsd * rentalDays).toFixed(2)) : option.costUsd;
+    const seats = Math.max(1, Number(option.seats) || DEFAULT_CAR_SEATS);
+    const cars = Math.ceil(party.count / seats);
+    const costUsd =
+      typeof dailyRateUsd === "number" ? Number((dailyRateUsd * rentalDays * cars).toFixed(2)) : option.costUsd;
 
     return {
       ...option,
       dailyRateUsd: dailyRateUsd ?? option.dailyRateUsd,
       rentalDays,
-      costUsd
+      seats,
+      cars,
+      costUsd,
+      driverNote: cars > party.drivers ? `Needs ${cars} driver(s); the group has ${party.drivers}.` : null
     };
   });
 
   return base;
 }
 
+// Per room / per car, before dividing by the rooms or cars a group option was sized for
 function deriveNightlyRate(option) {
   if (typeof option?.nightlyUsd === "number") return option.nightlyUsd;
   if (typeof option?.costUsd === "number" && typeof option?.nights === "number" && option.nights > 0) {
-    return Number((option.costUsd / option.nights).toFixed(2));
+    return Number((option.costUsd / option.nights / (option.rooms || 1)).toFixed(2));
   }
   return null;
 }
@@ -706,7 +1868,7 @@ function deriveNightlyRate(option) {
 function deriveDailyCarRate(option) {
   if (typeof option?.dailyRateUsd === "number") return option.dailyRateUsd;
   if (typeof option?.costUsd === "number" && typeof option?.rentalDays === "number" && option.rentalDays > 0) {
-    return Number((option.costUsd / option.rentalDays).toFixed(2));
+    return Number((option.costUsd / option.rentalDays / (option.cars || 1)).toFixed(2));
   }
   return null;
 }
@@ -790,13 +1952,209 @@ function dayDiffFromLocalDates(startDatePart, endDatePart) {
   return Math.floor((end.getTime() - start.getTime()) / millisecondsPerDay);
 }
 
+function parseNonNegativeInt(value, fallback) {
+  if (value === undefined || String(value).trim() === "") return fallback;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
 function parseDateSafe(value) {
   if (!value || typeof value !== "string") return null;
   const parsed = new Date(value);
   return Number.isNaN(parsed.getTime()) ? null : parsed;
 }
 
-async function runAgentWithTelemetry({ agent, agentName, stage, input, emit }) {
+/**
+ * Run one agent attempt under the session limits. A tripped limit aborts only
+ * this run, emits `limit_exceeded` and rethrows the LimitExceededError so the
+ * caller can fall back to partial results.
+ */
+async function runAgentWithTelemetry({ deadline, ...params }) {
+  const { agentName, stage, emit, limits } = params;
+  const limitController = new AbortController();
+  const stopForLimit = (violation) => {
+    if (violation && !limitController.signal.aborted) limitController.abort(violation);
+  };
+  const timer = deadline
+    ? setTimeout(() => stopForLimit(limits.stageTimeoutError({ agent: agentName, stage })), Math.max(deadline - Date.now(), 0))
+    : null;
+  const signal = params.signal ? AbortSignal.any([params.signal, limitController.signal]) : limitController.signal;
+
+  try {
+    return await dispatchAgentRun({ ...params, signal, stopForLimit });
+  } catch (error) {
+    const violation = limitController.signal.aborted ? limitController.signal.reason : null;
+    if (!violation || params.signal?.aborted) throw error;
+
+    emit({
+      type: EventTypes.LIMIT_EXCEEDED,
+      stage,
+      agent: agentName,
+      message: violation.message,
+      limit: violation.limit,
+      max: violation.max,
+      observed: violation.observed
+    });
+    throw violation;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function dispatchAgentRun(params) {
+  if (cassette.mode === "replay") {
+    return replayAgentRun(params);
+  }
+
+  if (cassette.mode !== "record") {
+    return runWithModelFallback(params);
+  }
+
+  const recordedEvents = [];
+  const result = await runWithModelFallback({
+    ...params,
+    emit: (event) => {
+      recordedEvents.push(event);
+      params.emit(event);
+    }
+  });
+
+  await cassette.record({
+    agentName: params.agentName,
+    stage: params.stage,
+    input: params.input,
+    events: recordedEvents,
+    finalOutput: extractAgentText(result),
+    model: result.model
+  });
+
+  return result;
+}
+
+/**
+ * Re-emit a recorded run's telemetry and hand back its final output as if the model had answered
+ */
+async function replayAgentRun({ agentName, stage, input, emit, signal }) {
+  signal?.throwIfAborted();
+
+  const { entry, exactMatch } = await cassette.find({ agentName, stage, input });
+
+  emit({
+    type: EventTypes.CASSETTE_REPLAY,
+    stage,
+    agent: agentName,
+    message: exactMatch
+      ? `Replaying recorded ${agentName} run from cassette.`
+      : `Replaying closest recorded ${agentName} run (input differs from the recording).`,
+    summary: {
+      cassette: cassette.filePath,
+      recordedAt: entry.recordedAt,
+      exactMatch
+    }
+  });
+
+  for (const event of entry.events) {
+    signal?.throwIfAborted();
+    emit(event);
+  }
+
+  return { finalOutput: entry.finalOutput, model: entry.model ?? null };
+}
+
+/**
+ * Run the agent on its configured model, retrying rate limits and transient API
+ * errors with exponential backoff, then moving down `fallbackModels` in order.
+ * Errors that are not model failures (aborts, limits, tool bugs) are rethrown as-is.
+ */
+async function runWithModelFallback({ agent, fallbackModels = [], ...params }) {
+  const { agentName, stage, emit, signal } = params;
+  const primaryModel = String(agent.model);
+  const models = [primaryModel, ...fallbackModels.filter((model) => model !== primaryModel)];
+  let lastError = null;
+
+  for (const [index, model] of models.entries()) {
+    if (index > 0) {
+      emit({
+        type: EventTypes.MODEL_FALLBACK,
+        stage,
+        agent: agentName,
+        message: `${agentName} switching from ${models[index - 1]} to ${model} after: ${lastError.message}`,
+        fromModel: models[index - 1],
+        toModel: model,
+        reason: lastError.message
+      });
+    }
+    const candidate = index === 0 ? agent : agent.clone({ model });
+
+    for (let retry = 0; ; retry += 1) {
+      try {
+        const result = await runAgentStream({ ...params, agent: candidate });
+        return { finalOutput: result.finalOutput, model };
+      } catch (error) {
+        if (signal?.aborted || !isModelFailure(error)) throw error;
+        lastError = error;
+        if (retry >= modelRetries || !isRetryableModelError(error)) break;
+
+        const delayMs = retryDelayMs(error, retry);
+        emit({
+          type: EventTypes.MODEL_RETRY,
+          stage,
+          agent: agentName,
+          message: `${model} failed (${error.message}); retrying in ${Math.round(delayMs / 100) / 10}s (${retry + 1} of ${modelRetries}).`,
+          model,
+          attempt: retry + 1,
+          maxRetries: modelRetries,
+          delayMs
+        });
+        await sleep(delayMs, signal);
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+function isModelFailure(error) {
+  return (
+    error instanceof ModelBehaviorError ||
+    Number.isInteger(error?.status) ||
+    /Connection|Timeout/.test(error?.name ?? "") ||
+    ["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN"].includes(error?.code)
+  );
+}
+
+function isRetryableModelError(error) {
+  if (error instanceof ModelBehaviorError) return false;
+  if (!Number.isInteger(error?.status)) return true;
+  return [408, 409, 429].includes(error.status) || error.status >= 500;
+}
+
+function retryDelayMs(error, retry) {
+  // Honour the API's Retry-After header when it sends one
+  const retryAfterHeader = error?.headers?.["retry-after"] ?? error?.headers?.get?.("retry-after");
+  const retryAfterMs = Number(retryAfterHeader) * 1000;
+  const delayMs = Number.isFinite(retryAfterMs) && retryAfterMs > 0 ? retryAfterMs : retryBaseDelayMs * 2 ** retry;
+  return Math.min(delayMs, MAX_RETRY_DELAY_MS);
+}
+
+function sleep(ms, signal) {
+  signal?.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+async function runAgentStream({ agent, agentName, stage, input, emit, signal, maxTurns, limits, stopForLimit }) {
+  signal?.throwIfAborted();
+
   emit({
     type: EventTypes.AGENT_PROMPT,
     stage,
@@ -805,18 +2163,30 @@ async function runAgentWithTelemetry({ agent, agentName, stage, input, emit }) {
     prompt: redactPrompt(input)
   });
 
-  const runner = new Runner();
+  const runner = new Runner(runnerConfig);
+  const limitContext = { agent: agentName, stage };
   const monitor = attachStandardToolMonitoring(runner, {
     emit,
     stage,
-    fallbackAgentName: agentName
+    fallbackAgentName: agentName,
+    onToolCall: (payload) => stopForLimit?.(limits?.recordToolCall(payload, limitContext))
   });
   let streamedToolCallCount = 0;
   const pendingToolNamesByCallId = new Map();
+  const streamState = {
+    error: null,
+    text: null,
+    usage: { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0 }
+  };
 
-  const streamedResult = await runner.run(agent, input, { stream: true });
+  const streamedResult = await runner.run(agent, input, { stream: true, signal, maxTurns });
 
-  for await (const event of streamedResult) {
+  for await (const event of guardStructuredOutput(streamedResult, streamState)) {
+    if (event?.type === "raw_model_stream_event" && event.data?.type === "response_done") {
+      const usage = event.data.response?.usage;
+      const tokens = Number(usage?.totalTokens) || (Number(usage?.inputTokens) || 0) + (Number(usage?.outputTokens) || 0);
+      stopForLimit?.(limits?.recordTokens(tokens, limitContext));
+    }
     if (event?.type !== "run_item_stream_event") continue;
 
     const rawItem = event.item?.rawItem;
@@ -898,6 +2268,7 @@ async function runAgentWithTelemetry({ agent, agentName, stage, input, emit }) {
       }
 
       streamedToolCallCount += 1;
+      stopForLimit?.(limits?.recordToolCall({ isWebSearch }, limitContext));
       continue;
     }
 
@@ -958,7 +2329,40 @@ async function runAgentWithTelemetry({ agent, agentName, stage, input, emit }) {
     }
   }
 
+  if (streamState.usage.requests > 0) {
+    emit({
+      type: EventTypes.AGENT_USAGE,
+      stage,
+      agent: agentName,
+      model: plannerMode === "fake" ? "fake-model" : String(agent.model),
+      message: `${agentName} used ${streamState.usage.totalTokens} tokens over ${streamState.usage.requests} request(s).`,
+      usage: streamState.usage
+    });
+  }
+
+  // The runner rejects schema-invalid output without saying why; return the raw
+  // text so runAgentForOutput can report the offending fields
+  if (streamState.error) {
+    if (streamState.text === null) throw streamState.error;
+    return { finalOutput: streamState.text };
+  }
+
   await streamedResult.completed;
+
+  // An aborted run resolves `completed` without an error, so surface the cancellation
+  // here; limit aborts are reported by runAgentWithTelemetry instead
+  if (signal?.aborted) {
+    if (!(signal.reason instanceof LimitExceededError)) {
+      emit({
+        type: EventTypes.RUN_CANCELLED,
+        stage,
+        agent: agentName,
+        message: `${agentName} run cancelled.`
+      });
+    }
+    signal.throwIfAborted();
+  }
+
   if (streamedResult.error) {
     throw streamedResult.error;
   }
@@ -1007,6 +2411,9 @@ function inferToolFamily(toolName) {
   if (normalized.includes("budget")) {
     return "budget_calculator";
   }
+  if (normalized.includes("travel_times")) {
+    return "travel_times";
+  }
   return null;
 }
 
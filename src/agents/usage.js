@@ -0,0 +1,116 @@
+// USD per 1M tokens (input, output). Update when OpenAI pricing changes.
+const MODEL_PRICING = {
+  "gpt-4.1": { input: 2.0, output: 8.0 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4o": { input: 2.5, output: 10.0 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-5": { input: 1.25, output: 10.0 },
+  "gpt-5-mini": { input: 0.25, output: 2.0 },
+  "gpt-5-nano": { input: 0.05, output: 0.4 }
+};
+
+// USD per hosted web search call
+const WEB_SEARCH_CALL_USD = 0.01;
+
+/**
+ * Aggregate token usage, web search calls and estimated spend per agent and stage.
+ * Fed from the activity stream (`agent_usage` and `web_search_called` events) so
+ * live runs and replayed cassettes are counted the same way. Pass a previous
+ * summary to keep accumulating for the same itinerary.
+ */
+export function createUsageTracker(previousSummary = null) {
+  const totals = emptyBucket();
+  const byAgent = {};
+  const byStage = {};
+  const unpricedModels = new Set(previousSummary?.unpricedModels ?? []);
+
+  if (previousSummary?.totals) {
+    addInto(totals, previousSummary.totals);
+    Object.entries(previousSummary.byAgent ?? {}).forEach(([key, bucket]) => addInto(ensure(byAgent, key), bucket));
+    Object.entries(previousSummary.byStage ?? {}).forEach(([key, bucket]) => addInto(ensure(byStage, key), bucket));
+  }
+
+  const record = (agentName, stage, delta) => {
+    addInto(totals, delta);
+    addInto(ensure(byAgent, agentName || "unknown"), delta);
+    addInto(ensure(byStage, stage || "general"), delta);
+  };
+
+  return {
+    observe(event) {
+      if (event?.type === "agent_usage") {
+        const usage = event.usage ?? {};
+        const pricing = priceFor(event.model);
+        if (!pricing && event.model) unpricedModels.add(event.model);
+
+        const inputTokens = Number(usage.inputTokens) || 0;
+        const outputTokens = Number(usage.outputTokens) || 0;
+        record(event.agent, event.stage, {
+          requests: Number(usage.requests) || 0,
+          inputTokens,
+          outputTokens,
+          totalTokens: Number(usage.totalTokens) || inputTokens + outputTokens,
+          webSearchCalls: 0,
+          estimatedCostUsd: pricing ? (inputTokens * pricing.input + outputTokens * pricing.output) / 1_000_000 : 0
+        });
+      }
+
+      if (event?.type === "web_search_called") {
+        record(event.agent, event.stage, {
+          ...emptyBucket(),
+          webSearchCalls: 1,
+          estimatedCostUsd: WEB_SEARCH_CALL_USD
+        });
+      }
+    },
+
+    summary() {
+      return {
+        totals: roundBucket(totals),
+        byAgent: mapValues(byAgent, roundBucket),
+        byStage: mapValues(byStage, roundBucket),
+        unpricedModels: [...unpricedModels]
+      };
+    }
+  };
+}
+
+function priceFor(model) {
+  if (!model) return null;
+  // Dated snapshots (gpt-4.1-mini-2025-04-14) share their base model's price
+  const base = Object.keys(MODEL_PRICING)
+    .filter((name) => model === name || model.startsWith(`${name}-20`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? MODEL_PRICING[base] : null;
+}
+
+function emptyBucket() {
+  return {
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    totalTokens: 0,
+    webSearchCalls: 0,
+    estimatedCostUsd: 0
+  };
+}
+
+function ensure(buckets, key) {
+  buckets[key] ??= emptyBucket();
+  return buckets[key];
+}
+
+function addInto(target, delta) {
+  Object.keys(target).forEach((key) => {
+    target[key] += Number(delta?.[key]) || 0;
+  });
+}
+
+function roundBucket(bucket) {
+  return { ...bucket, estimatedCostUsd: Number(bucket.estimatedCostUsd.toFixed(6)) };
+}
+
+function mapValues(object, mapper) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, mapper(value)]));
+}
@@ -0,0 +1,126 @@
+import { randomUUID } from "crypto";
+
+export const JobStatus = {
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+  CANCELLED: "cancelled"
+};
+
+const DEFAULT_RETENTION_MINUTES = 30;
+
+/**
+ * Track background jobs and buffer every event they emit so clients can
+ * (re)attach at any point and replay what they missed by event id.
+ */
+export function createJobManager({ retentionMinutes = DEFAULT_RETENTION_MINUTES } = {}) {
+  const jobs = new Map();
+
+  function start(run, { errorMessage = "Job failed", cancelledMessage = "Job cancelled." } = {}) {
+    const job = {
+      jobId: randomUUID(),
+      status: JobStatus.RUNNING,
+      events: [],
+      listeners: new Set(),
+      controller: new AbortController(),
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    jobs.set(job.jobId, job);
+
+    const emit = (name, payload) => {
+      const event = {
+        id: job.events.length + 1,
+        name,
+        data: {
+          ts: new Date().toISOString(),
+          ...payload
+        }
+      };
+      job.events.push(event);
+      job.listeners.forEach((listener) => listener.onEvent(event));
+    };
+
+    // Defer so callers can subscribe before the first event is emitted
+    queueMicrotask(async () => {
+      try {
+        job.result = await run({ jobId: job.jobId, emit, signal: job.controller.signal });
+        job.status = JobStatus.SUCCEEDED;
+      } catch (error) {
+        if (job.controller.signal.aborted) {
+          job.status = JobStatus.CANCELLED;
+          emit("cancelled", { jobId: job.jobId, message: cancelledMessage });
+        } else {
+          job.status = JobStatus.FAILED;
+          job.error = {
+            error: errorMessage,
+            details: error instanceof Error ? error.message : "Unknown error"
+          };
+          emit("error", job.error);
+        }
+      } finally {
+        job.finishedAt = new Date().toISOString();
+        job.listeners.forEach((listener) => listener.onEnd?.());
+        job.listeners.clear();
+        scheduleRemoval(job.jobId);
+      }
+    });
+
+    return toJobSummary(job);
+  }
+
+  function scheduleRemoval(jobId) {
+    if (!retentionMinutes) return;
+    const timer = setTimeout(() => jobs.delete(jobId), retentionMinutes * 60 * 1000);
+    timer.unref?.();
+  }
+
+  return {
+    start,
+
+    get(jobId) {
+      const job = jobs.get(jobId);
+      return job ? toJobSummary(job) : null;
+    },
+
+    cancel(jobId) {
+      const job = jobs.get(jobId);
+      if (!job || job.status !== JobStatus.RUNNING) return false;
+      job.controller.abort();
+      return true;
+    },
+
+    /**
+     * Replay buffered events after `afterEventId`, then stream live ones.
+     * `onEnd` fires once the job has finished and everything was delivered.
+     */
+    subscribe(jobId, afterEventId, listener) {
+      const job = jobs.get(jobId);
+      if (!job) return null;
+
+      job.events.filter((event) => event.id > afterEventId).forEach((event) => listener.onEvent(event));
+
+      if (job.status !== JobStatus.RUNNING) {
+        listener.onEnd?.();
+        return () => {};
+      }
+
+      job.listeners.add(listener);
+      return () => job.listeners.delete(listener);
+    }
+  };
+}
+
+function toJobSummary(job) {
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    result: job.result,
+    error: job.error,
+    eventCount: job.events.length,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt
+  };
+}
@@ -0,0 +1,285 @@
+import { SCHEDULE_SLOT_HOURS } from "./schedule.js";
+
+const PRODUCT_ID = "-//spring-break-trip-agent//Itinerary Export//EN";
+const UID_DOMAIN = "spring-break-trip-agent";
+// iCalendar content lines are limited to 75 octets before folding
+const MAX_LINE_OCTETS = 75;
+// Rental pickup follows landing; the return leaves time to get to the airport
+const CAR_EVENT_MINUTES = 60;
+const CAR_RETURN_LEAD_MINUTES = 180;
+// How a flight route separates its endpoints ("BOS → HND", "Boston to Tokyo", "BOS-HND")
+const ROUTE_SEPARATORS = [/\s*(?:→|->|↔|⇄)\s*/, /\s+to\s+/i, /\s*[-–—]\s*/];
+
+/**
+ * Build an RFC 5545 calendar for an itinerary record: the selected flights as
+ * timed events (their local offsets become UTC), the hotel stay as an all-day
+ * span, rental car pickup and return, and one event per scheduled activity.
+ * Picks are the confirmed options, falling back to the recommended ones.
+ */
+export function buildItineraryCalendar(record, { now = new Date() } = {}) {
+  const itinerary = record?.itinerary ?? {};
+  const confirmations = record?.confirmations ?? {};
+  const destination = String(itinerary.destinationCity || record?.preferences?.destinationCity || "").trim();
+  const flight = selectedOption(itinerary.components?.flight, confirmations.flight?.optionId);
+  const hotel = selectedOption(itinerary.components?.hotel, confirmations.hotel?.optionId);
+  const car = selectedOption(itinerary.components?.carRental, confirmations.carRental?.optionId);
+  const stay = itinerary.stayAtDestination ?? {};
+  const uid = (name) => `${record?.itineraryId ?? "itinerary"}-${name}@${UID_DOMAIN}`;
+  const stamp = formatUtc(new Date(Date.parse(record?.finalConfirmationAt ?? "") || now.getTime()));
+
+  const events = [];
+
+  if (flight) {
+    const returnRoute = reverseRoute(flight.route);
+    const details = (route) => [flight.label, route && `Route: ${route}`, flight.class && `Class: ${flight.class}`];
+    events.push(
+      timedEvent(uid("flight-outbound"), {
+        summary: `Flight to ${destination || "destination"}${flight.airline ? ` (${flight.airline})` : ""}`,
+        start: flight.outboundDepartureLocal,
+        end: flight.outboundArrivalLocal,
+        location: flight.route,
+        description: details(flight.route)
+      }),
+      timedEvent(uid("flight-return"), {
+        summary: `Return flight${flight.airline ? ` (${flight.airline})` : ""}`,
+        start: flight.returnDepartureLocal,
+        end: flight.returnArrivalLocal,
+        location: returnRoute,
+        description: details(returnRoute)
+      })
+    );
+  }
+
+  const checkIn = datePart(stay.arrivalLocal);
+  if (hotel && checkIn) {
+    const nights = Number(hotel.nights) > 0 ? Number(hotel.nights) : Number(stay.nightsAtDestination) || 1;
+    events.push(
+      allDayEvent(uid("hotel"), {
+        summary: `Hotel: ${hotel.label}`,
+        start: checkIn,
+        // DTEND is exclusive, so the span ends on the checkout date
+        end: addDays(checkIn, nights),
+        location: [hotel.label, destination].filter(Boolean).join(", "),
+        geo: hotel,
+        description: [`${nights} night${nights === 1 ? "" : "s"}`, hotel.rooms > 1 ? `${hotel.rooms} rooms` : null]
+      })
+    );
+  }
+
+  if (car && Number(car.rentalDays) > 0) {
+    const pickup = withMinutes(stay.arrivalLocal, 0);
+    const dropoff = withMinutes(stay.departureLocal, -CAR_RETURN_LEAD_MINUTES);
+    const description = [car.label, car.company && `Company: ${car.company}`, car.carType && `Car: ${car.carType}`];
+    if (pickup && dropoff) {
+      events.push(
+        timedEvent(uid("car-pickup"), {
+          summary: `Pick up rental car (${car.company || car.label})`,
+          start: pickup,
+          end: withMinutes(pickup, CAR_EVENT_MINUTES),
+          location: destination,
+          description
+        }),
+        timedEvent(uid("car-return"), {
+          summary: `Return rental car (${car.company || car.label})`,
+          start: dropoff,
+          end: withMinutes(dropoff, CAR_EVENT_MINUTES),
+          location: destination,
+          description
+        })
+      );
+    } else if (checkIn) {
+      // Without flight times, fall back to all-day pickup and return reminders
+      events.push(
+        allDayEvent(uid("car-pickup"), {
+          summary: `Pick up rental car (${car.company || car.label})`,
+          start: checkIn,
+          end: addDays(checkIn, 1),
+          description
+        }),
+        allDayEvent(uid("car-return"), {
+          summary: `Return rental car (${car.company || car.label})`,
+          start: addDays(checkIn, Number(car.rentalDays)),
+          end: addDays(checkIn, Number(car.rentalDays) + 1),
+          description
+        })
+      );
+    }
+  }
+
+  // Slot hours are destination wall-clock times. They are written as floating local times:
+  // the arrival's UTC offset would put activities an hour off after a daylight-saving change
+  const activitiesById = new Map((itinerary.activities ?? []).map((activity) => [activity.id, activity]));
+  (itinerary.schedule?.days ?? []).forEach((day) => {
+    if (!day.date) return;
+    (day.slots ?? []).forEach((slot) => {
+      if (!slot.activity) return;
+      const hours = SCHEDULE_SLOT_HOURS[slot.slot];
+      const activity = activitiesById.get(slot.activity.id) ?? slot.activity;
+      events.push(
+        timedEvent(uid(`activity-${slot.activity.id}`), {
+          summary: activity.name,
+          start: `${day.date}T${pad(hours.start)}:00:00`,
+          end: `${day.date}T${pad(hours.end)}:00:00`,
+          location: activity.location || destination,
+          geo: activity,
+          description: [
+            `Day ${day.day}, ${slot.slot}`,
+            activity.category && `Category: ${activity.category}`,
+            activity.notes
+          ]
+        })
+      );
+    });
+  });
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(destination ? `Trip to ${destination}` : "Trip itinerary")}`,
+    ...events
+      .filter(Boolean)
+      .flatMap((event) => ["BEGIN:VEVENT", `UID:${event.uid}`, `DTSTAMP:${stamp}`, ...event.lines, "END:VEVENT"]),
+    "END:VCALENDAR"
+  ];
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+function timedEvent(uid, { summary, start, end, location, geo, description }) {
+  const dtStart = dateTimeValue(start);
+  if (!dtStart) return null;
+  const dtEnd = dateTimeValue(end);
+  return {
+    uid,
+    lines: [
+      `DTSTART${dtStart}`,
+      ...(dtEnd ? [`DTEND${dtEnd}`] : []),
+      ...eventDetails({ summary, location, geo, description })
+    ]
+  };
+}
+
+function allDayEvent(uid, { summary, start, end, location, geo, description }) {
+  return {
+    uid,
+    lines: [
+      `DTSTART;VALUE=DATE:${compactDate(start)}`,
+      `DTEND;VALUE=DATE:${compactDate(end)}`,
+      "TRANSP:TRANSPARENT",
+      ...eventDetails({ summary, location, geo, description })
+    ]
+  };
+}
+
+function eventDetails({ summary, location, geo, description }) {
+  const text = (description ?? []).filter(Boolean).join("\n");
+  const hasGeo = Number.isFinite(geo?.latitude) && Number.isFinite(geo?.longitude);
+  return [
+    `SUMMARY:${escapeText(summary || "Trip event")}`,
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    ...(hasGeo ? [`GEO:${geo.latitude};${geo.longitude}`] : []),
+    ...(text ? [`DESCRIPTION:${escapeText(text)}`] : [])
+  ];
+}
+
+/**
+ * `:20260321T230000Z` for times with an offset, `:20260321T190000` (floating)
+ * without one, `;VALUE=DATE:20260321` for a bare date
+ */
+function dateTimeValue(value) {
+  const match = String(value || "").match(/^(\d{4}-\d{2}-\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?(Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (!match) return null;
+  const [, date, hours, minutes, seconds = "00", offset] = match;
+  if (!hours) return `;VALUE=DATE:${compactDate(date)}`;
+  if (offset) {
+    const parsed = new Date(`${date}T${hours}:${minutes}:${seconds}${normalizeOffset(offset)}`);
+    return Number.isNaN(parsed.getTime()) ? null : `:${formatUtc(parsed)}`;
+  }
+  return `:${compactDate(date)}T${hours}${minutes}${seconds}`;
+}
+
+// Shift a local ISO time by some minutes while keeping its offset
+function withMinutes(value, minutes) {
+  const match = String(value || "").match(/^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})(?::\d{2})?(Z|[+-]\d{2}:?\d{2})?$/);
+  if (!match) return null;
+  const [, date, hours, mins, offset = ""] = match;
+  const shifted = new Date(Date.parse(`${date}T${hours}:${mins}:00Z`) + minutes * 60 * 1000);
+  return `${shifted.toISOString().slice(0, 19)}${offset}`;
+}
+
+function normalizeOffset(offset) {
+  return offset === "Z" ? offset : offset.replace(/^([+-]\d{2})(\d{2})$/, "$1:$2");
+}
+
+function selectedOption(component, confirmedOptionId) {
+  if (!component?.options?.length) return null;
+  const selectedId = confirmedOptionId ?? component.recommendedOptionId ?? component.options[0].id;
+  return component.options.find((option) => option.id === selectedId) ?? component.options[0];
+}
+
+// The outbound route read backwards; null when it is not clearly two endpoints
+function reverseRoute(route) {
+  const text = String(route || "").trim();
+  for (const separator of ROUTE_SEPARATORS) {
+    const parts = text.split(separator);
+    if (parts.length === 1) continue;
+    if (parts.length > 2 || !parts.every((part) => part.trim())) return null;
+    return `${parts[1].trim()}${text.match(separator)[0]}${parts[0].trim()}`;
+  }
+  return null;
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Fold long lines at 75 octets without splitting a multi-byte character
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const character of line) {
+    const size = Buffer.byteLength(character, "utf8");
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += character;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function datePart(value) {
+  const match = String(value || "").match(/^(\d{4}-\d{2}-\d{2})/);
+  return match ? match[1] : null;
+}
+
+function compactDate(date) {
+  return date.replace(/-/g, "");
+}
+
+function addDays(date, offset) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + offset);
+  return next.toISOString().slice(0, 10);
+}
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
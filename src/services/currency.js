@@ -0,0 +1,129 @@
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+
+// Stored amounts are in USD; options quoted in another currency are converted on normalization
+export const SOURCE_CURRENCY = "USD";
+
+// Offline reference rates (units of each currency per 1 USD). Illustrative only;
+// point EXCHANGE_RATES_PATH at a file with the same shape to use your own.
+const DEFAULT_RATE_TABLE = {
+  base: "USD",
+  asOf: "2026-01-02",
+  rates: {
+    USD: 1,
+    EUR: 0.85,
+    GBP: 0.74,
+    CHF: 0.79,
+    CAD: 1.37,
+    MXN: 18.0,
+    JPY: 157.0,
+    TWD: 31.4,
+    HKD: 7.78,
+    CNY: 7.0,
+    KRW: 1440,
+    SGD: 1.29,
+    THB: 31.5,
+    INR: 90.0,
+    AED: 3.6725,
+    TRY: 43.0,
+    AUD: 1.5
+  }
+};
+
+const rateTableSchema = z
+  .object({
+    base: z.string().regex(/^[A-Z]{3}$/),
+    asOf: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "asOf must be a YYYY-MM-DD date"),
+    rates: z.record(z.string().regex(/^[A-Z]{3}$/, "currency codes must be 3 uppercase letters"), z.number().positive())
+  })
+  .strict()
+  .refine((table) => table.rates[table.base] === 1, { message: "rates must list the base currency at 1" })
+  .refine((table) => SOURCE_CURRENCY in table.rates, { message: `rates must include ${SOURCE_CURRENCY}` });
+
+/**
+ * Read currency settings from environment variables
+ */
+export function currencyConfigFromEnv(env = process.env) {
+  return {
+    ratesPath: env.EXCHANGE_RATES_PATH?.trim() || null,
+    defaultDisplayCurrency: (env.DISPLAY_CURRENCY || SOURCE_CURRENCY).trim().toUpperCase()
+  };
+}
+
+/**
+ * Create a conversion service over a fixed rate table. Amounts are rounded to
+ * the target currency's minor unit (0 decimals for JPY, 2 for EUR, ...).
+ */
+export function createCurrencyService(config = currencyConfigFromEnv()) {
+  const table = config.ratesPath ? readRateTable(config.ratesPath) : DEFAULT_RATE_TABLE;
+  const currencies = Object.keys(table.rates).sort();
+  const defaultDisplayCurrency = config.defaultDisplayCurrency || SOURCE_CURRENCY;
+  if (!table.rates[defaultDisplayCurrency]) {
+    throw new Error(`DISPLAY_CURRENCY must be one of: ${currencies.join(", ")}`);
+  }
+
+  const rate = (from, to) => {
+    if (!table.rates[from] || !table.rates[to]) {
+      throw new Error(`Unsupported currency conversion ${from} -> ${to}`);
+    }
+    return table.rates[to] / table.rates[from];
+  };
+
+  return {
+    asOf: table.asOf,
+    currencies,
+    defaultDisplayCurrency,
+
+    isSupported(currency) {
+      return Boolean(table.rates[currency]);
+    },
+
+    rate,
+
+    convert(amount, from, to) {
+      const value = Number(amount) || 0;
+      return roundTo(value * rate(from, to), minorUnits(to));
+    },
+
+    describe() {
+      return {
+        base: table.base,
+        asOf: table.asOf,
+        currencies,
+        defaultDisplayCurrency,
+        source: config.ratesPath ?? "built-in"
+      };
+    }
+  };
+}
+
+function readRateTable(ratesPath) {
+  const resolvedPath = path.resolve(ratesPath);
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read exchange rates at ${resolvedPath}: ${error.message}`);
+  }
+
+  const parsed = rateTableSchema.safeParse(contents);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`);
+    throw new Error(`Invalid exchange rate file ${resolvedPath}:\n  - ${issues.join("\n  - ")}`);
+  }
+  return parsed.data;
+}
+
+function minorUnits(currency) {
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return 2;
+  }
+}
+
+function roundTo(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
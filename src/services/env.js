@@ -0,0 +1,8 @@
+/**
+ * Parse a numeric setting that must be zero or more; blank or invalid values use `fallback`
+ */
+export function parseNonNegativeNumber(value, fallback) {
+  if (value === undefined || value === null || String(value).trim() === "") return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
@@ -0,0 +1,217 @@
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+
+// Illustrative taxes and fees, resolved default < country < city. Point
+// FEE_RULES_PATH at a file with the same shape to use your own figures.
+const DEFAULT_FEE_RULES = {
+  asOf: "2026-01-02",
+  default: {
+    hotelTaxRate: 0.1,
+    touristTaxPerNightUsd: 0,
+    carRentalTaxRate: 0.1,
+    carRentalSurchargePerDayUsd: 0,
+    activityTaxRate: 0,
+    checkedBagFeeUsd: { economy: 35, business: 0 }
+  },
+  countries: {
+    US: { hotelTaxRate: 0.14, carRentalTaxRate: 0.1, carRentalSurchargePerDayUsd: 8 },
+    GB: { hotelTaxRate: 0.2, carRentalTaxRate: 0.2, carRentalSurchargePerDayUsd: 6, checkedBagFeeUsd: { economy: 45, business: 0 } },
+    FR: { hotelTaxRate: 0.1, carRentalTaxRate: 0.2, carRentalSurchargePerDayUsd: 5 },
+    IT: { hotelTaxRate: 0.1, carRentalTaxRate: 0.22, carRentalSurchargePerDayUsd: 6 },
+    ES: { hotelTaxRate: 0.1, carRentalTaxRate: 0.21, carRentalSurchargePerDayUsd: 4 },
+    PT: { hotelTaxRate: 0.06, carRentalTaxRate: 0.23, carRentalSurchargePerDayUsd: 4 },
+    NL: { hotelTaxRate: 0.21, carRentalTaxRate: 0.21, carRentalSurchargePerDayUsd: 5 },
+    DE: { hotelTaxRate: 0.07, carRentalTaxRate: 0.19, carRentalSurchargePerDayUsd: 5 },
+    JP: { hotelTaxRate: 0.1, carRentalTaxRate: 0.1, carRentalSurchargePerDayUsd: 3 },
+    HK: { hotelTaxRate: 0, carRentalTaxRate: 0, carRentalSurchargePerDayUsd: 2 },
+    SG: { hotelTaxRate: 0.09, carRentalTaxRate: 0.09, carRentalSurchargePerDayUsd: 3 },
+    TW: { hotelTaxRate: 0.05, carRentalTaxRate: 0.05, carRentalSurchargePerDayUsd: 2 },
+    TH: { hotelTaxRate: 0.07, carRentalTaxRate: 0.07, carRentalSurchargePerDayUsd: 2 },
+    MX: { hotelTaxRate: 0.16, carRentalTaxRate: 0.16, carRentalSurchargePerDayUsd: 6 }
+  },
+  cities: {
+    "new york": { country: "US", hotelTaxRate: 0.1475, touristTaxPerNightUsd: 3.5 },
+    boston: { country: "US", hotelTaxRate: 0.1495 },
+    chicago: { country: "US", hotelTaxRate: 0.174 },
+    "san francisco": { country: "US", hotelTaxRate: 0.16 },
+    "los angeles": { country: "US", hotelTaxRate: 0.155 },
+    london: { country: "GB" },
+    paris: { country: "FR", touristTaxPerNightUsd: 4.2 },
+    rome: { country: "IT", touristTaxPerNightUsd: 7.5 },
+    milan: { country: "IT", touristTaxPerNightUsd: 5.5 },
+    barcelona: { country: "ES", touristTaxPerNightUsd: 6.5 },
+    madrid: { country: "ES" },
+    lisbon: { country: "PT", touristTaxPerNightUsd: 4.5 },
+    amsterdam: { country: "NL", hotelTaxRate: 0.125, touristTaxPerNightUsd: 0 },
+    berlin: { country: "DE", hotelTaxRate: 0.145 },
+    tokyo: { country: "JP", touristTaxPerNightUsd: 1.3 },
+    kyoto: { country: "JP", touristTaxPerNightUsd: 2 },
+    "hong kong": { country: "HK" },
+    singapore: { country: "SG" },
+    taipei: { country: "TW" },
+    bangkok: { country: "TH" },
+    "mexico city": { country: "MX", hotelTaxRate: 0.19 },
+    cancun: { country: "MX", hotelTaxRate: 0.22, touristTaxPerNightUsd: 2 }
+  }
+};
+
+const ruleFields = {
+  hotelTaxRate: z.number().min(0).max(1),
+  touristTaxPerNightUsd: z.number().min(0),
+  carRentalTaxRate: z.number().min(0).max(1),
+  carRentalSurchargePerDayUsd: z.number().min(0),
+  activityTaxRate: z.number().min(0).max(1),
+  checkedBagFeeUsd: z.object({ economy: z.number().min(0), business: z.number().min(0) }).strict()
+};
+
+const feeRulesSchema = z
+  .object({
+    asOf: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "asOf must be a YYYY-MM-DD date"),
+    default: z.object(ruleFields).strict(),
+    countries: z.record(z.object(ruleFields).partial().strict()).default({}),
+    cities: z
+      .record(
+        z
+          .object({ country: z.string().optional(), ...ruleFields })
+          .partial()
+          .strict()
+      )
+      .default({})
+  })
+  .strict();
+
+/**
+ * Read fee model settings from environment variables
+ */
+export function feeConfigFromEnv(env = process.env) {
+  return {
+    rulesPath: env.FEE_RULES_PATH?.trim() || null
+  };
+}
+
+/**
+ * Create the destination-aware fee model shared by `budget_calculator` and the
+ * server's cost summary, so both arrive at the same taxes and fees.
+ */
+export function createFeeModel(config = feeConfigFromEnv()) {
+  const table = config.rulesPath ? readFeeRules(config.rulesPath) : DEFAULT_FEE_RULES;
+
+  const rulesFor = (destinationCity) => {
+    const cityKey = String(destinationCity || "").split(",")[0].toLowerCase().trim();
+    const city = table.cities?.[cityKey] ?? null;
+    const country = city?.country ? table.countries?.[city.country] ?? {} : {};
+    const { country: countryCode, ...cityRules } = city ?? {};
+    return {
+      location: city ? `${toTitleCase(cityKey)}${countryCode ? `, ${countryCode}` : ""}` : "default rates",
+      ...table.default,
+      ...country,
+      ...cityRules
+    };
+  };
+
+  return {
+    asOf: table.asOf,
+    rulesFor,
+
+    /**
+     * Itemized taxes and fees for one combination of picks. `costs` holds the
+     * group's USD subtotal per component (flight, hotel, carRental, activities);
+     * `perTraveler` marks fees each traveler pays for themselves.
+     */
+    compute({ destinationCity, travelers, airTravelClass, hotelNights, carRentalDays, costs = {} }) {
+      const rules = rulesFor(destinationCity);
+      const people = Math.max(1, Number(travelers) || 1);
+      const perPeople = people > 1 ? ` × ${people} travelers` : "";
+      const nights = Math.max(0, Number(hotelNights) || 0);
+      const rentalDays = Math.max(0, Number(carRentalDays) || 0);
+      const hotelUsd = Number(costs.hotel) || 0;
+      const carRentalUsd = Number(costs.carRental) || 0;
+      const bagFeeUsd = rules.checkedBagFeeUsd[airTravelClass === "business" ? "business" : "economy"];
+
+      const lineItems = [
+        lineItem("hotel_tax", "hotel", `Hotel tax (${percent(rules.hotelTaxRate)})`, hotelUsd * rules.hotelTaxRate),
+        lineItem(
+          "tourist_tax",
+          "hotel",
+          `City tourist tax ($${rules.touristTaxPerNightUsd}/night × ${nights}${perPeople})`,
+          hotelUsd > 0 ? rules.touristTaxPerNightUsd * nights * people : 0,
+          true
+        ),
+        lineItem(
+          "car_rental_tax",
+          "carRental",
+          `Car rental tax (${percent(rules.carRentalTaxRate)})`,
+          carRentalUsd * rules.carRentalTaxRate
+        ),
+        lineItem(
+          "car_rental_surcharge",
+          "carRental",
+          `Car rental surcharges ($${rules.carRentalSurchargePerDayUsd}/day × ${rentalDays})`,
+          carRentalUsd > 0 ? rules.carRentalSurchargePerDayUsd * rentalDays : 0
+        ),
+        lineItem(
+          "bag_fees",
+          "flight",
+          `Checked bag fees ($${bagFeeUsd} each way × 2${perPeople})`,
+          Number(costs.flight) > 0 ? bagFeeUsd * 2 * people : 0,
+          true
+        ),
+        lineItem(
+          "activity_tax",
+          "activities",
+          `Activity tax (${percent(rules.activityTaxRate)})`,
+          (Number(costs.activities) || 0) * rules.activityTaxRate,
+          true
+        )
+      ].filter((item) => item.amountUsd > 0);
+
+      return {
+        location: rules.location,
+        lineItems,
+        totalUsd: roundUsd(lineItems.reduce((sum, item) => sum + item.amountUsd, 0))
+      };
+    },
+
+    describe() {
+      return {
+        asOf: table.asOf,
+        source: config.rulesPath ?? "built-in",
+        cities: Object.keys(table.cities ?? {}).sort()
+      };
+    }
+  };
+}
+
+function lineItem(id, component, label, amount, perTraveler = false) {
+  return { id, component, label, amountUsd: roundUsd(amount), perTraveler };
+}
+
+function readFeeRules(rulesPath) {
+  const resolvedPath = path.resolve(rulesPath);
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read fee rules at ${resolvedPath}: ${error.message}`);
+  }
+
+  const parsed = feeRulesSchema.safeParse(contents);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`);
+    throw new Error(`Invalid fee rules file ${resolvedPath}:\n  - ${issues.join("\n  - ")}`);
+  }
+  return parsed.data;
+}
+
+function percent(rate) {
+  return `${Number((rate * 100).toFixed(2))}%`;
+}
+
+function roundUsd(value) {
+  return Number((Number(value) || 0).toFixed(2));
+}
+
+function toTitleCase(value) {
+  return value.replace(/\b\w/g, (letter) => letter.toUpperCase());
+}
@@ -0,0 +1,229 @@
+// Bundled offline gazetteer: major travel cities and well-known landmarks.
+// Coordinates are approximate centers, good enough to place map markers and
+// estimate travel times when no online geocoder is reachable.
+const CITIES = [
+  { name: "Tokyo", country: "JP", latitude: 35.6812, longitude: 139.7671 },
+  { name: "Kyoto", country: "JP", latitude: 35.0116, longitude: 135.7681 },
+  { name: "Osaka", country: "JP", latitude: 34.6937, longitude: 135.5023 },
+  { name: "Seoul", country: "KR", latitude: 37.5665, longitude: 126.978 },
+  { name: "Beijing", country: "CN", latitude: 39.9042, longitude: 116.4074 },
+  { name: "Shanghai", country: "CN", latitude: 31.2304, longitude: 121.4737 },
+  { name: "Hong Kong", country: "HK", latitude: 22.3193, longitude: 114.1694 },
+  { name: "Taipei", country: "TW", latitude: 25.033, longitude: 121.5654 },
+  { name: "Singapore", country: "SG", latitude: 1.3521, longitude: 103.8198 },
+  { name: "Bangkok", country: "TH", latitude: 13.7563, longitude: 100.5018 },
+  { name: "Hanoi", country: "VN", latitude: 21.0278, longitude: 105.8342 },
+  { name: "Ho Chi Minh City", country: "VN", latitude: 10.8231, longitude: 106.6297, aliases: ["Saigon"] },
+  { name: "Kuala Lumpur", country: "MY", latitude: 3.139, longitude: 101.6869 },
+  { name: "Bali", country: "ID", latitude: -8.6705, longitude: 115.2126, aliases: ["Denpasar"] },
+  { name: "Manila", country: "PH", latitude: 14.5995, longitude: 120.9842 },
+  { name: "New Delhi", country: "IN", latitude: 28.6139, longitude: 77.209, aliases: ["Delhi"] },
+  { name: "Mumbai", country: "IN", latitude: 19.076, longitude: 72.8777 },
+  { name: "Dubai", country: "AE", latitude: 25.2048, longitude: 55.2708 },
+  { name: "Istanbul", country: "TR", latitude: 41.0082, longitude: 28.9784 },
+  { name: "Cairo", country: "EG", latitude: 30.0444, longitude: 31.2357 },
+  { name: "Marrakech", country: "MA", latitude: 31.6295, longitude: -7.9811, aliases: ["Marrakesh"] },
+  { name: "Cape Town", country: "ZA", latitude: -33.9249, longitude: 18.4241 },
+  { name: "Sydney", country: "AU", latitude: -33.8688, longitude: 151.2093 },
+  { name: "Melbourne", country: "AU", latitude: -37.8136, longitude: 144.9631 },
+  { name: "Auckland", country: "NZ", latitude: -36.8485, longitude: 174.7633 },
+  { name: "London", country: "GB", latitude: 51.5074, longitude: -0.1278 },
+  { name: "Edinburgh", country: "GB", latitude: 55.9533, longitude: -3.1883 },
+  { name: "Dublin", country: "IE", latitude: 53.3498, longitude: -6.2603 },
+  { name: "Paris", country: "FR", latitude: 48.8566, longitude: 2.3522 },
+  { name: "Rome", country: "IT", latitude: 41.9028, longitude: 12.4964, aliases: ["Roma"] },
+  { name: "Milan", country: "IT", latitude: 45.4642, longitude: 9.19, aliases: ["Milano"] },
+  { name: "Florence", country: "IT", latitude: 43.7696, longitude: 11.2558, aliases: ["Firenze"] },
+  { name: "Venice", country: "IT", latitude: 45.4408, longitude: 12.3155, aliases: ["Venezia"] },
+  { name: "Barcelona", country: "ES", latitude: 41.3874, longitude: 2.1686 },
+  { name: "Madrid", country: "ES", latitude: 40.4168, longitude: -3.7038 },
+  { name: "Lisbon", country: "PT", latitude: 38.7223, longitude: -9.1393, aliases: ["Lisboa"] },
+  { name: "Amsterdam", country: "NL", latitude: 52.3676, longitude: 4.9041 },
+  { name: "Berlin", country: "DE", latitude: 52.52, longitude: 13.405 },
+  { name: "Munich", country: "DE", latitude: 48.1351, longitude: 11.582, aliases: ["München"] },
+  { name: "Prague", country: "CZ", latitude: 50.0755, longitude: 14.4378, aliases: ["Praha"] },
+  { name: "Vienna", country: "AT", latitude: 48.2082, longitude: 16.3738, aliases: ["Wien"] },
+  { name: "Budapest", country: "HU", latitude: 47.4979, longitude: 19.0402 },
+  { name: "Zurich", country: "CH", latitude: 47.3769, longitude: 8.5417 },
+  { name: "Copenhagen", country: "DK", latitude: 55.6761, longitude: 12.5683 },
+  { name: "Stockholm", country: "SE", latitude: 59.3293, longitude: 18.0686 },
+  { name: "Reykjavik", country: "IS", latitude: 64.1466, longitude: -21.9426 },
+  { name: "Athens", country: "GR", latitude: 37.9838, longitude: 23.7275 },
+  { name: "New York", country: "US", latitude: 40.7128, longitude: -74.006, aliases: ["New York City", "NYC"] },
+  { name: "Boston", country: "US", latitude: 42.3601, longitude: -71.0589 },
+  { name: "Washington", country: "US", latitude: 38.9072, longitude: -77.0369, aliases: ["Washington DC", "Washington D C"] },
+  { name: "Chicago", country: "US", latitude: 41.8781, longitude: -87.6298 },
+  { name: "Miami", country: "US", latitude: 25.7617, longitude: -80.1918 },
+  { name: "Orlando", country: "US", latitude: 28.5383, longitude: -81.3792 },
+  { name: "New Orleans", country: "US", latitude: 29.9511, longitude: -90.0715 },
+  { name: "Austin", country: "US", latitude: 30.2672, longitude: -97.7431 },
+  { name: "Denver", country: "US", latitude: 39.7392, longitude: -104.9903 },
+  { name: "Las Vegas", country: "US", latitude: 36.1699, longitude: -115.1398 },
+  { name: "Los Angeles", country: "US", latitude: 34.0522, longitude: -118.2437, aliases: ["LA"] },
+  { name: "San Diego", country: "US", latitude: 32.7157, longitude: -117.1611 },
+  { name: "San Francisco", country: "US", latitude: 37.7749, longitude: -122.4194 },
+  { name: "Seattle", country: "US", latitude: 47.6062, longitude: -122.3321 },
+  { name: "Honolulu", country: "US", latitude: 21.3069, longitude: -157.8583 },
+  { name: "Toronto", country: "CA", latitude: 43.6532, longitude: -79.3832 },
+  { name: "Montreal", country: "CA", latitude: 45.5017, longitude: -73.5673 },
+  { name: "Vancouver", country: "CA", latitude: 49.2827, longitude: -123.1207 },
+  { name: "Mexico City", country: "MX", latitude: 19.4326, longitude: -99.1332, aliases: ["Ciudad de Mexico", "CDMX"] },
+  { name: "Cancun", country: "MX", latitude: 21.1619, longitude: -86.8515 },
+  { name: "San Juan", country: "PR", latitude: 18.4655, longitude: -66.1057 },
+  { name: "Nassau", country: "BS", latitude: 25.0443, longitude: -77.3504 },
+  { name: "Punta Cana", country: "DO", latitude: 18.5601, longitude: -68.3725 },
+  { name: "Havana", country: "CU", latitude: 23.1136, longitude: -82.3666 },
+  { name: "Rio de Janeiro", country: "BR", latitude: -22.9068, longitude: -43.1729, aliases: ["Rio"] },
+  { name: "Buenos Aires", country: "AR", latitude: -34.6037, longitude: -58.3816 },
+  { name: "Santiago", country: "CL", latitude: -33.4489, longitude: -70.6693 },
+  { name: "Lima", country: "PE", latitude: -12.0464, longitude: -77.0428 },
+  { name: "Cusco", country: "PE", latitude: -13.532, longitude: -71.9675, aliases: ["Cuzco"] },
+  { name: "Bogota", country: "CO", latitude: 4.711, longitude: -74.0721 },
+  { name: "Cartagena", country: "CO", latitude: 10.391, longitude: -75.4794 }
+];
+
+const LANDMARKS = [
+  { name: "Eiffel Tower", city: "Paris", latitude: 48.8584, longitude: 2.2945, aliases: ["Tour Eiffel"] },
+  { name: "Louvre Museum", city: "Paris", latitude: 48.8606, longitude: 2.3376, aliases: ["Louvre", "Musée du Louvre"] },
+  { name: "Notre-Dame de Paris", city: "Paris", latitude: 48.853, longitude: 2.3499, aliases: ["Notre-Dame", "Notre Dame Cathedral"] },
+  { name: "Arc de Triomphe", city: "Paris", latitude: 48.8738, longitude: 2.295 },
+  { name: "Sacré-Cœur", city: "Paris", latitude: 48.8867, longitude: 2.3431, aliases: ["Sacre Coeur", "Sacre Coeur Basilica", "Montmartre"] },
+  { name: "Colosseum", city: "Rome", latitude: 41.8902, longitude: 12.4922, aliases: ["Colosseo"] },
+  { name: "Vatican Museums", city: "Rome", latitude: 41.9065, longitude: 12.4536, aliases: ["Sistine Chapel"] },
+  { name: "Trevi Fountain", city: "Rome", latitude: 41.9009, longitude: 12.4833 },
+  { name: "Pantheon", city: "Rome", latitude: 41.8986, longitude: 12.4769 },
+  { name: "Sagrada Familia", city: "Barcelona", latitude: 41.4036, longitude: 2.1744 },
+  { name: "Park Güell", city: "Barcelona", latitude: 41.4145, longitude: 2.1527 },
+  { name: "La Rambla", city: "Barcelona", latitude: 41.3809, longitude: 2.1734, aliases: ["Las Ramblas"] },
+  { name: "Prado Museum", city: "Madrid", latitude: 40.4138, longitude: -3.6921, aliases: ["Museo del Prado"] },
+  { name: "Big Ben", city: "London", latitude: 51.5007, longitude: -0.1246, aliases: ["Houses of Parliament"] },
+  { name: "Tower of London", city: "London", latitude: 51.5081, longitude: -0.0759 },
+  { name: "British Museum", city: "London", latitude: 51.5194, longitude: -0.127 },
+  { name: "Buckingham Palace", city: "London", latitude: 51.5014, longitude: -0.1419 },
+  { name: "London Eye", city: "London", latitude: 51.5033, longitude: -0.1196 },
+  { name: "Rijksmuseum", city: "Amsterdam", latitude: 52.36, longitude: 4.8852 },
+  { name: "Anne Frank House", city: "Amsterdam", latitude: 52.3752, longitude: 4.884 },
+  { name: "Brandenburg Gate", city: "Berlin", latitude: 52.5163, longitude: 13.3777 },
+  { name: "Charles Bridge", city: "Prague", latitude: 50.0865, longitude: 14.4114 },
+  { name: "Acropolis", city: "Athens", latitude: 37.9715, longitude: 23.7257, aliases: ["Parthenon"] },
+  { name: "Hagia Sophia", city: "Istanbul", latitude: 41.0086, longitude: 28.9802 },
+  { name: "Pyramids of Giza", city: "Cairo", latitude: 29.9792, longitude: 31.1342, aliases: ["Giza Pyramids"] },
+  { name: "Burj Khalifa", city: "Dubai", latitude: 25.1972, longitude: 55.2744 },
+  { name: "Senso-ji", city: "Tokyo", latitude: 35.7148, longitude: 139.7967, aliases: ["Sensoji Temple", "Senso-ji Temple", "Asakusa"] },
+  { name: "Meiji Jingu", city: "Tokyo", latitude: 35.6764, longitude: 139.6993, aliases: ["Meiji Shrine"] },
+  { name: "Shibuya Crossing", city: "Tokyo", latitude: 35.6595, longitude: 139.7005, aliases: ["Shibuya"] },
+  { name: "Tsukiji Outer Market", city: "Tokyo", latitude: 35.6654, longitude: 139.7707, aliases: ["Tsukiji Market", "Tsukiji"] },
+  { name: "Tokyo Skytree", city: "Tokyo", latitude: 35.7101, longitude: 139.8107 },
+  { name: "Tokyo Tower", city: "Tokyo", latitude: 35.6586, longitude: 139.7454 },
+  { name: "Shinjuku Gyoen", city: "Tokyo", latitude: 35.6852, longitude: 139.71 },
+  { name: "Fushimi Inari Taisha", city: "Kyoto", latitude: 34.9671, longitude: 135.7727, aliases: ["Fushimi Inari"] },
+  { name: "Kinkaku-ji", city: "Kyoto", latitude: 35.0394, longitude: 135.7292, aliases: ["Golden Pavilion"] },
+  { name: "Gyeongbokgung Palace", city: "Seoul", latitude: 37.5796, longitude: 126.977, aliases: ["Gyeongbokgung"] },
+  { name: "Forbidden City", city: "Beijing", latitude: 39.9163, longitude: 116.3972 },
+  { name: "The Bund", city: "Shanghai", latitude: 31.24, longitude: 121.49 },
+  { name: "Victoria Peak", city: "Hong Kong", latitude: 22.2759, longitude: 114.1455, aliases: ["The Peak"] },
+  { name: "Taipei 101", city: "Taipei", latitude: 25.034, longitude: 121.5645 },
+  { name: "Marina Bay Sands", city: "Singapore", latitude: 1.2834, longitude: 103.8607 },
+  { name: "Gardens by the Bay", city: "Singapore", latitude: 1.2816, longitude: 103.8636 },
+  { name: "Grand Palace", city: "Bangkok", latitude: 13.75, longitude: 100.4913 },
+  { name: "Sydney Opera House", city: "Sydney", latitude: -33.8568, longitude: 151.2153 },
+  { name: "Table Mountain", city: "Cape Town", latitude: -33.9628, longitude: 18.4098 },
+  { name: "Statue of Liberty", city: "New York", latitude: 40.6892, longitude: -74.0445 },
+  { name: "Times Square", city: "New York", latitude: 40.758, longitude: -73.9855 },
+  { name: "Central Park", city: "New York", latitude: 40.7829, longitude: -73.9654 },
+  { name: "Empire State Building", city: "New York", latitude: 40.7484, longitude: -73.9857 },
+  { name: "Metropolitan Museum of Art", city: "New York", latitude: 40.7794, longitude: -73.9632, aliases: ["The Met"] },
+  { name: "Freedom Trail", city: "Boston", latitude: 42.3554, longitude: -71.064 },
+  { name: "Fenway Park", city: "Boston", latitude: 42.3467, longitude: -71.0972 },
+  { name: "Museum of Fine Arts", city: "Boston", latitude: 42.3394, longitude: -71.094 },
+  { name: "National Mall", city: "Washington", latitude: 38.8895, longitude: -77.0353 },
+  { name: "Millennium Park", city: "Chicago", latitude: 41.8826, longitude: -87.6226 },
+  { name: "French Quarter", city: "New Orleans", latitude: 29.9584, longitude: -90.0644 },
+  { name: "Las Vegas Strip", city: "Las Vegas", latitude: 36.1147, longitude: -115.1728, aliases: ["The Strip"] },
+  { name: "Griffith Observatory", city: "Los Angeles", latitude: 34.1184, longitude: -118.3004 },
+  { name: "Hollywood Walk of Fame", city: "Los Angeles", latitude: 34.1016, longitude: -118.3267 },
+  { name: "Golden Gate Bridge", city: "San Francisco", latitude: 37.8199, longitude: -122.4783 },
+  { name: "Alcatraz Island", city: "San Francisco", latitude: 37.827, longitude: -122.423, aliases: ["Alcatraz"] },
+  { name: "Space Needle", city: "Seattle", latitude: 47.6205, longitude: -122.3493 },
+  { name: "Pike Place Market", city: "Seattle", latitude: 47.6097, longitude: -122.3422 },
+  { name: "Waikiki Beach", city: "Honolulu", latitude: 21.2793, longitude: -157.8292, aliases: ["Waikiki"] },
+  { name: "CN Tower", city: "Toronto", latitude: 43.6426, longitude: -79.3871 },
+  { name: "Teotihuacan", city: "Mexico City", latitude: 19.6925, longitude: -98.8438 },
+  { name: "Chichen Itza", city: "Cancun", latitude: 20.6843, longitude: -88.5678 },
+  { name: "Christ the Redeemer", city: "Rio de Janeiro", latitude: -22.9519, longitude: -43.2105, aliases: ["Cristo Redentor"] },
+  { name: "Machu Picchu", city: "Cusco", latitude: -13.1631, longitude: -72.545 }
+];
+
+const cityIndex = buildIndex(CITIES);
+const landmarkIndex = buildIndex(LANDMARKS);
+
+export const GAZETTEER_SIZE = { cities: CITIES.length, landmarks: LANDMARKS.length };
+
+/**
+ * Look a free-text place up in the bundled gazetteer. The first comma-separated
+ * part must name a landmark or city (`"Senso-ji Temple, Tokyo"`, `"Tokyo, Japan"`)
+ * for an exact match; otherwise a city named later in the query
+ * (`"Park Hotel, Tokyo"`) gives its city center with `precision: "city"`.
+ */
+export function lookupGazetteer(query) {
+  const [first = "", ...rest] = String(query || "")
+    .split(",")
+    .map(normalizeName)
+    .filter(Boolean);
+  if (!first) return null;
+
+  const contextCity = rest.map((part) => cityIndex.get(part)).find(Boolean) ?? null;
+  const landmark = landmarkIndex.get(first) ?? findLandmarkWithin(first, contextCity);
+  if (landmark && (!contextCity || landmark.city === contextCity.name)) {
+    return toResult(landmark, `${landmark.name}, ${landmark.city}`, "exact");
+  }
+
+  const city = cityIndex.get(first);
+  if (city) return toResult(city, city.name, "exact");
+  if (contextCity) return toResult(contextCity, contextCity.name, "city");
+  return null;
+}
+
+/**
+ * Center of a destination city, or null when it is not in the gazetteer
+ */
+export function gazetteerCityCenter(destination) {
+  const city = cityIndex.get(normalizeName(String(destination || "").split(",")[0]));
+  return city ? { latitude: city.latitude, longitude: city.longitude } : null;
+}
+
+// Landmark names that appear as whole words inside a longer place name,
+// e.g. "Sunrise walk at Fushimi Inari Taisha"
+function findLandmarkWithin(text, contextCity) {
+  const padded = ` ${text} `;
+  return LANDMARKS.find(
+    (landmark) =>
+      (!contextCity || landmark.city === contextCity.name) &&
+      namesOf(landmark).some((name) => padded.includes(` ${normalizeName(name)} `))
+  );
+}
+
+function buildIndex(entries) {
+  const index = new Map();
+  entries.forEach((entry) => {
+    namesOf(entry).forEach((name) => index.set(normalizeName(name), entry));
+  });
+  return index;
+}
+
+function namesOf(entry) {
+  return [entry.name, ...(entry.aliases ?? [])];
+}
+
+function toResult(entry, label, precision) {
+  return { latitude: entry.latitude, longitude: entry.longitude, label, precision };
+}
+
+function normalizeName(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
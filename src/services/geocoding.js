@@ -0,0 +1,267 @@
+import path from "path";
+import { readJsonObject, writeJsonFileAtomic } from "../storage/jsonFile.js";
+import { parseNonNegativeNumber } from "./env.js";
+import { GAZETTEER_SIZE, lookupGazetteer } from "./gazetteer.js";
+
+export const GEOCODER_PROVIDERS = ["gazetteer", "nominatim"];
+export const GEOCODE_CACHE_DRIVERS = ["memory", "file"];
+export const MAX_GEOCODE_QUERY_LENGTH = 200;
+
+const DEFAULT_CACHE_PATH = "data/geocode-cache.json";
+const DEFAULT_NOMINATIM_URL = "https://nominatim.openstreetmap.org/search";
+const DEFAULT_USER_AGENT = "spring-break-trip-agent/1.0";
+// Nominatim's usage policy allows at most one request per second
+const DEFAULT_MIN_INTERVAL_MS = 1000;
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_CACHE_MAX_ENTRIES = 5000;
+const FAILURE_COOLDOWN_MS = 60 * 1000;
+// "Not found" answers are remembered in memory only, and retried after a day
+const MISS_TTL_MS = 24 * 60 * 60 * 1000;
+// Batch cache file writes instead of rewriting the file on every lookup
+const FLUSH_DELAY_MS = 1000;
+
+/**
+ * Thrown by `lookup` when every provider failed, so "not found" cannot be told apart from an outage
+ */
+export class GeocoderUnavailableError extends Error {
+  constructor(query) {
+    super(`No geocoding provider could be reached for ${JSON.stringify(query)}`);
+    this.name = "GeocoderUnavailableError";
+    this.query = query;
+  }
+}
+
+/**
+ * Read geocoding settings from environment variables
+ */
+export function geocodingConfigFromEnv(env = process.env) {
+  return {
+    providers: (env.GEOCODER_PROVIDERS || GEOCODER_PROVIDERS.join(","))
+      .split(",")
+      .map((provider) => provider.trim().toLowerCase())
+      .filter(Boolean),
+    cacheDriver: (env.GEOCODE_CACHE || "file").trim().toLowerCase(),
+    cachePath: env.GEOCODE_CACHE_PATH || DEFAULT_CACHE_PATH,
+    cacheMaxEntries: parseNonNegativeNumber(env.GEOCODE_CACHE_MAX_ENTRIES, DEFAULT_CACHE_MAX_ENTRIES),
+    minIntervalMs: parseNonNegativeNumber(env.GEOCODE_MIN_INTERVAL_MS, DEFAULT_MIN_INTERVAL_MS),
+    timeoutMs: parseNonNegativeNumber(env.GEOCODE_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    nominatimUrl: env.NOMINATIM_URL?.trim() || DEFAULT_NOMINATIM_URL,
+    userAgent: env.GEOCODER_USER_AGENT?.trim() || DEFAULT_USER_AGENT
+  };
+}
+
+/**
+ * Create the server-side geocoder behind `GET /api/geocode`. Providers are
+ * tried in order: the first exact match wins, and a city-level match is kept
+ * as a fallback in case no provider does better. Found places are cached (on
+ * disk with the file driver, least recently used evicted past
+ * `cacheMaxEntries`) and concurrent lookups of the same place share one
+ * upstream request.
+ */
+export async function createGeocoder(config = geocodingConfigFromEnv()) {
+  const unknown = config.providers.filter((provider) => !GEOCODER_PROVIDERS.includes(provider));
+  if (!config.providers.length || unknown.length) {
+    throw new Error(`GEOCODER_PROVIDERS must list one or more of: ${GEOCODER_PROVIDERS.join(", ")}`);
+  }
+  const cacheDriver = config.cacheDriver || "memory";
+  if (!GEOCODE_CACHE_DRIVERS.includes(cacheDriver)) {
+    throw new Error(`GEOCODE_CACHE must be one of: ${GEOCODE_CACHE_DRIVERS.join(", ")}`);
+  }
+
+  const maxEntries = config.cacheMaxEntries || DEFAULT_CACHE_MAX_ENTRIES;
+  const cache =
+    cacheDriver === "file"
+      ? await createFileCache(config.cachePath || DEFAULT_CACHE_PATH, maxEntries)
+      : createMemoryCache(maxEntries);
+  const misses = createMemoryCache(maxEntries);
+  const providers = config.providers.map((name) => createProvider(name, config));
+  const inFlight = new Map();
+
+  const resolve = async (query) => {
+    let fallback = null;
+    let failed = false;
+    for (const provider of providers) {
+      try {
+        const result = await provider.lookup(query);
+        if (result && result.precision !== "city") return { result: { ...result, source: provider.name }, failed };
+        if (result && !fallback) fallback = { ...result, source: provider.name };
+      } catch (error) {
+        failed = true;
+        console.warn(`Geocoder ${provider.name} failed for ${JSON.stringify(query)}: ${error.message}`);
+      }
+    }
+    return { result: fallback, failed };
+  };
+
+  return {
+    /**
+     * Resolve a free-text place to `{ latitude, longitude, label, precision,
+     * source, cached }`, or null when no provider knows it. Throws
+     * GeocoderUnavailableError when every provider failed.
+     */
+    async lookup(rawQuery) {
+      const query = String(rawQuery || "").trim().replace(/\s+/g, " ");
+      const key = query.toLowerCase();
+      if (!key) return null;
+
+      const hit = cache.read(key);
+      if (hit) return { ...hit.result, cached: true };
+      const miss = misses.read(key);
+      if (miss && Date.now() - miss.missedAt <= MISS_TTL_MS) return null;
+
+      if (!inFlight.has(key)) {
+        const pending = resolve(query)
+          .then(({ result, failed }) => {
+            // A provider that errored might have done better, so only cache complete answers
+            if (failed && !result) throw new GeocoderUnavailableError(query);
+            if (failed) return result;
+            if (result) cache.write(key, { result, cachedAt: new Date().toISOString() });
+            else misses.write(key, { missedAt: Date.now() });
+            return result;
+          })
+          .finally(() => inFlight.delete(key));
+        inFlight.set(key, pending);
+      }
+
+      const result = await inFlight.get(key);
+      return result ? { ...result, cached: false } : null;
+    },
+
+    describe() {
+      return {
+        providers: providers.map((provider) => provider.name),
+        cache: cacheDriver,
+        cachePath: cacheDriver === "file" ? path.resolve(config.cachePath || DEFAULT_CACHE_PATH) : null,
+        cachedPlaces: cache.size(),
+        cacheMaxEntries: maxEntries,
+        minIntervalMs: config.minIntervalMs,
+        gazetteer: GAZETTEER_SIZE
+      };
+    }
+  };
+}
+
+function createProvider(name, config) {
+  if (name === "gazetteer") {
+    return { name, lookup: async (query) => lookupGazetteer(query) };
+  }
+
+  const throttle = createThrottle(config.minIntervalMs ?? DEFAULT_MIN_INTERVAL_MS);
+  // After a failure (offline, rate limited) skip the provider for a while
+  // instead of making every lookup wait on it
+  let unavailableUntil = 0;
+  return {
+    name,
+    async lookup(query) {
+      if (Date.now() < unavailableUntil) {
+        throw new Error("skipped after a recent failure");
+      }
+      try {
+        return await throttle(() => nominatimLookup(query, config));
+      } catch (error) {
+        unavailableUntil = Date.now() + FAILURE_COOLDOWN_MS;
+        throw error;
+      }
+    }
+  };
+}
+
+async function nominatimLookup(query, config) {
+  const url = `${config.nominatimUrl}?format=jsonv2&limit=1&q=${encodeURIComponent(query)}`;
+  const response = await fetch(url, {
+    headers: {
+      Accept: "application/json",
+      "User-Agent": config.userAgent
+    },
+    signal: AbortSignal.timeout(config.timeoutMs || DEFAULT_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const payload = await response.json();
+  const first = Array.isArray(payload) ? payload[0] : null;
+  const latitude = Number(first?.lat);
+  const longitude = Number(first?.lon);
+  if (!first || !Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+  return { latitude, longitude, label: first.display_name || query, precision: "exact" };
+}
+
+// Run tasks one at a time, starting each at least `minIntervalMs` after the previous one
+function createThrottle(minIntervalMs) {
+  let queue = Promise.resolve();
+  let lastStartedAt = 0;
+
+  return (task) => {
+    const run = queue.then(async () => {
+      const wait = lastStartedAt + minIntervalMs - Date.now();
+      if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+      lastStartedAt = Date.now();
+      return task();
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+}
+
+// Least recently used entries go first once the cache is over `maxEntries`
+function createMemoryCache(maxEntries, initialEntries = []) {
+  const entries = new Map(initialEntries);
+  const evict = () => {
+    for (const key of entries.keys()) {
+      if (entries.size <= maxEntries) break;
+      entries.delete(key);
+    }
+  };
+  evict();
+
+  return {
+    entries,
+    read(key) {
+      if (!entries.has(key)) return null;
+      const entry = entries.get(key);
+      // Re-insert to mark it as recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    size: () => entries.size,
+    write(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      evict();
+    }
+  };
+}
+
+async function createFileCache(filePath, maxEntries) {
+  const resolvedPath = path.resolve(filePath);
+  // Older cache files also stored misses; those are not kept across restarts
+  const stored = Object.entries(await readJsonObject(resolvedPath, "geocode cache")).filter(
+    ([, entry]) => entry?.result
+  );
+  const cache = createMemoryCache(maxEntries, stored);
+  let pendingWrite = Promise.resolve();
+  let flushTimer = null;
+
+  // Serialize writes so a slow write never interleaves with the next one
+  const flush = () => {
+    flushTimer = null;
+    pendingWrite = pendingWrite
+      .then(() => writeJsonFileAtomic(resolvedPath, Object.fromEntries(cache.entries)))
+      .catch((error) => console.warn(`Could not write geocode cache at ${resolvedPath}: ${error.message}`));
+  };
+
+  return {
+    read: cache.read,
+    size: cache.size,
+    write(key, entry) {
+      cache.write(key, entry);
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+        flushTimer.unref?.();
+      }
+    }
+  };
+}
@@ -0,0 +1,147 @@
+export const SCHEDULE_SLOTS = ["morning", "afternoon", "evening"];
+
+// Local hours each slot covers
+export const SCHEDULE_SLOT_HOURS = {
+  morning: { start: 9, end: 12 },
+  afternoon: { start: 13, end: 17 },
+  evening: { start: 18, end: 22 }
+};
+
+// Time to get from the airport and check in, and to get back before a flight
+const ARRIVAL_BUFFER_HOURS = 2;
+const DEPARTURE_BUFFER_HOURS = 3;
+
+// Arrival and departure days get at most this many activities
+const PARTIAL_DAY_CAP = 1;
+
+// Categories that suit a particular time of day; everything else prefers the afternoon
+const SLOT_HINTS = [
+  { slot: "evening", pattern: /night|bar|club|pub|dinner|food|dining|restaurant|concert|show|theat|jazz|karaoke/i },
+  { slot: "morning", pattern: /hik|market|museum|garden|park|temple|shrine|beach|walk/i }
+];
+
+/**
+ * Read scheduling settings from environment variables
+ */
+export function scheduleConfigFromEnv(env = process.env) {
+  const raw = env.SCHEDULE_MAX_ACTIVITIES_PER_DAY;
+  if (raw === undefined || String(raw).trim() === "") return { maxActivitiesPerDay: 2 };
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1 || value > SCHEDULE_SLOTS.length) {
+    throw new Error(`SCHEDULE_MAX_ACTIVITIES_PER_DAY must be an integer from 1 to ${SCHEDULE_SLOTS.length} (got ${JSON.stringify(raw)})`);
+  }
+  return { maxActivitiesPerDay: value };
+}
+
+/**
+ * Build a day-by-day plan from the destination stay. Arrival and departure days
+ * only offer the slots left around the flights. Each activity goes to the
+ * least busy day with a free slot, preferring the slot that suits its category.
+ * Activities that do not fit under the daily cap are returned as `unscheduled`.
+ */
+export function buildSchedule({ stay, activities = [], maxActivitiesPerDay }) {
+  const dayCount = Math.max(1, Number(stay?.daysAtDestination) || 1);
+  const firstDate = datePart(stay?.arrivalLocal);
+  const arrivalHour = hourPart(stay?.arrivalLocal);
+  const departureHour = hourPart(stay?.departureLocal);
+
+  const days = Array.from({ length: dayCount }, (_, index) => {
+    const isArrival = index === 0;
+    const isDeparture = index === dayCount - 1;
+    const slots = SCHEDULE_SLOTS.map((slot) => ({
+      slot,
+      ...slotAvailability(slot, { isArrival, isDeparture, arrivalHour, departureHour }),
+      activity: null
+    }));
+    const kind = isArrival && isDeparture ? "arrival-departure" : isArrival ? "arrival" : isDeparture ? "departure" : "full";
+
+    return {
+      day: index + 1,
+      date: firstDate ? addDays(firstDate, index) : null,
+      kind,
+      cap: kind === "full" ? maxActivitiesPerDay : Math.min(maxActivitiesPerDay, PARTIAL_DAY_CAP),
+      note: dayNote({ isArrival, isDeparture, stay }),
+      slots
+    };
+  });
+
+  const unscheduled = [];
+  activities.forEach((activity) => {
+    const preferred = preferredSlot(activity.category);
+    const candidates = days
+      .filter((day) => scheduledCount(day) < day.cap && day.slots.some(isOpen))
+      .sort((a, b) => scheduledCount(a) - scheduledCount(b) || a.day - b.day);
+    const day = candidates.find((entry) => entry.slots.some((slot) => slot.slot === preferred && isOpen(slot))) ?? candidates[0];
+
+    if (!day) {
+      unscheduled.push({ activityId: activity.id, name: activity.name, reason: "No free slot under the daily cap." });
+      return;
+    }
+    const slot = day.slots.find((entry) => entry.slot === preferred && isOpen(entry)) ?? day.slots.find(isOpen);
+    slot.activity = {
+      id: activity.id,
+      name: activity.name,
+      category: activity.category,
+      location: activity.location
+    };
+  });
+
+  return {
+    maxActivitiesPerDay,
+    days: days.map(({ cap, ...day }) => ({ ...day, activityCap: cap })),
+    unscheduled
+  };
+}
+
+function slotAvailability(slot, { isArrival, isDeparture, arrivalHour, departureHour }) {
+  const { start, end } = SCHEDULE_SLOT_HOURS[slot];
+  // Without flight times, assume an afternoon arrival and a morning departure
+  if (isArrival && start < (arrivalHour ?? 12) + ARRIVAL_BUFFER_HOURS) {
+    return { available: false, reason: "Before arrival and check-in" };
+  }
+  if (isDeparture && end > (departureHour ?? 15) - DEPARTURE_BUFFER_HOURS) {
+    return { available: false, reason: "Heading to the airport" };
+  }
+  return { available: true, reason: null };
+}
+
+function dayNote({ isArrival, isDeparture, stay }) {
+  const notes = [];
+  if (isArrival) notes.push(timeLabel(stay?.arrivalLocal) ? `Arrive ${timeLabel(stay.arrivalLocal)}` : "Arrival day");
+  if (isDeparture) notes.push(timeLabel(stay?.departureLocal) ? `Depart ${timeLabel(stay.departureLocal)}` : "Departure day");
+  return notes.join(" · ") || null;
+}
+
+function preferredSlot(category) {
+  return SLOT_HINTS.find((hint) => hint.pattern.test(String(category || "")))?.slot ?? "afternoon";
+}
+
+function isOpen(slot) {
+  return slot.available && !slot.activity;
+}
+
+function scheduledCount(day) {
+  return day.slots.filter((slot) => slot.activity).length;
+}
+
+function datePart(value) {
+  const match = String(value || "").match(/^(\d{4}-\d{2}-\d{2})/);
+  return match ? match[1] : null;
+}
+
+function hourPart(value) {
+  const match = String(value || "").match(/T(\d{2}):(\d{2})/);
+  return match ? Number(match[1]) + Number(match[2]) / 60 : null;
+}
+
+function timeLabel(value) {
+  const match = String(value || "").match(/T(\d{2}:\d{2})/);
+  return match ? match[1] : "";
+}
+
+function addDays(date, offset) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + offset);
+  return next.toISOString().slice(0, 10);
+}
@@ -0,0 +1,125 @@
+const EARTH_RADIUS_KM = 6371;
+
+// Straight-line distance is stretched by `detourFactor` to approximate the real
+// route; `overheadMinutes` covers waiting, parking or walking to a stop
+const DEFAULT_PROFILES = {
+  walk: { speedKmh: 4.8, detourFactor: 1.25, overheadMinutes: 0 },
+  transit: { speedKmh: 20, detourFactor: 1.3, overheadMinutes: 10 },
+  drive: { speedKmh: 28, detourFactor: 1.35, overheadMinutes: 5 }
+};
+
+// Suggested mode for a hotel's average distance to the activities
+const WALKABLE_KM = 1.5;
+const DRIVING_KM = 15;
+
+/**
+ * Read travel speed overrides from environment variables, e.g.
+ * `TRAVEL_SPEEDS_KMH=walk:4.5,transit:18,drive:30`
+ */
+export function travelConfigFromEnv(env = process.env) {
+  const raw = env.TRAVEL_SPEEDS_KMH?.trim();
+  if (!raw) return { speedsKmh: {} };
+
+  const speedsKmh = Object.fromEntries(
+    raw
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const [mode, value] = entry.split(":").map((part) => part.trim());
+        const speed = Number(value);
+        if (!DEFAULT_PROFILES[mode] || !Number.isFinite(speed) || speed <= 0) {
+          throw new Error(
+            `TRAVEL_SPEEDS_KMH entries must look like mode:kmh with mode one of ${Object.keys(DEFAULT_PROFILES).join(", ")} (got ${JSON.stringify(entry)})`
+          );
+        }
+        return [mode, speed];
+      })
+  );
+  return { speedsKmh };
+}
+
+/**
+ * Great-circle distance in km between two `{ latitude, longitude }` points
+ */
+export function haversineKm(from, to) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+export function hasCoordinates(point) {
+  return (
+    Number.isFinite(point?.latitude) &&
+    Number.isFinite(point?.longitude) &&
+    Math.abs(point.latitude) <= 90 &&
+    Math.abs(point.longitude) <= 180
+  );
+}
+
+/**
+ * Estimate distances and walk / transit / drive times from straight-line
+ * distance and the configured speed profiles. Used by the `travel_times` tool
+ * and to annotate hotel options with their distance to the activities.
+ */
+export function createTravelEstimator(config = travelConfigFromEnv()) {
+  const profiles = Object.fromEntries(
+    Object.entries(DEFAULT_PROFILES).map(([mode, profile]) => [
+      mode,
+      { ...profile, speedKmh: config.speedsKmh?.[mode] ?? profile.speedKmh }
+    ])
+  );
+
+  const minutesFor = (distanceKm) =>
+    Object.fromEntries(
+      Object.entries(profiles).map(([mode, profile]) => [
+        mode,
+        Math.round((distanceKm * profile.detourFactor * 60) / profile.speedKmh + profile.overheadMinutes)
+      ])
+    );
+
+  const estimate = (from, to) => {
+    const distanceKm = haversineKm(from, to);
+    return { distanceKm: round(distanceKm, 2), minutes: minutesFor(distanceKm) };
+  };
+
+  return {
+    profiles,
+    estimate,
+
+    /**
+     * Distance from one origin (a hotel) to each destination that has
+     * coordinates, plus averages; null when nothing can be measured
+     */
+    summarize(origin, destinations) {
+      if (!hasCoordinates(origin)) return null;
+      const legs = destinations
+        .filter(hasCoordinates)
+        .map((destination) => ({ id: destination.id ?? null, label: destination.label ?? null, ...estimate(origin, destination) }));
+      if (!legs.length) return null;
+
+      const averageKm = legs.reduce((sum, leg) => sum + leg.distanceKm, 0) / legs.length;
+      return {
+        measured: legs.length,
+        averageKm: round(averageKm, 2),
+        maxKm: round(Math.max(...legs.map((leg) => leg.distanceKm)), 2),
+        averageMinutes: minutesFor(averageKm),
+        suggestedMode: averageKm <= WALKABLE_KM ? "walk" : averageKm >= DRIVING_KM ? "drive" : "transit",
+        legs
+      };
+    },
+
+    describe() {
+      return { profiles };
+    }
+  };
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
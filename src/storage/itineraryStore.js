@@ -0,0 +1,154 @@
+import path from "path";
+import { parseNonNegativeNumber } from "../services/env.js";
+import { readJsonObject, writeJsonFileAtomic } from "./jsonFile.js";
+
+export const STORE_DRIVERS = ["memory", "file"];
+
+const DEFAULT_FILE_PATH = "data/itineraries.json";
+const DEFAULT_DRAFT_TTL_HOURS = 72;
+const DEFAULT_CLEANUP_INTERVAL_MINUTES = 30;
+
+/**
+ * Read store settings from environment variables
+ */
+export function storeConfigFromEnv(env = process.env) {
+  return {
+    driver: (env.ITINERARY_STORE || "file").trim().toLowerCase(),
+    filePath: env.ITINERARY_STORE_PATH || DEFAULT_FILE_PATH,
+    draftTtlHours: parseNonNegativeNumber(env.ITINERARY_DRAFT_TTL_HOURS, DEFAULT_DRAFT_TTL_HOURS),
+    cleanupIntervalMinutes: parseNonNegativeNumber(
+      env.ITINERARY_CLEANUP_INTERVAL_MINUTES,
+      DEFAULT_CLEANUP_INTERVAL_MINUTES
+    )
+  };
+}
+
+/**
+ * Create an itinerary store backed by the configured driver.
+ * Every method is async so backends can be swapped without touching routes.
+ */
+export async function createItineraryStore(config = storeConfigFromEnv()) {
+  const driver = config.driver || "memory";
+  if (!STORE_DRIVERS.includes(driver)) {
+    throw new Error(`ITINERARY_STORE must be one of: ${STORE_DRIVERS.join(", ")}`);
+  }
+
+  const backend =
+    driver === "file" ? await createFileBackend(config.filePath || DEFAULT_FILE_PATH) : createMemoryBackend();
+  const draftTtlMs = Math.max(0, Number(config.draftTtlHours ?? DEFAULT_DRAFT_TTL_HOURS)) * 60 * 60 * 1000;
+
+  const store = {
+    driver,
+
+    async get(itineraryId) {
+      const record = backend.read(itineraryId);
+      if (!record) return null;
+      if (isExpiredDraft(record, draftTtlMs)) {
+        await backend.remove(itineraryId);
+        return null;
+      }
+      return structuredClone(record);
+    },
+
+    async save(record) {
+      if (!record?.itineraryId) {
+        throw new Error("Itinerary record requires an itineraryId");
+      }
+      const stored = {
+        ...structuredClone(record),
+        updatedAt: new Date().toISOString()
+      };
+      await backend.write(stored);
+      return structuredClone(stored);
+    },
+
+    async remove(itineraryId) {
+      return backend.remove(itineraryId);
+    },
+
+    async list() {
+      return backend
+        .values()
+        .filter((record) => !isExpiredDraft(record, draftTtlMs))
+        .map((record) => structuredClone(record));
+    },
+
+    async purgeExpiredDrafts() {
+      const expiredIds = backend
+        .values()
+        .filter((record) => isExpiredDraft(record, draftTtlMs))
+        .map((record) => record.itineraryId);
+
+      for (const itineraryId of expiredIds) {
+        await backend.remove(itineraryId);
+      }
+
+      return expiredIds.length;
+    },
+
+    startCleanup(intervalMinutes = config.cleanupIntervalMinutes ?? DEFAULT_CLEANUP_INTERVAL_MINUTES) {
+      if (!draftTtlMs || !intervalMinutes) return () => {};
+
+      const timer = setInterval(() => {
+        store.purgeExpiredDrafts().catch((error) => {
+          console.error("Itinerary cleanup failed:", error);
+        });
+      }, intervalMinutes * 60 * 1000);
+      timer.unref?.();
+
+      return () => clearInterval(timer);
+    }
+  };
+
+  return store;
+}
+
+function createMemoryBackend() {
+  const records = new Map();
+
+  return {
+    read: (itineraryId) => records.get(itineraryId) ?? null,
+    values: () => [...records.values()],
+    async write(record) {
+      records.set(record.itineraryId, record);
+    },
+    async remove(itineraryId) {
+      return records.delete(itineraryId);
+    }
+  };
+}
+
+async function createFileBackend(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  const records = new Map(Object.entries(await readJsonObject(resolvedPath, "itinerary store")));
+  let pendingWrite = Promise.resolve();
+
+  // Serialize writes so concurrent saves never interleave partial files
+  const flush = () => {
+    pendingWrite = pendingWrite
+      .catch(() => {})
+      .then(() => writeJsonFileAtomic(resolvedPath, Object.fromEntries(records)));
+    return pendingWrite;
+  };
+
+  return {
+    read: (itineraryId) => records.get(itineraryId) ?? null,
+    values: () => [...records.values()],
+    async write(record) {
+      records.set(record.itineraryId, record);
+      await flush();
+    },
+    async remove(itineraryId) {
+      const removed = records.delete(itineraryId);
+      if (removed) await flush();
+      return removed;
+    }
+  };
+}
+
+function isExpiredDraft(record, draftTtlMs) {
+  if (!draftTtlMs || record?.finalConfirmed) return false;
+  const lastTouched = Date.parse(record?.updatedAt || record?.createdAt || "");
+  if (Number.isNaN(lastTouched)) return false;
+  return Date.now() - lastTouched > draftTtlMs;
+}
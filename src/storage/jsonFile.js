@@ -0,0 +1,34 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+/**
+ * Parse a JSON file, or return `fallback` when it does not exist yet.
+ * `label` names the file in errors ("itinerary store", "cassette").
+ */
+export async function readJsonFile(filePath, { label = "JSON file", fallback = null } = {}) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error?.code === "ENOENT") return fallback;
+    throw new Error(`Could not read ${label} at ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Read a file holding one JSON object keyed by ID; a missing file or any other
+ * JSON value reads as `{}`
+ */
+export async function readJsonObject(filePath, label) {
+  const parsed = await readJsonFile(filePath, { label, fallback: {} });
+  return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+}
+
+/**
+ * Write through a temp file and rename it into place, so a crash never leaves a partial file
+ */
+export async function writeJsonFileAtomic(filePath, value) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(value, null, 2), "utf8");
+  await fs.rename(tempPath, filePath);
+}
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import { loadAgentConfig } from "../src/agents/agentConfig.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-config-"));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function writeConfigFile(config) {
+  const filePath = path.join(tempDir, `config-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(config));
+  return filePath;
+}
+
+describe("loadAgentConfig fallback models", () => {
+  const configPath = writeConfigFile({
+    defaults: { fallbackModels: ["gpt-4.1-nano"] },
+    agents: { research: { fallbackModels: ["gpt-4o-mini"] } }
+  });
+
+  it("treats blank variables, as shipped in .env.example, as unset", () => {
+    const config = loadAgentConfig({
+      AGENT_CONFIG_PATH: configPath,
+      OPENAI_FALLBACK_MODELS: "",
+      AGENT_RESEARCH_FALLBACK_MODELS: "  "
+    });
+
+    assert.deepEqual(config.research.fallbackModels, ["gpt-4o-mini"]);
+    assert.deepEqual(config.composer.fallbackModels, ["gpt-4.1-nano"]);
+  });
+
+  it("lets variables override the file, and none turn fallbacks off", () => {
+    const config = loadAgentConfig({
+      AGENT_CONFIG_PATH: configPath,
+      OPENAI_FALLBACK_MODELS: "gpt-4o",
+      AGENT_RESEARCH_FALLBACK_MODELS: "none"
+    });
+
+    assert.deepEqual(config.research.fallbackModels, []);
+    assert.deepEqual(config.composer.fallbackModels, ["gpt-4o"]);
+  });
+});
+
+describe("loadAgentConfig tools", () => {
+  it("keeps the default tools when the variable is blank", () => {
+    const config = loadAgentConfig({ AGENT_RESEARCH_TOOLS: "", AGENT_COMPOSER_TOOLS: " " });
+
+    assert.deepEqual(config.research.tools, ["web_search", "budget_calculator"]);
+    assert.deepEqual(config.composer.tools, ["budget_calculator", "travel_times"]);
+  });
+
+  it("keeps the file's tools when the variable is blank", () => {
+    const configPath = writeConfigFile({ agents: { research: { tools: ["web_search"] } } });
+    const config = loadAgentConfig({ AGENT_CONFIG_PATH: configPath, AGENT_RESEARCH_TOOLS: "" });
+
+    assert.deepEqual(config.research.tools, ["web_search"]);
+  });
+
+  it("disables every tool with none and still rejects tools the agent cannot use", () => {
+    assert.deepEqual(loadAgentConfig({ AGENT_SAFETY_TOOLS: "none" }).safety.tools, []);
+    assert.throws(() => loadAgentConfig({ AGENT_SAFETY_TOOLS: "budget_calculator" }), /AGENT_SAFETY_TOOLS/);
+  });
+});
@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { applyComponentSelection, fitItineraryToBudget } from "../src/agents/tripPlanner.js";
+
+function flight(id, costUsd) {
+  return {
+    id,
+    label: `Flight ${id}`,
+    class: "economy",
+    outboundDepartureLocal: "2026-03-20T18:00:00-04:00",
+    outboundArrivalLocal: "2026-03-21T09:00:00+01:00",
+    returnDepartureLocal: "2026-03-25T11:00:00+01:00",
+    returnArrivalLocal: "2026-03-25T14:00:00-04:00",
+    daysAtDestination: 5,
+    nightsAtDestination: 4,
+    costUsd
+  };
+}
+
+// One traveler, four nights and five rental days at the default fee rates
+// (10% hotel and car tax, $35 bag fee each way, no tourist or activity tax)
+function itinerary(budget = null) {
+  return {
+    destinationCity: null,
+    travelers: { count: 1, names: ["Ana"], roomSharing: "shared", drivers: 1 },
+    stayAtDestination: { daysAtDestination: 5, nightsAtDestination: 4 },
+    budget,
+    components: {
+      flight: { options: [flight("f1", 900), flight("f2", 400)], recommendedOptionId: "f1", confirmedOptionId: null },
+      hotel: {
+        options: [
+          { id: "h1", label: "Grand", nightlyUsd: 300, nights: 4, roomOccupancy: 2, rooms: 1, costUsd: 1200 },
+          { id: "h2", label: "Hostel", nightlyUsd: 120, nights: 4, roomOccupancy: 2, rooms: 1, costUsd: 480 }
+        ],
+        recommendedOptionId: "h1",
+        confirmedOptionId: null
+      },
+      carRental: {
+        options: [
+          { id: "c1", label: "SUV", dailyRateUsd: 80, rentalDays: 5, seats: 5, cars: 1, costUsd: 400 },
+          { id: "c2", label: "Compact", dailyRateUsd: 40, rentalDays: 5, seats: 4, cars: 1, costUsd: 200 }
+        ],
+        recommendedOptionId: "c1",
+        confirmedOptionId: null
+      }
+    },
+    activities: [
+      { id: "m1", name: "Big museum", category: "museums", estimatedCostUsd: 50 },
+      { id: "m2", name: "Small museum", category: "museums", estimatedCostUsd: 20 },
+      { id: "a1", name: "Market tour", category: "food", estimatedCostUsd: 30 }
+    ]
+  };
+}
+
+function option(trip, component, id) {
+  return trip.components[component].options.find((candidate) => candidate.id === id);
+}
+
+describe("assessBudget", () => {
+  it("is skipped when the trip has no budget", () => {
+    const trip = applyComponentSelection(itinerary(), "flight", null);
+    assert.equal(trip.budgetStatus, null);
+  });
+
+  it("flags options over their category cap or that no combination can fit", () => {
+    const trip = applyComponentSelection(itinerary({ totalUsd: 1500, hotelUsd: 1000 }), "flight", null);
+
+    assert.equal(option(trip, "hotel", "h1").overBudget, true);
+    assert.equal(option(trip, "hotel", "h1").budgetNote, "Over the hotel budget of $1000.");
+    assert.equal(option(trip, "hotel", "h2").overBudget, false);
+    // $900 flight + cheapest hotel, car and activities + $138 fees = $1768
+    assert.equal(option(trip, "flight", "f1").overBudget, true);
+    assert.equal(option(trip, "flight", "f1").budgetNote, "No combination with this option fits the $1500 budget.");
+    assert.equal(option(trip, "flight", "f2").overBudget, false);
+    assert.equal(trip.budgetStatus.cheapestPossibleTotalUsd, 1268);
+  });
+
+  it("measures the confirmed option rather than the recommended one", () => {
+    const recommended = applyComponentSelection(itinerary({ totalUsd: 5000, hotelUsd: 1000 }), "hotel", null);
+    recommended.components.hotel.recommendedOptionId = "h2";
+    const confirmed = applyComponentSelection(recommended, "hotel", "h1");
+
+    assert.equal(confirmed.estimatedCostSummary.hotelUsd, 1200);
+    assert.equal(confirmed.budgetStatus.withinBudget, false);
+    assert.deepEqual(confirmed.budgetStatus.overCategories, [
+      { category: "hotel", budgetUsd: 1000, estimatedUsd: 1200 }
+    ]);
+
+    const revoked = applyComponentSelection(confirmed, "hotel", null);
+    assert.equal(revoked.estimatedCostSummary.hotelUsd, 480);
+    assert.equal(revoked.budgetStatus.withinBudget, true);
+  });
+});
+
+describe("fitItineraryToBudget", () => {
+  it("recommends the cheapest flight, hotel, car and activity per category", () => {
+    const { itinerary: fitted, budgetFit } = fitItineraryToBudget(itinerary({ totalUsd: 1500 }));
+
+    assert.deepEqual(budgetFit.picks, {
+      flight: "f2",
+      hotel: "h2",
+      carRental: "c2",
+      activities: { museums: "m2", food: "a1" }
+    });
+    assert.equal(budgetFit.totalUsd, 1268);
+    assert.equal(budgetFit.withinBudget, true);
+    assert.equal(fitted.components.hotel.recommendedOptionId, "h2");
+    assert.equal(fitted.components.hotel.confirmedOptionId, null);
+    assert.equal(fitted.estimatedCostSummary.totalUsd, 1268);
+  });
+
+  it("keeps confirmed options and reports when they break the budget", () => {
+    const confirmed = applyComponentSelection(
+      applyComponentSelection(itinerary({ totalUsd: 1500 }), "flight", "f1"),
+      "hotel",
+      "h1"
+    );
+    const { itinerary: fitted, budgetFit } = fitItineraryToBudget(confirmed, {
+      flight: { optionId: "f1" },
+      hotel: { optionId: "h1" }
+    });
+
+    assert.equal(budgetFit.picks.flight, "f1");
+    assert.equal(budgetFit.picks.hotel, "h1");
+    assert.equal(budgetFit.picks.carRental, "c2");
+    assert.equal(fitted.components.hotel.confirmedOptionId, "h1");
+    assert.equal(fitted.estimatedCostSummary.hotelUsd, 1200);
+    assert.equal(fitted.estimatedCostSummary.flightUsd, 900);
+    assert.equal(budgetFit.withinBudget, false);
+  });
+});
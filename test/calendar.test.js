@@ -0,0 +1,159 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildItineraryCalendar } from "../src/services/calendar.js";
+
+const flight = {
+  id: "f1",
+  label: "Nonstop to Tokyo",
+  airline: "ANA",
+  route: "Boston (BOS) → Tokyo (HND)",
+  class: "economy",
+  outboundDepartureLocal: "2026-03-21T10:30:00-04:00",
+  outboundArrivalLocal: "2026-03-22T14:05:00+09:00",
+  returnDepartureLocal: "2026-03-28T17:00:00+0900",
+  returnArrivalLocal: "2026-03-28T16:30:00-04:00"
+};
+
+function calendarRecord({ stay, flights = [flight], hotelLabel = "Park Hotel" } = {}) {
+  return {
+    itineraryId: "trip-1",
+    finalConfirmationAt: "2026-03-01T12:00:00.000Z",
+    itinerary: {
+      destinationCity: "Tokyo",
+      stayAtDestination: stay ?? {
+        arrivalLocal: flight.outboundArrivalLocal,
+        departureLocal: flight.returnDepartureLocal,
+        daysAtDestination: 7,
+        nightsAtDestination: 6
+      },
+      components: {
+        flight: { options: flights, recommendedOptionId: flights[0]?.id },
+        hotel: { options: [{ id: "h1", label: hotelLabel, nights: 6, rooms: 1 }], recommendedOptionId: "h1" },
+        carRental: {
+          options: [
+            { id: "c1", label: "Compact", company: "Toyota Rent a Car", carType: "compact", rentalDays: 7 }
+          ],
+          recommendedOptionId: "c1"
+        }
+      },
+      activities: [],
+      schedule: { days: [], unscheduled: [] }
+    },
+    confirmations: {}
+  };
+}
+
+// Unfold continuation lines and group properties (keyed with their parameters) by event UID
+function parseEvents(text) {
+  const lines = text.replace(/\r\n /g, "").split("\r\n");
+  const events = new Map();
+  let current = null;
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") current = {};
+    else if (line === "END:VEVENT") events.set(current.UID, current);
+    else if (current) current[line.slice(0, line.indexOf(":"))] = line.slice(line.indexOf(":") + 1);
+  }
+  return events;
+}
+
+const eventUid = (name) => `trip-1-${name}@spring-break-trip-agent`;
+
+describe("buildItineraryCalendar", () => {
+  it("converts flight times with UTC offsets to UTC", () => {
+    const events = parseEvents(buildItineraryCalendar(calendarRecord()));
+    const outbound = events.get(eventUid("flight-outbound"));
+    const inbound = events.get(eventUid("flight-return"));
+
+    assert.equal(outbound.DTSTART, "20260321T143000Z");
+    assert.equal(outbound.DTEND, "20260322T050500Z");
+    // "+0900" without a colon is accepted too
+    assert.equal(inbound.DTSTART, "20260328T080000Z");
+    assert.equal(inbound.DTEND, "20260328T203000Z");
+  });
+
+  it("keeps times without an offset as floating local times", () => {
+    const floating = {
+      ...flight,
+      outboundDepartureLocal: "2026-03-21T10:30",
+      outboundArrivalLocal: "2026-03-22T14:05:00"
+    };
+    const events = parseEvents(buildItineraryCalendar(calendarRecord({ flights: [floating] })));
+
+    assert.equal(events.get(eventUid("flight-outbound")).DTSTART, "20260321T103000");
+    assert.equal(events.get(eventUid("flight-outbound")).DTEND, "20260322T140500");
+  });
+
+  it("reverses the route for the return flight", () => {
+    const events = parseEvents(buildItineraryCalendar(calendarRecord()));
+
+    assert.equal(events.get(eventUid("flight-outbound")).LOCATION, "Boston (BOS) → Tokyo (HND)");
+    assert.equal(events.get(eventUid("flight-return")).LOCATION, "Tokyo (HND) → Boston (BOS)");
+  });
+
+  it("leaves out the return location when the route cannot be reversed", () => {
+    const multiLeg = { ...flight, route: "BOS → NRT → HND" };
+    const events = parseEvents(buildItineraryCalendar(calendarRecord({ flights: [multiLeg] })));
+
+    assert.equal(events.get(eventUid("flight-outbound")).LOCATION, "BOS → NRT → HND");
+    assert.equal(events.get(eventUid("flight-return")).LOCATION, undefined);
+  });
+
+  it("times the rental car around the flights", () => {
+    const events = parseEvents(buildItineraryCalendar(calendarRecord()));
+
+    assert.equal(events.get(eventUid("car-pickup")).DTSTART, "20260322T050500Z");
+    // Returned three hours before the flight home
+    assert.equal(events.get(eventUid("car-return")).DTSTART, "20260328T050000Z");
+  });
+
+  it("falls back to all-day rental car reminders without flight times", () => {
+    const stay = { arrivalLocal: "2026-03-22", departureLocal: "2026-03-28", daysAtDestination: 7 };
+    const events = parseEvents(buildItineraryCalendar(calendarRecord({ flights: [], stay })));
+    const pickup = events.get(eventUid("car-pickup"));
+    const dropoff = events.get(eventUid("car-return"));
+
+    assert.equal(pickup["DTSTART;VALUE=DATE"], "20260322");
+    assert.equal(pickup["DTEND;VALUE=DATE"], "20260323");
+    assert.equal(dropoff["DTSTART;VALUE=DATE"], "20260329");
+    assert.equal(dropoff["DTEND;VALUE=DATE"], "20260330");
+    assert.equal(events.get(eventUid("hotel"))["DTEND;VALUE=DATE"], "20260328");
+  });
+
+  it("writes activities as floating local times so a daylight-saving change does not shift them", () => {
+    // US clocks spring forward on 2026-03-08: the arrival is at -05:00, the later days are at -04:00
+    const stay = {
+      arrivalLocal: "2026-03-06T15:00:00-05:00",
+      departureLocal: "2026-03-10T18:00:00-04:00",
+      daysAtDestination: 5
+    };
+    const record = calendarRecord({ stay });
+    record.itinerary.activities = [
+      { id: "a1", name: "Art museum", category: "museums", location: "Miami" },
+      { id: "a2", name: "Food tour", category: "food", location: "Miami" }
+    ];
+    record.itinerary.schedule.days = [
+      { day: 2, date: "2026-03-07", slots: [{ slot: "morning", activity: { id: "a1" } }] },
+      { day: 4, date: "2026-03-09", slots: [{ slot: "evening", activity: { id: "a2" } }] }
+    ];
+    const events = parseEvents(buildItineraryCalendar(record));
+
+    assert.equal(events.get(eventUid("activity-a1")).DTSTART, "20260307T090000");
+    assert.equal(events.get(eventUid("activity-a1")).DTEND, "20260307T120000");
+    assert.equal(events.get(eventUid("activity-a2")).DTSTART, "20260309T180000");
+    assert.equal(events.get(eventUid("activity-a2")).DTEND, "20260309T220000");
+  });
+
+  it("folds long lines at 75 octets without splitting multi-byte characters", () => {
+    // "SUMMARY:Hotel: " is 15 octets, so three-octet characters end exactly at octet 75 and then
+    // straddle the 74-octet limit of each continuation line
+    const hotelLabel = `${"東京".repeat(30)} ✈ café`;
+    const text = buildItineraryCalendar(calendarRecord({ hotelLabel }));
+    const physicalLines = text.split("\r\n");
+
+    assert.ok(text.endsWith("\r\n"));
+    assert.equal(/[^\r]\n/.test(text), false);
+    physicalLines.forEach((line) => assert.ok(Buffer.byteLength(line, "utf8") <= 75, `${line} is over 75 octets`));
+    assert.ok(physicalLines.some((line) => line.startsWith(" ")), "expected a folded line");
+    assert.equal(parseEvents(text).get(eventUid("hotel")).SUMMARY, `Hotel: ${hotelLabel}`);
+  });
+});
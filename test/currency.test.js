@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import { createCurrencyService } from "../src/services/currency.js";
+import { currency, mergeRegeneratedOptions } from "../src/agents/tripPlanner.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "currency-"));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function writeRatesFile(table) {
+  const filePath = path.join(tempDir, `rates-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(table));
+  return filePath;
+}
+
+function itinerary() {
+  return {
+    travelers: { count: 2, names: ["Ana", "Ben"], roomSharing: "shared", drivers: 1 },
+    stayAtDestination: { daysAtDestination: 4, nightsAtDestination: 3 },
+    components: {
+      flight: { options: [], recommendedOptionId: null },
+      hotel: {
+        options: [{ id: "h1", label: "Inn", nightlyUsd: 100, nights: 3, roomOccupancy: 2, costUsd: 300, currency: "USD" }],
+        recommendedOptionId: "h1"
+      },
+      carRental: { options: [], recommendedOptionId: null }
+    },
+    activities: []
+  };
+}
+
+describe("createCurrencyService", () => {
+  const service = createCurrencyService({ ratesPath: null, defaultDisplayCurrency: "USD" });
+
+  it("converts through the rate table and rounds to the target's minor unit", () => {
+    assert.equal(service.convert(100, "USD", "EUR"), 85);
+    assert.equal(service.convert(10, "USD", "JPY"), 1570);
+    assert.equal(service.convert(32000, "JPY", "USD"), 203.82);
+  });
+
+  it("rejects unsupported currencies", () => {
+    assert.equal(service.isSupported("XYZ"), false);
+    assert.throws(() => service.convert(1, "XYZ", "USD"), /Unsupported currency conversion/);
+    assert.throws(
+      () => createCurrencyService({ ratesPath: null, defaultDisplayCurrency: "XYZ" }),
+      /DISPLAY_CURRENCY must be one of/
+    );
+  });
+
+  it("reads a rate file and validates its shape", () => {
+    const custom = createCurrencyService({
+      ratesPath: writeRatesFile({ base: "USD", asOf: "2026-05-01", rates: { USD: 1, EUR: 0.5 } }),
+      defaultDisplayCurrency: "EUR"
+    });
+    assert.equal(custom.asOf, "2026-05-01");
+    assert.equal(custom.convert(10, "USD", "EUR"), 5);
+
+    const invalidPath = writeRatesFile({ base: "USD", asOf: "May 2026", rates: { EUR: 0.5 } });
+    assert.throws(
+      () => createCurrencyService({ ratesPath: invalidPath, defaultDisplayCurrency: "USD" }),
+      /Invalid exchange rate file/
+    );
+  });
+});
+
+describe("option prices quoted in another currency", () => {
+  it("are converted to USD before sizing and totals, keeping the quote", () => {
+    const fresh = [{ id: "x", label: "Ryokan", nightlyUsd: 32000, nights: 3, roomOccupancy: 2, costUsd: 96000, currency: "jpy" }];
+    const { itinerary: next } = mergeRegeneratedOptions(itinerary(), "hotel", null, fresh);
+    const option = next.components.hotel.options.find((candidate) => candidate.label === "Ryokan");
+    const nightlyUsd = currency.convert(32000, "JPY", "USD");
+
+    assert.equal(option.currency, "USD");
+    assert.equal(option.sourceCurrency, "JPY");
+    assert.deepEqual(option.sourcePrices, { nightly: 32000, cost: 96000 });
+    assert.equal(option.nightlyUsd, nightlyUsd);
+    assert.equal(option.costUsd, Number((nightlyUsd * 3).toFixed(2)));
+    // The fresh option is recommended, so the totals use its USD price
+    assert.equal(next.estimatedCostSummary.hotelUsd, option.costUsd);
+  });
+
+  it("are not converted again when the component is normalized later", () => {
+    const fresh = [{ id: "x", label: "Pension", nightlyUsd: 80, nights: 3, roomOccupancy: 2, costUsd: 240, currency: "EUR" }];
+    const first = mergeRegeneratedOptions(itinerary(), "hotel", null, fresh).itinerary;
+    const again = mergeRegeneratedOptions(first, "hotel", null, [{ ...itinerary().components.hotel.options[0] }]).itinerary;
+    const pension = again.components.hotel.options.find((option) => option.label === "Pension");
+
+    assert.equal(pension.nightlyUsd, currency.convert(80, "EUR", "USD"));
+    assert.deepEqual(pension.sourcePrices, { nightly: 80, cost: 240 });
+  });
+
+  it("converts regenerated activity ideas and takes unknown currencies as USD", () => {
+    const ideas = [
+      { name: "Tea ceremony", location: "Kyoto", estimatedCostUsd: 5000, currency: "JPY", whyFit: "" },
+      { name: "Walking tour", location: "Kyoto", estimatedCostUsd: 20, currency: "XYZ", whyFit: "" }
+    ];
+    const { itinerary: next } = mergeRegeneratedOptions(itinerary(), "activities", "culture", ideas);
+    const [ceremony, tour] = next.activities;
+
+    assert.equal(ceremony.estimatedCostUsd, currency.convert(5000, "JPY", "USD"));
+    assert.equal(ceremony.sourceCurrency, "JPY");
+    assert.deepEqual(ceremony.sourcePrices, { estimatedCost: 5000 });
+    assert.equal(tour.estimatedCostUsd, 20);
+    assert.equal(tour.sourceCurrency, "USD");
+    assert.equal(tour.currency, "USD");
+  });
+});
@@ -0,0 +1,149 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import { createFeeModel } from "../src/services/fees.js";
+import { applyComponentSelection } from "../src/agents/tripPlanner.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "fees-"));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function writeRulesFile(rules) {
+  const filePath = path.join(tempDir, `rules-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(rules));
+  return filePath;
+}
+
+function amounts(result) {
+  return Object.fromEntries(result.lineItems.map((item) => [item.id, item.amountUsd]));
+}
+
+describe("createFeeModel", () => {
+  const fees = createFeeModel({ rulesPath: null });
+
+  it("resolves city rules over country rules over the defaults", () => {
+    const paris = fees.rulesFor("Paris, France");
+    assert.equal(paris.location, "Paris, FR");
+    assert.equal(paris.touristTaxPerNightUsd, 4.2);
+    assert.equal(paris.carRentalTaxRate, 0.2);
+    assert.deepEqual(paris.checkedBagFeeUsd, { economy: 35, business: 0 });
+
+    assert.equal(fees.rulesFor("Boston").hotelTaxRate, 0.1495);
+    assert.equal(fees.rulesFor("Atlantis").location, "default rates");
+  });
+
+  it("itemizes taxes, tourist tax, rental surcharges and bag fees", () => {
+    const result = fees.compute({
+      destinationCity: "Paris",
+      travelers: 2,
+      airTravelClass: "economy",
+      hotelNights: 4,
+      carRentalDays: 5,
+      costs: { flight: 1000, hotel: 800, carRental: 300, activities: 100 }
+    });
+
+    assert.deepEqual(amounts(result), {
+      hotel_tax: 80,
+      tourist_tax: 33.6,
+      car_rental_tax: 60,
+      car_rental_surcharge: 25,
+      bag_fees: 140
+    });
+    assert.equal(result.totalUsd, 338.6);
+    assert.equal(result.lineItems.find((item) => item.id === "tourist_tax").perTraveler, true);
+    assert.equal(
+      result.lineItems.find((item) => item.id === "tourist_tax").label,
+      "City tourist tax ($4.2/night × 4 × 2 travelers)"
+    );
+  });
+
+  it("leaves out fees for components the trip does not have", () => {
+    const result = fees.compute({
+      destinationCity: "Paris",
+      travelers: 1,
+      airTravelClass: "business",
+      hotelNights: 4,
+      carRentalDays: 5,
+      costs: { flight: 3000, hotel: 800, carRental: 0 }
+    });
+
+    assert.deepEqual(amounts(result), { hotel_tax: 80, tourist_tax: 16.8 });
+  });
+
+  it("reads a rules file and validates its shape", () => {
+    const custom = createFeeModel({
+      rulesPath: writeRulesFile({
+        asOf: "2026-05-01",
+        default: {
+          hotelTaxRate: 0.05,
+          touristTaxPerNightUsd: 0,
+          carRentalTaxRate: 0,
+          carRentalSurchargePerDayUsd: 0,
+          activityTaxRate: 0.1,
+          checkedBagFeeUsd: { economy: 0, business: 0 }
+        }
+      })
+    });
+    assert.deepEqual(amounts(custom.compute({ costs: { hotel: 200, activities: 50 } })), {
+      hotel_tax: 10,
+      activity_tax: 5
+    });
+
+    const invalidPath = writeRulesFile({ asOf: "2026-05-01", default: { hotelTaxRate: 2 } });
+    assert.throws(() => createFeeModel({ rulesPath: invalidPath }), /Invalid fee rules file/);
+  });
+});
+
+describe("cost summary fees", () => {
+  function itinerary() {
+    return {
+      destinationCity: "Paris",
+      travelers: { count: 1, names: ["Ana"], roomSharing: "shared", drivers: 1 },
+      stayAtDestination: { daysAtDestination: 5, nightsAtDestination: 4 },
+      components: {
+        flight: {
+          options: [
+            { id: "f1", class: "economy", costUsd: 600 },
+            { id: "f2", class: "business", costUsd: 2000 }
+          ],
+          recommendedOptionId: "f1",
+          confirmedOptionId: null
+        },
+        hotel: {
+          options: [
+            { id: "h1", nightlyUsd: 200, nights: 4, costUsd: 800 },
+            { id: "h2", nightlyUsd: 100, nights: 4, costUsd: 400 }
+          ],
+          recommendedOptionId: "h1",
+          confirmedOptionId: null
+        },
+        carRental: { options: [], recommendedOptionId: null, confirmedOptionId: null }
+      },
+      activities: []
+    };
+  }
+
+  it("are computed from the recommended options before anything is confirmed", () => {
+    const summary = applyComponentSelection(itinerary(), "flight", null).estimatedCostSummary;
+
+    assert.equal(summary.feeRules, "Paris, FR");
+    assert.deepEqual(
+      Object.fromEntries(summary.fees.map((item) => [item.id, item.amountUsd])),
+      { hotel_tax: 80, tourist_tax: 16.8, bag_fees: 70 }
+    );
+    assert.equal(summary.totalUsd, 600 + 800 + 166.8);
+  });
+
+  it("follow the confirmed flight class and hotel", () => {
+    const confirmed = applyComponentSelection(applyComponentSelection(itinerary(), "flight", "f2"), "hotel", "h2");
+    const summary = confirmed.estimatedCostSummary;
+
+    assert.deepEqual(
+      Object.fromEntries(summary.fees.map((item) => [item.id, item.amountUsd])),
+      { hotel_tax: 40, tourist_tax: 16.8 }
+    );
+    assert.equal(summary.feesUsd, 56.8);
+    assert.equal(summary.totalUsd, 2000 + 400 + 56.8);
+  });
+});
@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildSchedule } from "../src/services/schedule.js";
+
+// Lands late on the 21st and leaves early on the 24th: only the 22nd and 23rd are usable
+const lateArrivalEarlyDeparture = {
+  arrivalLocal: "2026-03-21T22:30:00+09:00",
+  departureLocal: "2026-03-24T08:00:00+09:00",
+  daysAtDestination: 4,
+  nightsAtDestination: 3
+};
+
+function activities(count, category = "sightseeing") {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `a${index + 1}`,
+    name: `Activity ${index + 1}`,
+    category,
+    location: "Somewhere"
+  }));
+}
+
+function scheduleFor(activityCount, maxActivitiesPerDay) {
+  return buildSchedule({
+    stay: lateArrivalEarlyDeparture,
+    activities: activities(activityCount),
+    maxActivitiesPerDay
+  });
+}
+
+function activitiesPerDay(schedule) {
+  return schedule.days.map((day) => day.slots.filter((slot) => slot.activity).length);
+}
+
+function scheduledIds(schedule) {
+  return schedule.days.flatMap((day) => day.slots.filter((slot) => slot.activity).map((slot) => slot.activity.id));
+}
+
+function openSlots(day) {
+  return day.slots.filter((slot) => slot.available).map((slot) => slot.slot);
+}
+
+describe("buildSchedule", () => {
+  it("dates each day from the arrival and closes slots around late arrivals and early departures", () => {
+    const schedule = buildSchedule({ stay: lateArrivalEarlyDeparture, activities: [], maxActivitiesPerDay: 2 });
+
+    assert.deepEqual(
+      schedule.days.map((day) => [day.date, day.kind]),
+      [
+        ["2026-03-21", "arrival"],
+        ["2026-03-22", "full"],
+        ["2026-03-23", "full"],
+        ["2026-03-24", "departure"]
+      ]
+    );
+    assert.deepEqual(openSlots(schedule.days[0]), []);
+    assert.deepEqual(openSlots(schedule.days[3]), []);
+    assert.equal(schedule.days[0].slots[0].reason, "Before arrival and check-in");
+    assert.equal(schedule.days[3].slots[2].reason, "Heading to the airport");
+    assert.equal(schedule.days[0].note, "Arrive 22:30");
+    assert.equal(schedule.days[3].note, "Depart 08:00");
+  });
+
+  it("keeps activities off the arrival and departure days when no slot is left", () => {
+    const schedule = scheduleFor(4, 2);
+
+    assert.equal(schedule.days[0].slots.some((slot) => slot.activity), false);
+    assert.equal(schedule.days[3].slots.some((slot) => slot.activity), false);
+    assert.deepEqual(scheduledIds(schedule).sort(), ["a1", "a2", "a3", "a4"]);
+    assert.deepEqual(schedule.unscheduled, []);
+  });
+
+  it("places one activity per day with maxActivitiesPerDay of 1", () => {
+    const schedule = scheduleFor(3, 1);
+
+    assert.deepEqual(schedule.days.map((day) => day.activityCap), [1, 1, 1, 1]);
+    assert.deepEqual(activitiesPerDay(schedule), [0, 1, 1, 0]);
+    assert.deepEqual(schedule.unscheduled.map((entry) => entry.activityId), ["a3"]);
+  });
+
+  it("fills every slot of a full day with maxActivitiesPerDay of 3", () => {
+    const schedule = scheduleFor(6, 3);
+
+    assert.equal(schedule.maxActivitiesPerDay, 3);
+    assert.deepEqual(schedule.days.map((day) => day.activityCap), [1, 3, 3, 1]);
+    assert.equal(schedule.days[1].slots.every((slot) => slot.activity), true);
+    assert.equal(schedule.days[2].slots.every((slot) => slot.activity), true);
+    assert.deepEqual(schedule.unscheduled, []);
+  });
+
+  it("spreads activities across the least busy days first", () => {
+    const schedule = scheduleFor(2, 3);
+
+    assert.deepEqual(activitiesPerDay(schedule), [0, 1, 1, 0]);
+  });
+
+  it("returns activities that do not fit under the daily caps as unscheduled", () => {
+    const schedule = scheduleFor(7, 3);
+
+    assert.equal(scheduledIds(schedule).length, 6);
+    assert.deepEqual(schedule.unscheduled, [
+      { activityId: "a7", name: "Activity 7", reason: "No free slot under the daily cap." }
+    ]);
+  });
+
+  it("prefers the slot that suits each category", () => {
+    const stay = {
+      arrivalLocal: "2026-03-21T08:00:00-04:00",
+      departureLocal: "2026-03-23T20:00:00-04:00",
+      daysAtDestination: 3
+    };
+    const schedule = buildSchedule({
+      stay,
+      activities: [
+        { id: "museum", name: "Museum", category: "museums" },
+        { id: "dinner", name: "Dinner", category: "food" },
+        { id: "tour", name: "Tour", category: "sightseeing" }
+      ],
+      maxActivitiesPerDay: 3
+    });
+    const slotOf = (id) =>
+      schedule.days.flatMap((day) => day.slots).find((slot) => slot.activity?.id === id)?.slot;
+
+    assert.equal(slotOf("museum"), "morning");
+    assert.equal(slotOf("dinner"), "evening");
+    assert.equal(slotOf("tour"), "afternoon");
+  });
+});
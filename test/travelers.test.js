@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { applyComponentSelection, recomputeDependentComponentsFromFlight } from "../src/agents/tripPlanner.js";
+
+// Five travelers, four nights and five rental days at the default fee rates
+// (10% hotel and car tax, $35 bag fee each way)
+function itinerary(travelers = {}) {
+  return {
+    destinationCity: null,
+    travelers: { count: 5, names: ["Ana", "Ben", "Cy", "Dee", "Eli"], roomSharing: "shared", drivers: 1, ...travelers },
+    components: {
+      flight: {
+        options: [
+          {
+            id: "f1",
+            class: "economy",
+            outboundArrivalLocal: "2026-03-21T09:00:00+01:00",
+            returnDepartureLocal: "2026-03-25T11:00:00+01:00",
+            costUsd: 400
+          }
+        ],
+        recommendedOptionId: "f1",
+        confirmedOptionId: null
+      },
+      hotel: {
+        options: [
+          { id: "h1", nightlyUsd: 100, roomOccupancy: 2 },
+          { id: "h2", nightlyUsd: 150, roomOccupancy: 4 }
+        ],
+        recommendedOptionId: "h1",
+        confirmedOptionId: null
+      },
+      carRental: {
+        options: [
+          { id: "c1", dailyRateUsd: 50, seats: 4 },
+          { id: "c2", dailyRateUsd: 70, seats: 7 }
+        ],
+        recommendedOptionId: "c1",
+        confirmedOptionId: null
+      }
+    },
+    activities: []
+  };
+}
+
+function sized(travelers) {
+  return recomputeDependentComponentsFromFlight(itinerary(travelers), "f1");
+}
+
+function option(trip, component, id) {
+  return trip.components[component].options.find((candidate) => candidate.id === id);
+}
+
+describe("group sizing", () => {
+  it("books enough shared rooms for the group and prices every room", () => {
+    const trip = sized();
+
+    assert.equal(option(trip, "hotel", "h1").rooms, 3);
+    assert.equal(option(trip, "hotel", "h1").costUsd, 100 * 4 * 3);
+    assert.equal(option(trip, "hotel", "h2").rooms, 2);
+    assert.equal(option(trip, "hotel", "h2").costUsd, 150 * 4 * 2);
+  });
+
+  it("books one room each when travelers do not share", () => {
+    const trip = sized({ roomSharing: "private" });
+
+    assert.equal(option(trip, "hotel", "h2").rooms, 5);
+    assert.equal(option(trip, "hotel", "h2").costUsd, 150 * 4 * 5);
+  });
+
+  it("adds cars until everyone has a seat and flags missing drivers", () => {
+    const trip = sized();
+
+    assert.equal(option(trip, "carRental", "c1").cars, 2);
+    assert.equal(option(trip, "carRental", "c1").costUsd, 50 * 5 * 2);
+    assert.equal(option(trip, "carRental", "c1").driverNote, "Needs 2 driver(s); the group has 1.");
+    assert.equal(option(trip, "carRental", "c2").cars, 1);
+    assert.equal(option(trip, "carRental", "c2").driverNote, null);
+  });
+});
+
+describe("per-person split", () => {
+  it("fills the recommended hotel's rooms in order", () => {
+    const split = sized().estimatedCostSummary.split;
+
+    assert.equal(split.travelers, 5);
+    assert.deepEqual(
+      split.byTraveler.map((traveler) => traveler.room),
+      [1, 1, 2, 2, 3]
+    );
+  });
+
+  it("splits rooms by the confirmed hotel and shares the car across the group", () => {
+    const trip = applyComponentSelection(applyComponentSelection(sized(), "hotel", "h2"), "carRental", "c2");
+    const { split, totalUsd } = trip.estimatedCostSummary;
+
+    // Two $660 rooms (with tax) for 3 and 2 travelers; a $385 car for five;
+    // $400 flight plus $70 bag fees each
+    assert.deepEqual(
+      split.byTraveler.map((traveler) => [
+        traveler.name,
+        traveler.room,
+        traveler.sharedUsd,
+        traveler.individualUsd,
+        traveler.totalUsd
+      ]),
+      [
+        ["Ana", 1, 297, 470, 767],
+        ["Ben", 1, 297, 470, 767],
+        ["Cy", 1, 297, 470, 767],
+        ["Dee", 2, 407, 470, 877],
+        ["Eli", 2, 407, 470, 877]
+      ]
+    );
+    assert.equal(split.sharedUsd, 1705);
+    assert.equal(split.individualUsd, 2350);
+    assert.equal(totalUsd, 4055);
+    assert.equal(split.perPersonAverageUsd, 811);
+  });
+});